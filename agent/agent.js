@@ -0,0 +1,422 @@
+/**
+ * Vibe Platform Agent
+ *
+ * Runs inside every tenant container as the entrypoint and supervises the
+ * tenant's app:
+ *
+ *   node /agent/agent.js node server.js
+ *                        └─ the app command ─┘
+ *
+ * - Starts the app as a child process and forwards SIGTERM/SIGINT to it
+ * - Exits with the app's exit code, so the container stops when the app does
+ * - Captures the app's stdout/stderr (still echoed to the agent's own output)
+ *
+ * The agent listens on PLATFORM_AGENT_PORT (8081), next to the app's port.
+ * Only the app's Durable Object can reach it - container ports aren't public.
+ *
+ * ENDPOINTS:
+ *   GET /health             → { status: "healthy", app: { pid, running } }
+ *   GET /logs?since=<seq>   → NDJSON stream of log lines, replaying the
+ *                             buffered lines after `since`, then tailing:
+ *                             { "seq": 1, "ts": 1735689600000, "stream": "stdout", "line": "..." }
+ *   GET /snapshot           → the data directory as a .tar.gz (204 if it is empty)
+ *   PUT /snapshot           → replace the data directory with the .tar.gz in
+ *                             the body, then restart the app so it reads it
+ *
+ * The data directory (PLATFORM_DATA_DIR, default /data) is the only place
+ * whose files survive the container - the app's Durable Object snapshots it
+ * to R2 before the container stops. On the next start the agent downloads
+ * the snapshot from PLATFORM_SNAPSHOT_URL (with PLATFORM_TOKEN) and unpacks
+ * it before starting the app. A snapshot that can't be restored is logged
+ * and the app starts without it.
+ *
+ * CODE BUNDLES:
+ * When the tenant uploaded its own code (PLATFORM_BUNDLE_URL is set), the
+ * agent first downloads it with PLATFORM_TOKEN, unpacks it into
+ * PLATFORM_BUNDLE_DIR and runs PLATFORM_BUNDLE_ENTRYPOINT there (through
+ * sh -c) instead of the image's command. Without an entrypoint the image's
+ * command runs in PLATFORM_BUNDLE_DIR. A bundle that can't be downloaded
+ * fails the container start.
+ *
+ * No dependencies - only Node.js built-ins (and the image's tar and unzip),
+ * so the agent can be copied into any image that has node installed.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const AGENT_PORT = Number(process.env.PLATFORM_AGENT_PORT) || 8081;
+
+// Lines kept for /logs clients that connect late
+const LOG_BUFFER_LINES = 1000;
+
+// Longer lines are cut so one runaway write can't fill the buffer
+const MAX_LINE_LENGTH = 16 * 1024;
+
+const DATA_DIR = process.env.PLATFORM_DATA_DIR || "/data";
+const APP_PORT = Number(process.env.PORT) || 8080;
+
+// How long a restored app gets to exit, then to listen again
+const APP_STOP_TIMEOUT_MS = 10 * 1000;
+const APP_READY_TIMEOUT_MS = 30 * 1000;
+
+// The tenant's uploaded code (see src/bundles.js) - unset for image-only apps
+const BUNDLE_URL = process.env.PLATFORM_BUNDLE_URL || "";
+const BUNDLE_FORMAT = process.env.PLATFORM_BUNDLE_FORMAT || "tar.gz";
+const BUNDLE_DIR = process.env.PLATFORM_BUNDLE_DIR || process.cwd();
+const BUNDLE_ENTRYPOINT = process.env.PLATFORM_BUNDLE_ENTRYPOINT || "";
+const BUNDLE_DOWNLOAD_ATTEMPTS = 3;
+
+// Where the data directory is restored from at boot (see src/snapshots.js)
+const SNAPSHOT_URL = process.env.PLATFORM_SNAPSHOT_URL || "";
+
+const [command, ...args] = process.argv.slice(2);
+if (!command) {
+  console.error("Usage: node agent.js <command> [args...]");
+  process.exit(64);
+}
+
+// =============================================================================
+// LOG CAPTURE
+// =============================================================================
+
+const logBuffer = [];
+const logClients = new Set();
+let nextSeq = 1;
+
+function recordLine(stream, line) {
+  const entry = {
+    seq: nextSeq++,
+    ts: Date.now(),
+    stream,
+    line: line.length > MAX_LINE_LENGTH ? line.slice(0, MAX_LINE_LENGTH) + "…" : line,
+  };
+  logBuffer.push(entry);
+  if (logBuffer.length > LOG_BUFFER_LINES) {
+    logBuffer.shift();
+  }
+  const data = JSON.stringify(entry) + "\n";
+  for (const res of logClients) {
+    res.write(data);
+  }
+}
+
+/**
+ * Split a child output stream into lines, echoing it to our own output
+ */
+function captureStream(source, name, echo) {
+  let pending = "";
+  source.setEncoding("utf8");
+  source.on("data", (chunk) => {
+    echo.write(chunk);
+    const lines = (pending + chunk).split("\n");
+    pending = lines.pop();
+    for (const line of lines) {
+      recordLine(name, line.replace(/\r$/, ""));
+    }
+  });
+  source.on("end", () => {
+    if (pending) {
+      recordLine(name, pending);
+    }
+  });
+}
+
+// =============================================================================
+// APP PROCESS
+// =============================================================================
+
+let app = null;
+let appRunning = false;
+
+// Set while restoreSnapshot() swaps the app - its exit must not end the agent
+let replacingApp = false;
+
+function startApp() {
+  const [file, fileArgs] = BUNDLE_URL && BUNDLE_ENTRYPOINT ? ["sh", ["-c", BUNDLE_ENTRYPOINT]] : [command, args];
+  app = spawn(file, fileArgs, {
+    cwd: BUNDLE_URL ? BUNDLE_DIR : undefined,
+    env: process.env,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  appRunning = true;
+
+  captureStream(app.stdout, "stdout", process.stdout);
+  captureStream(app.stderr, "stderr", process.stderr);
+
+  app.on("error", (error) => {
+    recordLine("stderr", `[agent] Could not start "${file}": ${error.message}`);
+    process.exit(1);
+  });
+
+  app.on("exit", (code, signal) => {
+    appRunning = false;
+    recordLine("stderr", `[agent] App exited (${signal || `code ${code}`})`);
+    if (replacingApp) {
+      return;
+    }
+    for (const res of logClients) {
+      res.end();
+    }
+    process.exit(code ?? 1);
+  });
+}
+
+/**
+ * Stop the app and start it again (SIGKILL if it ignores SIGTERM)
+ * Resolves once the new process listens on APP_PORT.
+ */
+async function restartApp() {
+  replacingApp = true;
+  try {
+    if (appRunning) {
+      const exited = new Promise((resolve) => app.once("exit", resolve));
+      app.kill("SIGTERM");
+      const timer = setTimeout(() => app.kill("SIGKILL"), APP_STOP_TIMEOUT_MS);
+      await exited;
+      clearTimeout(timer);
+    }
+  } finally {
+    replacingApp = false;
+  }
+  startApp();
+  await waitForPort(APP_PORT, APP_READY_TIMEOUT_MS);
+}
+
+function waitForPort(port, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const attempt = () => {
+      const socket = net.connect(port, "127.0.0.1");
+      socket.once("connect", () => {
+        socket.destroy();
+        resolve();
+      });
+      socket.once("error", () => {
+        socket.destroy();
+        if (Date.now() > deadline) {
+          reject(new Error(`App is not listening on port ${port}`));
+        } else {
+          setTimeout(attempt, 250);
+        }
+      });
+    };
+    attempt();
+  });
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+(BUNDLE_URL ? installBundle() : Promise.resolve())
+  .then(() => (SNAPSHOT_URL ? restoreDataDir() : null))
+  .then(startApp, (error) => {
+    console.error(`[agent] ${error.message}`);
+    process.exit(1);
+  });
+
+// The container runtime signals the agent - pass it on and wait for the app
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    if (appRunning) {
+      app.kill(signal);
+    } else if (!app) {
+      // Still downloading the bundle or snapshot - nothing to wait for
+      process.exit(0);
+    }
+  });
+}
+
+// =============================================================================
+// CODE BUNDLES
+// =============================================================================
+
+/**
+ * Download the tenant's bundle and unpack it over BUNDLE_DIR
+ */
+async function installBundle() {
+  const archive = path.join(os.tmpdir(), `agent-bundle.${BUNDLE_FORMAT}`);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(BUNDLE_URL, {
+        headers: { Authorization: `Bearer ${process.env.PLATFORM_TOKEN}` },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(archive));
+      break;
+    } catch (error) {
+      if (attempt === BUNDLE_DOWNLOAD_ATTEMPTS) {
+        throw new Error(`Could not download the code bundle: ${error.message}`);
+      }
+      recordLine("stderr", `[agent] Bundle download failed (${error.message}) - retrying`);
+      await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+    }
+  }
+
+  fs.mkdirSync(BUNDLE_DIR, { recursive: true });
+  for (const entry of fs.readdirSync(BUNDLE_DIR)) {
+    fs.rmSync(path.join(BUNDLE_DIR, entry), { recursive: true, force: true });
+  }
+  try {
+    if (BUNDLE_FORMAT === "zip") {
+      await runCommand("unzip", ["-q", "-o", archive, "-d", BUNDLE_DIR]);
+    } else {
+      await runCommand("tar", ["-xzf", archive, "-C", BUNDLE_DIR]);
+    }
+  } finally {
+    fs.rmSync(archive, { force: true });
+  }
+  recordLine("stderr", `[agent] Installed the code bundle into ${BUNDLE_DIR}`);
+}
+
+// =============================================================================
+// DATA SNAPSHOTS
+// =============================================================================
+
+/**
+ * Run tar/unzip, resolving once it exits successfully
+ */
+function runCommand(name, commandArgs, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(name, commandArgs, { stdio: [input ? "pipe" : "ignore", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${name} exited with code ${code}: ${stderr.trim()}`));
+    });
+    if (input) {
+      input.on("error", reject);
+      input.pipe(child.stdin);
+    }
+  });
+}
+
+/**
+ * Boot: unpack the app's snapshot into DATA_DIR before the app starts
+ * Best effort - the app starts without its data rather than not at all.
+ */
+async function restoreDataDir() {
+  try {
+    const response = await fetch(SNAPSHOT_URL, {
+      headers: { Authorization: `Bearer ${process.env.PLATFORM_TOKEN}` },
+    });
+    if (response.status === 204) {
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    await runCommand("tar", ["-xzf", "-", "-C", DATA_DIR], Readable.fromWeb(response.body));
+    recordLine("stderr", `[agent] Restored ${DATA_DIR} from a snapshot`);
+  } catch (error) {
+    recordLine("stderr", `[agent] Could not restore ${DATA_DIR}: ${error.message}`);
+  }
+}
+
+/**
+ * Archive DATA_DIR to a temp file, so it can be sent with a Content-Length
+ * (R2 needs the size up front)
+ */
+async function sendSnapshot(res) {
+  if (fs.readdirSync(DATA_DIR).length === 0) {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+
+  const archive = path.join(os.tmpdir(), `agent-snapshot-${Date.now()}.tar.gz`);
+  try {
+    await runCommand("tar", ["-czf", archive, "-C", DATA_DIR, "."]);
+  } catch (error) {
+    fs.rmSync(archive, { force: true });
+    throw error;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "application/gzip",
+    "Content-Length": fs.statSync(archive).size,
+  });
+  const file = fs.createReadStream(archive);
+  file.pipe(res);
+  file.on("close", () => fs.rmSync(archive, { force: true }));
+}
+
+/**
+ * Replace DATA_DIR with the archive in the request body, then restart the
+ * app so it starts from the restored files
+ */
+async function restoreSnapshot(req, res) {
+  for (const entry of fs.readdirSync(DATA_DIR)) {
+    fs.rmSync(path.join(DATA_DIR, entry), { recursive: true, force: true });
+  }
+  await runCommand("tar", ["-xzf", "-", "-C", DATA_DIR], req);
+  recordLine("stderr", `[agent] Restored ${DATA_DIR} from a snapshot - restarting the app`);
+  await restartApp();
+
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ restored: true, app: { pid: app.pid, running: appRunning } }));
+}
+
+// =============================================================================
+// AGENT API
+// =============================================================================
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${AGENT_PORT}`);
+
+  if (url.pathname === "/health") {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ status: "healthy", app: { pid: app?.pid ?? null, running: appRunning } }));
+    return;
+  }
+
+  if (url.pathname === "/logs" && req.method === "GET") {
+    const since = Number(url.searchParams.get("since")) || 0;
+    res.writeHead(200, {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-store",
+    });
+    for (const entry of logBuffer) {
+      if (entry.seq > since) {
+        res.write(JSON.stringify(entry) + "\n");
+      }
+    }
+    logClients.add(res);
+    req.on("close", () => logClients.delete(res));
+    return;
+  }
+
+  if (url.pathname === "/snapshot" && (req.method === "GET" || req.method === "PUT")) {
+    const handler = req.method === "GET" ? sendSnapshot(res) : restoreSnapshot(req, res);
+    handler.catch((error) => {
+      recordLine("stderr", `[agent] Snapshot ${req.method === "GET" ? "failed" : "restore failed"}: ${error.message}`);
+      if (!res.headersSent) {
+        res.statusCode = 500;
+        res.setHeader("Content-Type", "application/json");
+      }
+      res.end(JSON.stringify({ error: error.message }));
+    });
+    return;
+  }
+
+  res.statusCode = 404;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ error: "Not Found" }));
+});
+
+server.listen(AGENT_PORT, "0.0.0.0", () => {
+  const supervised = BUNDLE_URL && BUNDLE_ENTRYPOINT ? BUNDLE_ENTRYPOINT : [command, ...args].join(" ");
+  console.log(`[agent] Listening on port ${AGENT_PORT}, supervising: ${supervised}`);
+});
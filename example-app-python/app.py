@@ -0,0 +1,99 @@
+"""
+Example Vibe App Server (Python runtime)
+
+The Python counterpart of example-app/server.js. It runs inside each
+tenant's container when the tenant was provisioned with
+config.runtime = "python".
+
+KEY POINTS:
+- Must listen on port 8080 (PORT is injected by the platform)
+- Should handle /health for health checks
+- Can read the X-App-Id header (or APP_ID env var) to know which tenant this is
+"""
+
+import json
+import os
+import platform
+import signal
+import sys
+import time
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+# =============================================================================
+# CONFIGURATION
+# =============================================================================
+
+PORT = int(os.environ.get("PORT", "8080"))
+APP_ID = os.environ.get("APP_ID", "unknown")
+LOCATION = os.environ.get("CLOUDFLARE_LOCATION", "unknown")
+
+START_TIME = time.time()
+request_count = 0
+
+
+# =============================================================================
+# REQUEST HANDLER
+# =============================================================================
+
+class Handler(BaseHTTPRequestHandler):
+    def do_GET(self):
+        global request_count
+        request_count += 1
+
+        app_id = self.headers.get("X-App-Id", APP_ID)
+        path = self.path.split("?")[0]
+
+        if path == "/health":
+            return self.send_json(200, {
+                "status": "healthy",
+                "appId": app_id,
+                "uptime": int(time.time() - START_TIME),
+                "requestCount": request_count,
+            })
+
+        if path == "/":
+            return self.send_json(200, {
+                "message": f"Welcome to Vibe App: {app_id}",
+                "runtime": f"python {platform.python_version()}",
+                "containerLocation": LOCATION,
+                "requestCount": request_count,
+                "endpoints": {"/": "This info page", "/health": "Health check"},
+            })
+
+        self.send_json(404, {
+            "error": "Not Found",
+            "message": f"Route {path} not found",
+            "appId": app_id,
+        })
+
+    def send_json(self, status, data):
+        body = json.dumps(data, indent=2).encode()
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def log_message(self, fmt, *args):
+        # Same one-line-per-request format as the Node example
+        print(f"[{APP_ID}] {self.command} {self.path}", flush=True)
+
+
+# =============================================================================
+# START SERVER
+# =============================================================================
+
+server = ThreadingHTTPServer(("0.0.0.0", PORT), Handler)
+
+
+def shutdown(signum, frame):
+    print(f"Received signal {signum}. Shutting down gracefully...", flush=True)
+    server.server_close()
+    sys.exit(0)
+
+
+signal.signal(signal.SIGTERM, shutdown)
+signal.signal(signal.SIGINT, shutdown)
+
+print(f"Vibe App (python) listening on port {PORT}", flush=True)
+server.serve_forever()
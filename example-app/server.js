@@ -17,6 +17,7 @@
  */
 
 const http = require("http");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
@@ -47,10 +48,21 @@ const CONTAINER_LOCATION = {
 const INSTANCE_ID = Math.random().toString(36).substring(2, 10) + '-' + Date.now().toString(36);
 
 // In-memory state (persists for container lifetime, resets on restart)
-// For persistent state, use external storage (R2, D1, KV, etc.)
 let requestCount = 0;
 let startTime = Date.now();
 
+// Persistent state: files in PLATFORM_DATA_DIR survive restarts and sleeps.
+// The platform snapshots the directory before the container stops and
+// restores it on the next start.
+const DATA_DIR = process.env.PLATFORM_DATA_DIR || "/data";
+const COUNTER_FILE = path.join(DATA_DIR, "counter.json");
+
+// Tenant KV: the platform's key-value store for this app. Writes are
+// durable immediately, so they survive crashes too. Not set when the
+// container runs outside the platform - the counter falls back to DATA_DIR.
+const KV_URL = process.env.PLATFORM_KV_URL;
+const PLATFORM_TOKEN = process.env.PLATFORM_TOKEN;
+
 // =============================================================================
 // REQUEST HANDLER
 // =============================================================================
@@ -113,6 +125,8 @@ const server = http.createServer((req, res) => {
         "/api/echo": "Echo back your request (POST)",
         "/api/counter": "Get/increment a counter",
         "/api/env": "View environment info",
+        "/api/stream": "Streaming response (?format=sse|ndjson&count=10&interval=500)",
+        "/ws": "WebSocket echo (subprotocols: echo, json)",
       },
     });
   }
@@ -146,16 +160,29 @@ const server = http.createServer((req, res) => {
     });
   }
   
-  // Counter endpoint - demonstrates in-memory state
+  // Counter endpoint - demonstrates in-memory vs persistent state
   if (pathname === "/api/counter") {
-    // This counter persists within the container lifetime
-    // When container sleeps/restarts, it resets
-    // For persistent counters, use Durable Object storage
-    return sendJson(res, 200, {
-      appId,
-      requestCount,
-      message: "This counter tracks requests to this container instance",
-    });
+    // requestCount resets when the container sleeps/restarts,
+    // totalVisits is kept in the tenant KV store and survives both
+    countVisit()
+      .then((totalVisits) =>
+        sendJson(res, 200, {
+          appId,
+          requestCount,
+          totalVisits,
+          storage: KV_URL ? "kv" : "data-dir",
+          message: "requestCount tracks this container instance, totalVisits survives restarts",
+        })
+      )
+      .catch((error) => sendJson(res, 502, { error: "Counter Unavailable", message: error.message, appId }));
+    return;
+  }
+  
+  // Streaming endpoint - Server-Sent Events (default) or NDJSON, one chunk
+  // every `interval` ms, like an LLM sending tokens. The platform passes it
+  // through as it is written (see src/streaming.js).
+  if (pathname === "/api/stream") {
+    return streamEvents(req, res, appId, url.searchParams);
   }
   
   // Environment info endpoint
@@ -185,14 +212,205 @@ const server = http.createServer((req, res) => {
     error: "Not Found",
     message: `Route ${pathname} not found`,
     appId,
-    availableRoutes: ["/", "/health", "/api/echo", "/api/counter", "/api/env"],
+    availableRoutes: ["/", "/health", "/api/echo", "/api/counter", "/api/env", "/api/stream", "/ws"],
+  });
+});
+
+// =============================================================================
+// STREAMING (/api/stream)
+// =============================================================================
+
+const STREAM_WORDS = "the quick brown fox jumps over the lazy dog".split(" ");
+
+// SSE comment lines keep a quiet stream from hitting the platform's idle timeout
+const HEARTBEAT_MS = 15 * 1000;
+
+function streamEvents(req, res, appId, params) {
+  const format = params.get("format") === "ndjson" ? "ndjson" : "sse";
+  const count = Math.min(Math.max(Number(params.get("count")) || 10, 1), 1000);
+  const interval = Math.min(Math.max(Number(params.get("interval")) || 500, 10), 60 * 1000);
+  
+  res.statusCode = 200;
+  res.setHeader("Content-Type", format === "sse" ? "text/event-stream" : "application/x-ndjson");
+  res.setHeader("Cache-Control", "no-cache");
+  res.flushHeaders();
+  
+  let sent = 0;
+  const send = (event, data) => {
+    if (format === "sse") {
+      res.write(`event: ${event}\nid: ${sent}\ndata: ${JSON.stringify(data)}\n\n`);
+    } else {
+      res.write(JSON.stringify({ event, ...data }) + "\n");
+    }
+  };
+  
+  const ticker = setInterval(() => {
+    sent++;
+    send("token", { appId, index: sent, token: STREAM_WORDS[(sent - 1) % STREAM_WORDS.length] });
+    if (sent >= count) {
+      send("done", { appId, count });
+      stop();
+      res.end();
+    }
+  }, interval);
+  const heartbeat = format === "sse" ? setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS) : null;
+  
+  const stop = () => {
+    clearInterval(ticker);
+    clearInterval(heartbeat);
+  };
+  // The client went away - stop writing
+  res.on("close", stop);
+}
+
+// =============================================================================
+// WEBSOCKET ECHO (/ws)
+// =============================================================================
+// The platform passes WebSocket upgrades through to the app, which does the
+// handshake itself. This is a minimal RFC 6455 server without dependencies -
+// a real app would use a library like ws.
+//
+//   new WebSocket("wss://platform.dev/app/my-app/ws", ["json"])
+//
+// "echo" (the default) sends every text message back as is, "json" wraps
+// it in { echo, appId, timestamp }.
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const WS_PROTOCOLS = ["echo", "json"];
+
+server.on("upgrade", (req, socket) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const key = req.headers["sec-websocket-key"];
+  if (url.pathname !== "/ws" || !key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  
+  const appId = req.headers["x-app-id"] || APP_ID;
+  const offered = (req.headers["sec-websocket-protocol"] || "").split(",").map((name) => name.trim());
+  const protocol = offered.find((name) => WS_PROTOCOLS.includes(name)) || null;
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n` +
+      (protocol ? `Sec-WebSocket-Protocol: ${protocol}\r\n` : "") +
+      "\r\n"
+  );
+  console.log(`[${appId}] WebSocket opened (protocol: ${protocol || "none"})`);
+  
+  let buffered = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let frame;
+    while ((frame = readFrame(buffered))) {
+      buffered = buffered.subarray(frame.length);
+      if (frame.opcode === 0x1) {
+        const text = frame.payload.toString("utf8");
+        const reply = protocol === "json" ? JSON.stringify({ echo: text, appId, timestamp: new Date().toISOString() }) : text;
+        socket.write(writeFrame(0x1, Buffer.from(reply)));
+      } else if (frame.opcode === 0x2) {
+        socket.write(writeFrame(0x2, frame.payload));
+      } else if (frame.opcode === 0x9) {
+        socket.write(writeFrame(0xa, frame.payload));
+      } else if (frame.opcode === 0x8) {
+        socket.end(writeFrame(0x8, frame.payload.subarray(0, 2)));
+        return;
+      }
+    }
   });
+  socket.on("close", () => console.log(`[${appId}] WebSocket closed`));
+  socket.on("error", () => socket.destroy());
 });
 
+/**
+ * Parse one complete client frame off the front of `buffer`, or null if it
+ * hasn't fully arrived yet (fragmented messages aren't supported)
+ */
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += masked ? 4 : 0;
+  if (buffer.length < offset + length) return null;
+  
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+  return { opcode, payload, length: offset + length };
+}
+
+/**
+ * An unmasked server frame
+ */
+function writeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
+/**
+ * Increment totalVisits - in the tenant KV store when the platform
+ * provides one, otherwise in DATA_DIR
+ */
+async function countVisit() {
+  if (!KV_URL) {
+    const totalVisits = readTotalVisits() + 1;
+    fs.writeFileSync(COUNTER_FILE, JSON.stringify({ totalVisits }));
+    return totalVisits;
+  }
+  
+  // One atomic POST - a GET then a PUT would lose visits counted by
+  // another container in between
+  const response = await fetch(`${KV_URL}/totalVisits?increment=1`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${PLATFORM_TOKEN}` },
+  });
+  if (!response.ok) {
+    throw new Error(`KV increment failed: HTTP ${response.status}`);
+  }
+  return (await response.json()).value;
+}
+
+function readTotalVisits() {
+  try {
+    return JSON.parse(fs.readFileSync(COUNTER_FILE, "utf8")).totalVisits || 0;
+  } catch {
+    return 0;
+  }
+}
+
 function sendJson(res, statusCode, data) {
   res.statusCode = statusCode;
   res.end(JSON.stringify(data, null, 2));
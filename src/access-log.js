@@ -0,0 +1,182 @@
+/**
+ * Per-Tenant Access Log
+ *
+ * The router writes one structured entry per forwarded request into the
+ * app's Durable Object SQLite storage (table access_log), so "my app
+ * returned 500" can be looked up with GET /app/{appId}/_logs:
+ *
+ *   { requestId, timestamp, method, path, status, latencyMs, colo, coldStart, variant }
+ *
+ * `path` is the path the container saw, without the query string (query
+ * strings often carry tokens). latencyMs is the time until the response
+ * headers arrived. variant is "canary" for requests a canary release served
+ * (see src/canary.js), "stable" otherwise.
+ *
+ * RETENTION:
+ * Bounded on every write - the newest MAX_LOG_ENTRIES entries, and nothing
+ * older than LOG_RETENTION_MS.
+ */
+
+import { decodeCursor, readPage } from "./pagination.js";
+
+const MAX_LOG_ENTRIES = 10_000;
+const LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const STATUS_CLASS_PATTERN = /^[1-5]xx$/;
+
+const VARIANTS = ["stable", "canary"];
+
+/**
+ * Create the access log table (sql.exec is synchronous - safe in a constructor)
+ */
+export function createAccessLogTable(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS access_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      latency_ms INTEGER NOT NULL,
+      colo TEXT,
+      cold_start INTEGER NOT NULL DEFAULT 0,
+      variant TEXT NOT NULL DEFAULT 'stable'
+    );
+    CREATE INDEX IF NOT EXISTS access_log_timestamp ON access_log (timestamp);
+  `);
+}
+
+/**
+ * Append an entry and enforce the retention bounds
+ */
+export function appendAccessLog(sql, { requestId, timestamp = Date.now(), method, path, status, latencyMs, colo = null, coldStart = false, variant = "stable" }) {
+  const { id } = sql
+    .exec(
+      `INSERT INTO access_log (request_id, timestamp, method, path, status, latency_ms, colo, cold_start, variant)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`,
+      requestId,
+      timestamp,
+      method,
+      path,
+      status,
+      Math.round(latencyMs),
+      colo,
+      coldStart ? 1 : 0,
+      variant
+    )
+    .one();
+
+  sql.exec("DELETE FROM access_log WHERE id <= ? OR timestamp < ?", id - MAX_LOG_ENTRIES, Date.now() - LOG_RETENTION_MS);
+}
+
+/**
+ * Validate GET /_logs filters
+ * Returns an error message, or null if they are valid
+ */
+export function validateLogQuery({ status, variant }) {
+  if (status && !STATUS_CLASS_PATTERN.test(status) && !/^[1-5]\d\d$/.test(status)) {
+    return "status must be a class like 5xx or an exact code like 404";
+  }
+  if (variant && !VARIANTS.includes(variant)) {
+    return `variant must be one of: ${VARIANTS.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Query the log, newest first
+ *
+ * Filters (all optional):
+ *   status      - "5xx" (status class) or "404" (exact code)
+ *   pathPrefix  - e.g. "/api/"
+ *   variant     - "stable" or "canary"
+ *   from / to   - ms timestamps
+ *   limit       - page size (default 50, max 200)
+ *   cursor      - nextCursor from the previous page
+ */
+export function queryAccessLog(sql, { status, pathPrefix, variant, from, to, limit, cursor } = {}) {
+  const where = [];
+  const params = [];
+
+  if (status && STATUS_CLASS_PATTERN.test(status)) {
+    const base = Number(status[0]) * 100;
+    where.push("status >= ? AND status < ?");
+    params.push(base, base + 100);
+  } else if (status) {
+    where.push("status = ?");
+    params.push(Number(status));
+  }
+  if (pathPrefix) {
+    where.push("path LIKE ? ESCAPE '\\'");
+    params.push(`${pathPrefix.replace(/[\\%_]/g, (c) => "\\" + c)}%`);
+  }
+  if (variant) {
+    where.push("variant = ?");
+    params.push(variant);
+  }
+  if (from) {
+    where.push("timestamp >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("timestamp < ?");
+    params.push(to);
+  }
+  const after = decodeCursor(cursor, { numeric: true });
+  if (after !== null) {
+    where.push("id < ?");
+    params.push(after);
+  }
+
+  const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+  const { rows, nextCursor } = readPage(
+    sql,
+    `SELECT * FROM access_log ${whereClause} ORDER BY id DESC LIMIT ?`,
+    params,
+    { limit, defaultSize: DEFAULT_PAGE_SIZE, maxSize: MAX_PAGE_SIZE, cursorColumn: "id" }
+  );
+  return { entries: rows.map(toLogEntry), nextCursor };
+}
+
+function toLogEntry(row) {
+  return {
+    requestId: row.request_id,
+    timestamp: row.timestamp,
+    method: row.method,
+    path: row.path,
+    status: row.status,
+    latencyMs: row.latency_ms,
+    colo: row.colo,
+    coldStart: Boolean(row.cold_start),
+    variant: row.variant,
+  };
+}
+
+/**
+ * Requests and 5xx responses per variant since `since`
+ * Returns { stable: { requests, errors, errorRate }, canary: { ... } }
+ */
+export function variantStats(sql, since) {
+  const stats = {};
+  for (const variant of VARIANTS) {
+    stats[variant] = { requests: 0, errors: 0, errorRate: 0 };
+  }
+
+  const rows = sql
+    .exec(
+      `SELECT variant, COUNT(*) AS requests, SUM(status >= 500) AS errors
+       FROM access_log WHERE timestamp >= ? GROUP BY variant`,
+      since
+    )
+    .toArray();
+  for (const { variant, requests, errors } of rows) {
+    if (stats[variant]) {
+      stats[variant] = { requests, errors, errorRate: requests > 0 ? errors / requests : 0 };
+    }
+  }
+  return stats;
+}
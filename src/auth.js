@@ -0,0 +1,250 @@
+/**
+ * Management API Authentication
+ *
+ * Protects the management endpoints (/_status, /_restart, /_metadata, ...)
+ * with signed, scoped API tokens.
+ *
+ * TWO KINDS OF CREDENTIALS:
+ *
+ * 1. Platform admin key (env.ADMIN_API_KEY)
+ *    Full access to every app. Used by operators to bootstrap tenants
+ *    and to issue tenant tokens.
+ *
+ * 2. Tenant API tokens (issued per app)
+ *    Format: vat_<payload>.<signature>
+ *    - payload:   base64url JSON { app, jti, iat, exp }
+ *    - signature: HMAC-SHA256(payload, env.API_TOKEN_SECRET)
+ *    The token record (scopes, label, expiry) lives in the app's Durable
+ *    Object storage, so revoking a token takes effect immediately.
+ *
+ * Both are sent as:  Authorization: Bearer <token>
+ *
+ * Endpoints the app itself calls back into (/_kv, see src/kv.js) take the
+ * container token instead: vct_<random>, generated whenever a new container
+ * starts and injected as PLATFORM_TOKEN.
+ */
+
+import { base64UrlDecode, base64UrlEncode, hmacSign, timingSafeEqual } from "./crypto.js";
+
+const TOKEN_PREFIX = "vat_";
+
+/**
+ * Scopes a tenant token can be granted
+ */
+export const SCOPES = {
+  STATUS_READ: "status:read",         // GET /_status, GET /_metadata
+  RESTART: "restart",                 // POST /_restart
+  METADATA_WRITE: "metadata:write",   // POST/PUT /_metadata
+  SETTINGS_WRITE: "settings:write",   // PUT /_auth, PUT /_cold-start, PUT /_lifecycle, PUT /_scaling, PUT /_cors
+  ENV_READ: "env:read",               // GET /_env (secret values are never returned)
+  ENV_WRITE: "env:write",             // PUT /_env, DELETE /_env/{name}
+  DOMAINS_WRITE: "domains:write",     // POST/DELETE /_domains
+  LOGS_READ: "logs:read",             // GET /_logs
+  SNAPSHOTS_WRITE: "snapshots:write", // POST /_snapshots, POST /_snapshots/{id}/restore
+  DEPLOY: "deploy",                   // POST /_deploy, POST /_rollback/{version}, PUT/POST /_canary
+  APP_ACCESS: "app:access",           // Forwarded traffic, when the tenant opts in
+};
+
+export const ALL_SCOPES = Object.values(SCOPES);
+
+// Longest expiresIn a token can be issued with (one year)
+export const MAX_TOKEN_LIFETIME_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Validate the body of a token request
+ * Returns an error message, or null if it's valid
+ */
+export function validateTokenRequest({ scopes, expiresIn = null }) {
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !ALL_SCOPES.includes(scope))
+  ) {
+    return `Scopes must be a non-empty list of: ${ALL_SCOPES.join(", ")}`;
+  }
+  if (
+    expiresIn !== null &&
+    (typeof expiresIn !== "number" ||
+      !Number.isFinite(expiresIn) ||
+      expiresIn <= 0 ||
+      expiresIn > MAX_TOKEN_LIFETIME_SECONDS)
+  ) {
+    return `expiresIn must be a positive number of seconds, at most ${MAX_TOKEN_LIFETIME_SECONDS}`;
+  }
+  return null;
+}
+
+// =============================================================================
+// TOKEN SIGNING
+// =============================================================================
+
+/**
+ * Create a signed token string for the given claims
+ * Called by the Durable Object when a token is issued
+ */
+export async function signApiToken(secret, claims) {
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  const signature = base64UrlEncode(await hmacSign(secret, payload));
+  return `${TOKEN_PREFIX}${payload}.${signature}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * Returns the claims, or null if the token is malformed, forged or expired
+ */
+export async function verifyApiToken(secret, token) {
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const [payload, signature] = token.slice(TOKEN_PREFIX.length).split(".");
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = base64UrlEncode(await hmacSign(secret, payload));
+  if (!timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  } catch {
+    return null;
+  }
+
+  if (claims.exp && claims.exp < Date.now()) {
+    return null;
+  }
+  return claims;
+}
+
+// =============================================================================
+// REQUEST AUTHORIZATION
+// =============================================================================
+
+/**
+ * Check that a request carries the platform admin key
+ * Returns null when allowed, or a 401 Response to send back
+ */
+export function authorizeAdmin(request, env) {
+  const token = getBearerToken(request);
+  if (!token) {
+    return unauthorized("Missing bearer token");
+  }
+  if (!isAdminKey(token, env)) {
+    return unauthorized("This endpoint requires the platform admin key");
+  }
+  return null;
+}
+
+/**
+ * Who made an (already authorized) request - recorded with releases
+ * Returns { credential: "admin" } or { credential: "token", tokenId }
+ */
+export async function identifyCaller(request, env) {
+  const token = getBearerToken(request);
+  if (token && isAdminKey(token, env)) {
+    return { credential: "admin" };
+  }
+  const claims = token && env.API_TOKEN_SECRET ? await verifyApiToken(env.API_TOKEN_SECRET, token) : null;
+  return { credential: "token", tokenId: claims?.jti || null };
+}
+
+/**
+ * A random container token (PLATFORM_TOKEN)
+ */
+export function generateContainerToken() {
+  return `vct_${base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)))}`;
+}
+
+/**
+ * Check that a request comes from the app's running container (its
+ * PLATFORM_TOKEN) or carries the platform admin key
+ * Returns null when allowed, or a 401 Response to send back
+ */
+export async function authorizeContainer(request, env, appContainer) {
+  const token = getBearerToken(request);
+  if (!token) {
+    return unauthorized("Missing bearer token");
+  }
+  if (isAdminKey(token, env) || (await appContainer.checkContainerToken(token))) {
+    return null;
+  }
+  return unauthorized("Invalid container token");
+}
+
+/**
+ * Check that a request may perform `scope` on `appId`
+ * Returns null when allowed, or a 401/403 Response to send back
+ *
+ * The admin key is accepted for every scope. Tenant tokens must be signed
+ * for this appId and still be active in the app's Durable Object.
+ */
+export async function authorize(request, env, appId, appContainer, scope) {
+  const token = getBearerToken(request);
+  if (!token) {
+    return unauthorized("Missing bearer token");
+  }
+  if (isAdminKey(token, env)) {
+    return null;
+  }
+  if (!env.API_TOKEN_SECRET) {
+    return unauthorized("Tenant tokens are not configured on this platform");
+  }
+
+  const claims = await verifyApiToken(env.API_TOKEN_SECRET, token);
+  if (!claims || claims.app !== appId) {
+    return unauthorized("Invalid or expired token");
+  }
+
+  // The signature proves we issued the token, the DO proves it wasn't revoked
+  const record = await appContainer.checkApiToken(claims.jti);
+  if (!record) {
+    return unauthorized("Token has been revoked");
+  }
+
+  if (!record.scopes.includes(scope)) {
+    return forbidden(scope);
+  }
+  return null;
+}
+
+function getBearerToken(request) {
+  const header = request.headers.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function isAdminKey(token, env) {
+  return Boolean(env.ADMIN_API_KEY) && timingSafeEqual(token, env.ADMIN_API_KEY);
+}
+
+// =============================================================================
+// ERROR RESPONSES
+// =============================================================================
+
+export function unauthorized(message) {
+  return Response.json(
+    {
+      error: "Unauthorized",
+      message,
+    },
+    {
+      status: 401,
+      headers: { "WWW-Authenticate": 'Bearer realm="vibe-apps"' },
+    }
+  );
+}
+
+export function forbidden(scope) {
+  return Response.json(
+    {
+      error: "Forbidden",
+      message: `Token is missing the required scope: ${scope}`,
+      requiredScope: scope,
+    },
+    { status: 403 }
+  );
+}
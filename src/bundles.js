@@ -0,0 +1,140 @@
+/**
+ * Tenant Code Bundles
+ *
+ * Lets tenants run their own code on the shared runtime images, without
+ * rebuilding them. PUT /app/{appId}/_bundle stores a .tar.gz or .zip of the
+ * app in R2 (binding BUNDLES) and, by default, deploys it as a new release
+ * (see src/releases.js):
+ *
+ *   PUT /_bundle?entrypoint=node%20index.js     R2 bundles/{appId}/{id}.tar.gz
+ *                                                       │
+ *   container start: the agent downloads  ◀─────────────┘
+ *   PLATFORM_BUNDLE_URL (with PLATFORM_TOKEN), unpacks it into the
+ *   runtime's bundle directory and runs the entrypoint there
+ *
+ * Without an entrypoint the image's own command runs on the unpacked files
+ * (node server.js, python app.py, nginx for static sites). Bundles must
+ * include their dependencies (node_modules, vendored packages) - nothing is
+ * installed on start.
+ *
+ * Bundle ids are UTC timestamps like snapshot ids. Each app keeps its latest
+ * MAX_BUNDLES; a rollback to a release whose bundle is gone is refused.
+ */
+
+export const BUNDLE_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+export const MAX_BUNDLE_BYTES = 50 * 1024 * 1024;
+
+// Content-Type of the upload → bundle format
+const BUNDLE_FORMATS = {
+  "application/gzip": "tar.gz",
+  "application/x-gzip": "tar.gz",
+  "application/x-tar+gzip": "tar.gz",
+  "application/zip": "zip",
+  "application/x-zip-compressed": "zip",
+};
+
+const MAX_BUNDLES = 20;
+const MAX_ENTRYPOINT_LENGTH = 500;
+
+function bundlePrefix(appId) {
+  return `bundles/${appId}/`;
+}
+
+function bundleKey(appId, bundle) {
+  return `${bundlePrefix(appId)}${bundle.id}.${bundle.format}`;
+}
+
+/**
+ * "tar.gz" / "zip" for an upload's Content-Type, or null
+ */
+export function bundleFormat(contentType) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  return BUNDLE_FORMATS[type] || null;
+}
+
+/**
+ * Validate a PUT /_bundle entrypoint
+ * Returns an error message, or null if it is valid
+ */
+export function validateEntrypoint(entrypoint) {
+  if (entrypoint === null) {
+    return null;
+  }
+  if (!entrypoint.trim() || entrypoint.length > MAX_ENTRYPOINT_LENGTH || /[\r\n]/.test(entrypoint)) {
+    return `entrypoint must be a single-line command of at most ${MAX_ENTRYPOINT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * An app's bundles, newest first
+ */
+export async function listBundles(bucket, appId) {
+  const prefix = bundlePrefix(appId);
+  const { objects } = await bucket.list({ prefix, include: ["customMetadata"] });
+  return objects.map((object) => toBundle(object, prefix)).sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Store an uploaded bundle - `body` must have a known length (a request
+ * body with Content-Length)
+ */
+export async function putBundle(bucket, appId, body, { format, entrypoint = null }) {
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const object = await bucket.put(bundleKey(appId, { id, format }), body, {
+    httpMetadata: { contentType: format === "zip" ? "application/zip" : "application/gzip" },
+    customMetadata: entrypoint ? { entrypoint } : {},
+  });
+
+  await pruneBundles(bucket, appId);
+  return toBundle(object, bundlePrefix(appId));
+}
+
+/**
+ * The R2 object of one bundle (for the container to download), or null
+ */
+export async function getBundleObject(bucket, appId, id) {
+  for (const format of new Set(Object.values(BUNDLE_FORMATS))) {
+    const object = await bucket.get(bundleKey(appId, { id, format }));
+    if (object) {
+      return object;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a bundle still exists (before rolling back to it)
+ */
+export async function bundleExists(bucket, appId, bundle) {
+  return Boolean(await bucket.head(bundleKey(appId, bundle)));
+}
+
+/**
+ * Delete every bundle of an app (deprovisioning)
+ */
+export async function deleteBundles(bucket, appId) {
+  const bundles = await listBundles(bucket, appId);
+  if (bundles.length > 0) {
+    await bucket.delete(bundles.map((bundle) => bundleKey(appId, bundle)));
+  }
+}
+
+async function pruneBundles(bucket, appId) {
+  const expired = (await listBundles(bucket, appId)).slice(MAX_BUNDLES);
+  if (expired.length > 0) {
+    await bucket.delete(expired.map((bundle) => bundleKey(appId, bundle)));
+  }
+}
+
+function toBundle(object, prefix) {
+  const [id, ...extension] = object.key.slice(prefix.length).split(".");
+  return {
+    id,
+    format: extension.join("."),
+    size: object.size,
+    entrypoint: object.customMetadata?.entrypoint || null,
+    uploadedAt: object.uploaded.getTime(),
+  };
+}
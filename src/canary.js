@@ -0,0 +1,120 @@
+/**
+ * Canary Releases
+ *
+ * Runs a release in a second container next to the app's own and sends it
+ * a share of the traffic. The canary lives in its own Durable Object,
+ * addressed as "{appId}:canary" (":" never appears in an appId, so no
+ * tenant can claim that name - see primaryAppId in src/replicas.js):
+ *
+ *   request ──▶ Worker ──▶ app DO: admitRequest() → { canary: { weight, ... } }
+ *                 │
+ *                 ├── bucket <  weight ──▶ "my-app:canary" DO ──▶ canary container
+ *                 └── bucket >= weight ──▶ "my-app" DO        ──▶ app container
+ *
+ * Every client gets a sticky bucket 0-99 - a random one kept in a cookie,
+ * or a hash of the client IP - so raising the weight only ever moves more
+ * clients to the canary, never back and forth.
+ *
+ * The app's DO stays in charge: it admits and logs every request (the
+ * access log records the variant), owns the KV store, the bundles and the
+ * snapshots the canary starts from, and compares the error rates of the
+ * two variants. A canary whose 5xx rate goes over maxErrorRate (and over
+ * the app's own) is aborted automatically.
+ *
+ *   PUT  /_canary          { weight, version?, stickiness?, maxErrorRate? }
+ *   POST /_canary/promote  the canary's release becomes the active one
+ *   POST /_canary/abort    all traffic goes back to the active release
+ *
+ * Without a version, PUT /_canary records the app's current env config and
+ * bundle (e.g. PUT /_bundle?deploy=false) as a new release for the canary,
+ * and the app itself goes back to its active release.
+ */
+
+export const CANARY_SUFFIX = ":canary";
+
+export const CANARY_COOKIE = "vibe_canary";
+
+export const STICKINESS_MODES = ["cookie", "ip"];
+
+export const DEFAULT_MAX_ERROR_RATE = 0.05;
+
+// Error rates are compared over the last window, once the canary has
+// served enough requests for the rate to mean something
+export const CANARY_STATS_WINDOW_MS = 15 * 60 * 1000;
+const MIN_REQUESTS_TO_ABORT = 20;
+
+/**
+ * "my-app" → "my-app:canary"
+ */
+export function canaryName(appId) {
+  return `${appId}${CANARY_SUFFIX}`;
+}
+
+/**
+ * Validate a PUT /_canary body
+ * Returns an error message, or null if it is valid
+ */
+export function validateCanary({ weight, version, stickiness, maxErrorRate }) {
+  if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+    return "weight must be a whole percentage between 0 and 100";
+  }
+  if (version !== undefined && version !== null && !(Number.isInteger(version) && version > 0)) {
+    return "version must be a release version number";
+  }
+  if (stickiness !== undefined && !STICKINESS_MODES.includes(stickiness)) {
+    return `stickiness must be one of: ${STICKINESS_MODES.join(", ")}`;
+  }
+  if (maxErrorRate !== undefined && maxErrorRate !== null && !(typeof maxErrorRate === "number" && maxErrorRate >= 0 && maxErrorRate <= 1)) {
+    return "maxErrorRate must be a fraction between 0 and 1, or null to never abort automatically";
+  }
+  return null;
+}
+
+/**
+ * Pick the variant for a request: { variant: "stable" | "canary", cookie }
+ * `cookie` is a Set-Cookie value when a new client was just assigned a bucket.
+ */
+export function chooseVariant(request, appId, { weight, stickiness }, cookiePath = "/") {
+  let bucket;
+  let cookie = null;
+
+  if (stickiness === "ip") {
+    const clientIp = request.headers.get("CF-Connecting-IP") || "";
+    bucket = hashBucket(`${appId}:${clientIp}`);
+  } else {
+    bucket = readBucketCookie(request);
+    if (bucket === null) {
+      bucket = Math.floor(Math.random() * 100);
+      cookie = `${CANARY_COOKIE}=${bucket}; Path=${cookiePath}; Max-Age=${7 * 24 * 60 * 60}; HttpOnly; SameSite=Lax`;
+    }
+  }
+
+  return { variant: bucket < weight ? "canary" : "stable", cookie };
+}
+
+/**
+ * { requests, errors, errorRate } per variant (see variantStats in
+ * src/access-log.js) → whether the canary should be aborted
+ */
+export function shouldAbortCanary(canary, stats) {
+  if (canary.maxErrorRate === null || stats.canary.requests < MIN_REQUESTS_TO_ABORT) {
+    return false;
+  }
+  return stats.canary.errorRate > canary.maxErrorRate && stats.canary.errorRate > stats.stable.errorRate;
+}
+
+function readBucketCookie(request) {
+  const cookies = request.headers.get("Cookie") || "";
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${CANARY_COOKIE}=(\\d{1,2})(?:;|$)`));
+  return match ? Number(match[1]) : null;
+}
+
+// FNV-1a - stable across isolates, and good enough to spread clients evenly
+function hashBucket(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % 100;
+}
@@ -0,0 +1,305 @@
+/**
+ * Platform Capacity
+ *
+ * Every container class has a max_instances cap in wrangler.toml (mirrored
+ * as maxInstances in src/runtimes.js). A singleton Durable Object counts the
+ * running containers of each runtime and hands out a slot before a
+ * container starts:
+ *
+ *   app DO wakeContainer() ──▶ reserve() ──▶ free slot?          → granted
+ *                                            idle lower-plan app? → evicting, queued
+ *                                            otherwise            → queued
+ *   app DO onStart()       ──▶ claim()     (keeps the slot while it runs)
+ *   app DO onStop()        ──▶ release()
+ *
+ * EVICTION:
+ * A start may take the slot of the longest-idle container of a LOWER plan
+ * (PLAN_PRIORITY) that has been idle for at least MIN_IDLE_FOR_EVICTION_MS.
+ * The evicted app is snapshotted and stopped like an idle one and wakes up
+ * again on its next request.
+ *
+ * The tracker only marks the slot (evicting_at) and runs the eviction in the
+ * background - reserve() returns at once, so other apps' reservations never
+ * wait on a container's shutdown. The start that asked for it stays at the
+ * head of the queue and takes the slot on a later poll, once it is free. At
+ * most one eviction per runtime runs at a time. An app that refuses (it has
+ * to stay warm or is busy) counts as just active, so it isn't asked again
+ * until it has been idle long enough.
+ *
+ * QUEUEING:
+ * Otherwise the start waits in a queue ordered by plan priority, then
+ * arrival. The waiting app DO polls reserve() (QUEUE_POLL_MS); entries that
+ * stop polling expire. A start that still has no slot when the app's cold
+ * start wait runs out fails with a 503.
+ *
+ * Running containers refresh their slot from their health checks (every
+ * HEALTH_CHECK_INTERVAL_SECONDS); slots that miss SLOT_TTL_CHECKS of them in
+ * a row (a DO that went away without onStop) expire.
+ *
+ * There is exactly ONE tracker instance:
+ *   const capacity = getCapacity(env);   // env.CAPACITY_TRACKER.getByName("global")
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import { HEALTH_CHECK_INTERVAL_SECONDS } from "./health.js";
+import { RUNTIMES, getAppStub } from "./runtimes.js";
+
+const TRACKER_NAME = "global";
+
+export const PLAN_PRIORITY = { free: 0, pro: 1, enterprise: 2 };
+
+export const QUEUE_POLL_MS = 1000;
+
+const SLOT_TTL_CHECKS = 10;
+const SLOT_TTL_MS = SLOT_TTL_CHECKS * HEALTH_CHECK_INTERVAL_SECONDS * 1000;
+const QUEUE_ENTRY_TTL_MS = 10 * 1000;
+const MIN_IDLE_FOR_EVICTION_MS = 2 * 60 * 1000;
+// An eviction that never reported back (the tracker was evicted mid-way)
+const EVICTION_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Get a stub for the singleton capacity tracker
+ */
+export function getCapacity(env) {
+  return env.CAPACITY_TRACKER.getByName(TRACKER_NAME);
+}
+
+export function planPriority(plan) {
+  return PLAN_PRIORITY[plan] ?? 0;
+}
+
+export class CapacityTracker extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+
+    // sql.exec is synchronous, so the schema is ready before any RPC runs
+    // `name` is the container's DO name: the appId, or a replica / canary
+    this.ctx.storage.sql.exec(`
+      CREATE TABLE IF NOT EXISTS slots (
+        name TEXT PRIMARY KEY,
+        app_id TEXT NOT NULL,
+        runtime TEXT NOT NULL,
+        priority INTEGER NOT NULL,
+        reserved_at INTEGER NOT NULL,
+        refreshed_at INTEGER NOT NULL,
+        last_active_at INTEGER NOT NULL,
+        evicting_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS slots_runtime ON slots (runtime);
+
+      CREATE TABLE IF NOT EXISTS start_queue (
+        name TEXT PRIMARY KEY,
+        app_id TEXT NOT NULL,
+        runtime TEXT NOT NULL,
+        priority INTEGER NOT NULL,
+        enqueued_at INTEGER NOT NULL,
+        polled_at INTEGER NOT NULL
+      );
+    `);
+  }
+
+  // ---------------------------------------------------------------------------
+  // RPC METHODS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Ask for a slot before starting a container
+   * Returns { granted: true } or { granted: false, position, limit }.
+   * Idempotent - a container that already holds a slot keeps it.
+   */
+  async reserve({ name, appId, runtime, plan }) {
+    const now = Date.now();
+    this.expire(now);
+
+    if (this.getSlot(name)) {
+      this.refresh(name, now);
+      return { granted: true };
+    }
+
+    const priority = planPriority(plan);
+    const limit = poolLimit(runtime);
+    this.ctx.storage.sql.exec(
+      `INSERT INTO start_queue (name, app_id, runtime, priority, enqueued_at, polled_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (name) DO UPDATE SET priority = excluded.priority, polled_at = excluded.polled_at`,
+      name,
+      appId,
+      runtime,
+      priority,
+      now,
+      now
+    );
+    const { enqueuedAt } = this.ctx.storage.sql
+      .exec("SELECT enqueued_at AS enqueuedAt FROM start_queue WHERE name = ?", name)
+      .one();
+    const { ahead } = this.ctx.storage.sql
+      .exec(
+        `SELECT COUNT(*) AS ahead FROM start_queue
+         WHERE runtime = ? AND name != ? AND (priority > ? OR (priority = ? AND enqueued_at < ?))`,
+        runtime,
+        name,
+        priority,
+        priority,
+        enqueuedAt
+      )
+      .one();
+
+    // Only the head of the queue may take a slot (or evict for one)
+    if (ahead === 0) {
+      if (this.countSlots(runtime) < limit) {
+        this.ctx.storage.sql.exec("DELETE FROM start_queue WHERE name = ?", name);
+        this.insertSlot({ name, appId, runtime, priority }, now);
+        return { granted: true };
+      }
+      this.startEviction(runtime, priority, now);
+    }
+    return { granted: false, position: ahead + 1, limit };
+  }
+
+  /**
+   * A container started - make sure it holds a slot, even if it started
+   * without reserve() (restarts) or over the limit
+   */
+  async claim({ name, appId, runtime, plan }) {
+    const now = Date.now();
+    this.ctx.storage.sql.exec("DELETE FROM start_queue WHERE name = ?", name);
+    if (this.getSlot(name)) {
+      this.refresh(name, now);
+    } else {
+      this.insertSlot({ name, appId, runtime, priority: planPriority(plan) }, now);
+    }
+  }
+
+  /**
+   * A running container is still there (health checks)
+   */
+  async heartbeat(name) {
+    this.refresh(name, Date.now());
+  }
+
+  /**
+   * An app served requests - idle time counts from here
+   */
+  async touch(appId) {
+    this.ctx.storage.sql.exec("UPDATE slots SET last_active_at = ? WHERE app_id = ?", Date.now(), appId);
+  }
+
+  /**
+   * A container stopped
+   */
+  async release(name) {
+    this.ctx.storage.sql.exec("DELETE FROM slots WHERE name = ?", name);
+  }
+
+  /**
+   * Running containers and queued starts against each runtime's limit
+   */
+  async getUtilization() {
+    this.expire(Date.now());
+    const pools = {};
+    let running = 0;
+    let limit = 0;
+    for (const runtime of Object.keys(RUNTIMES)) {
+      const pool = {
+        running: this.countSlots(runtime),
+        limit: poolLimit(runtime),
+        queued: this.ctx.storage.sql.exec("SELECT COUNT(*) AS count FROM start_queue WHERE runtime = ?", runtime).one().count,
+      };
+      pool.utilization = pool.limit > 0 ? pool.running / pool.limit : 0;
+      pools[runtime] = pool;
+      running += pool.running;
+      limit += pool.limit;
+    }
+    return { running, limit, utilization: limit > 0 ? running / limit : 0, pools };
+  }
+
+  // ---------------------------------------------------------------------------
+  // HELPERS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start stopping the longest-idle container of a lower plan to free a
+   * slot, unless one of the runtime's containers is already being stopped
+   */
+  startEviction(runtime, priority, now) {
+    const { evicting } = this.ctx.storage.sql
+      .exec("SELECT COUNT(*) AS evicting FROM slots WHERE runtime = ? AND evicting_at IS NOT NULL", runtime)
+      .one();
+    if (evicting > 0) {
+      return;
+    }
+    const [slot] = this.ctx.storage.sql
+      .exec(
+        `SELECT * FROM slots WHERE runtime = ? AND priority < ? AND last_active_at < ?
+         ORDER BY priority, last_active_at LIMIT 1`,
+        runtime,
+        priority,
+        now - MIN_IDLE_FOR_EVICTION_MS
+      )
+      .toArray();
+    if (!slot) {
+      return;
+    }
+    this.ctx.storage.sql.exec("UPDATE slots SET evicting_at = ? WHERE name = ?", now, slot.name);
+    this.ctx.waitUntil(this.evictSlot(slot));
+  }
+
+  /**
+   * Ask a container's app DO to stop it - its slot is freed if it did, and
+   * otherwise counts as active again
+   */
+  async evictSlot(slot) {
+    let evicted = false;
+    try {
+      const stub = getAppStub(this.env, { appId: slot.app_id, config: { runtime: slot.runtime } }, slot.name);
+      evicted = await stub.evict();
+    } catch (error) {
+      console.error(`[capacity] Evicting ${slot.name} failed:`, error.message);
+    }
+    if (evicted) {
+      this.ctx.storage.sql.exec("DELETE FROM slots WHERE name = ? AND evicting_at IS NOT NULL", slot.name);
+    } else {
+      this.ctx.storage.sql.exec(
+        "UPDATE slots SET evicting_at = NULL, last_active_at = ? WHERE name = ?",
+        Date.now(),
+        slot.name
+      );
+    }
+  }
+
+  expire(now) {
+    this.ctx.storage.sql.exec("DELETE FROM slots WHERE refreshed_at < ?", now - SLOT_TTL_MS);
+    this.ctx.storage.sql.exec("DELETE FROM start_queue WHERE polled_at < ?", now - QUEUE_ENTRY_TTL_MS);
+    this.ctx.storage.sql.exec("UPDATE slots SET evicting_at = NULL WHERE evicting_at < ?", now - EVICTION_TIMEOUT_MS);
+  }
+
+  getSlot(name) {
+    return this.ctx.storage.sql.exec("SELECT * FROM slots WHERE name = ?", name).toArray()[0] || null;
+  }
+
+  countSlots(runtime) {
+    return this.ctx.storage.sql.exec("SELECT COUNT(*) AS count FROM slots WHERE runtime = ?", runtime).one().count;
+  }
+
+  insertSlot({ name, appId, runtime, priority }, now) {
+    this.ctx.storage.sql.exec(
+      `INSERT INTO slots (name, app_id, runtime, priority, reserved_at, refreshed_at, last_active_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      name,
+      appId,
+      runtime,
+      priority,
+      now,
+      now,
+      now
+    );
+  }
+
+  refresh(name, now) {
+    this.ctx.storage.sql.exec("UPDATE slots SET refreshed_at = ? WHERE name = ?", now, name);
+  }
+}
+
+function poolLimit(runtime) {
+  return RUNTIMES[runtime]?.maxInstances ?? 0;
+}
@@ -0,0 +1,162 @@
+/**
+ * Cold Starts
+ *
+ * When a request arrives for a sleeping app, VibeAppContainer wakes the
+ * container in the background and, instead of blocking until it boots:
+ *
+ *   Browsers (GET/HEAD + Accept: text/html)
+ *     → a "waking up your app" page that polls GET /_ready and reloads
+ *       itself once the app is up
+ *
+ *   Everything else (API clients)
+ *     → queued until the container is ready, for at most maxWaitSeconds,
+ *       then a 503 with Retry-After
+ *
+ * Per-app policy (GET/PUT /_cold-start, stored as "coldStartPolicy"):
+ *   { interstitial: true, maxWaitSeconds: 30 }
+ */
+
+export const DEFAULT_COLD_START_POLICY = { interstitial: true, maxWaitSeconds: 30 };
+
+const MAX_WAIT_SECONDS = 120;
+
+// Seconds clients are told to wait before retrying
+export const COLD_START_RETRY_AFTER = 5;
+
+/**
+ * Validate a PUT /_cold-start body
+ * Returns an error message, or null if the policy is valid
+ */
+export function validateColdStartPolicy({ interstitial, maxWaitSeconds }) {
+  if (interstitial !== undefined && typeof interstitial !== "boolean") {
+    return "interstitial must be true or false";
+  }
+  if (
+    maxWaitSeconds !== undefined &&
+    !(Number.isInteger(maxWaitSeconds) && maxWaitSeconds >= 1 && maxWaitSeconds <= MAX_WAIT_SECONDS)
+  ) {
+    return `maxWaitSeconds must be a whole number between 1 and ${MAX_WAIT_SECONDS}`;
+  }
+  return null;
+}
+
+/**
+ * Whether a request comes from a browser navigating to a page
+ */
+export function wantsHtml(request) {
+  return (
+    (request.method === "GET" || request.method === "HEAD") &&
+    (request.headers.get("Accept") || "").includes("text/html")
+  );
+}
+
+/**
+ * 503 for API requests that waited too long (or a container that failed to boot)
+ */
+export function startingUp(appId, message = "The app is starting up - try again shortly") {
+  return Response.json(
+    {
+      error: "Service Unavailable",
+      message,
+      appId,
+      retryAfter: COLD_START_RETRY_AFTER,
+    },
+    {
+      status: 503,
+      headers: { "Retry-After": String(COLD_START_RETRY_AFTER), "Cache-Control": "no-store" },
+    }
+  );
+}
+
+/**
+ * The "waking up your app" interstitial
+ * Polls readyPath (GET /_ready) every second and reloads once the app is up.
+ */
+export function wakingPage(appId, readyPath) {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Waking up ${appId}…</title>
+  <noscript><meta http-equiv="refresh" content="${COLD_START_RETRY_AFTER}"></noscript>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #0f0f0f 0%, #1a1a2e 100%);
+      color: #e4e4e7;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      text-align: center;
+      padding: 2rem;
+    }
+    h1 {
+      font-size: 1.75rem;
+      margin: 1.5rem 0 0.5rem;
+      background: linear-gradient(90deg, #f97316, #fb923c);
+      -webkit-background-clip: text;
+      -webkit-text-fill-color: transparent;
+    }
+    p { color: #a1a1aa; }
+    code { color: #f97316; }
+    .spinner {
+      width: 48px;
+      height: 48px;
+      margin: 0 auto;
+      border: 4px solid #3f3f46;
+      border-top-color: #f97316;
+      border-radius: 50%;
+      animation: spin 0.8s linear infinite;
+    }
+    .failed .spinner { animation: none; border-top-color: #ef4444; }
+    #retry { display: none; margin-top: 1.5rem; padding: 0.6rem 1.2rem; background: #f97316; border: none; border-radius: 6px; color: white; font-weight: bold; cursor: pointer; }
+    .failed #retry { display: inline-block; }
+    @keyframes spin { to { transform: rotate(360deg); } }
+  </style>
+</head>
+<body>
+  <main>
+    <div class="spinner"></div>
+    <h1>Waking up your app</h1>
+    <p id="message"><code>${appId}</code> was asleep. This usually takes a few seconds…</p>
+    <button id="retry" onclick="location.reload()">Try again</button>
+  </main>
+  <script>
+    const READY_PATH = ${JSON.stringify(readyPath).replace(/</g, "\\u003c")};
+    const startedAt = Date.now();
+
+    async function poll() {
+      try {
+        const response = await fetch(READY_PATH, { cache: 'no-store' });
+        const readiness = await response.json();
+        if (readiness.ready) {
+          location.reload();
+          return;
+        }
+        if (readiness.error || Date.now() - startedAt > 120000) {
+          document.body.classList.add('failed');
+          document.getElementById('message').textContent = 'Your app could not be started. ' + (readiness.error || '');
+          return;
+        }
+      } catch (error) {
+        // Network hiccup - keep polling
+      }
+      setTimeout(poll, 1000);
+    }
+    setTimeout(poll, 1000);
+  </script>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status: 503,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Retry-After": String(COLD_START_RETRY_AFTER),
+      "Cache-Control": "no-store",
+    },
+  });
+}
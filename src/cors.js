@@ -0,0 +1,192 @@
+/**
+ * CORS Policy
+ *
+ * Lets a tenant's API be called from browser apps on other origins. The
+ * policy is part of the tenant config (config.cors - set at provisioning or
+ * with PUT /_cors) and applied by the router:
+ *
+ *   {
+ *     allowOrigins: ["https://app.example.com", "https://*.example.com"],  // or ["*"]
+ *     allowMethods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
+ *     allowHeaders: ["*"],          // "*" allows whatever the preflight asks for
+ *     exposeHeaders: [],            // response headers scripts may read
+ *     allowCredentials: false,      // cookies / Authorization from the browser
+ *     maxAge: 600                   // seconds browsers may cache a preflight
+ *   }
+ *
+ * With no allowOrigins (the default) the platform stays out of it - OPTIONS
+ * requests and the app's own CORS headers go through untouched.
+ *
+ * Otherwise the platform owns CORS for the app:
+ *   - preflights (OPTIONS with Access-Control-Request-Method) are answered
+ *     by the router - they never reach, or wake, the container, aren't
+ *     counted against the app's limits, and don't need the app's auth
+ *     (browsers send preflights without credentials)
+ *   - forwarded responses get the Access-Control-* headers for an allowed
+ *     Origin, and lose the app's own Allow-Origin for any other
+ *
+ * "*" in an origin stands for one or more subdomain labels. allowCredentials
+ * needs explicit origins - browsers reject "*" with credentials.
+ */
+
+export const DEFAULT_CORS_POLICY = {
+  allowOrigins: [],
+  allowMethods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
+  allowHeaders: ["*"],
+  exposeHeaders: [],
+  allowCredentials: false,
+  maxAge: 600,
+};
+
+const MAX_ORIGINS = 50;
+const MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// scheme://host[:port], optionally with a leading "*." wildcard label
+const ORIGIN_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/i;
+const TOKEN_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+/**
+ * An app's effective policy: the defaults plus its config.cors
+ */
+export function resolveCorsPolicy(cors) {
+  return { ...DEFAULT_CORS_POLICY, ...cors };
+}
+
+export function corsEnabled(policy) {
+  return policy.allowOrigins.length > 0;
+}
+
+/**
+ * Validate a PUT /_cors body (or config.cors at provisioning)
+ * Returns an error message, or null if the policy is valid
+ */
+export function validateCorsPolicy(update) {
+  if (typeof update !== "object" || update === null || Array.isArray(update)) {
+    return "The CORS policy must be an object";
+  }
+  const unknown = Object.keys(update).find((name) => !Object.hasOwn(DEFAULT_CORS_POLICY, name));
+  if (unknown) {
+    return `Unknown CORS setting "${unknown}" - use ${Object.keys(DEFAULT_CORS_POLICY).join(", ")}`;
+  }
+
+  const policy = resolveCorsPolicy(update);
+  for (const name of ["allowOrigins", "allowMethods", "allowHeaders", "exposeHeaders"]) {
+    if (!Array.isArray(policy[name]) || !policy[name].every((value) => typeof value === "string")) {
+      return `${name} must be a list of strings`;
+    }
+  }
+  if (policy.allowOrigins.length > MAX_ORIGINS) {
+    return `allowOrigins can list at most ${MAX_ORIGINS} origins`;
+  }
+  const badOrigin = policy.allowOrigins.find((origin) => origin !== "*" && !ORIGIN_PATTERN.test(origin));
+  if (badOrigin !== undefined) {
+    return `Invalid origin "${badOrigin}" - use "*" or scheme://host[:port], e.g. https://*.example.com`;
+  }
+  const badToken = [...policy.allowMethods, ...policy.allowHeaders, ...policy.exposeHeaders].find(
+    (value) => !TOKEN_PATTERN.test(value)
+  );
+  if (badToken !== undefined) {
+    return `Invalid method or header name "${badToken}"`;
+  }
+  if (typeof policy.allowCredentials !== "boolean") {
+    return "allowCredentials must be true or false";
+  }
+  if (policy.allowCredentials && policy.allowOrigins.includes("*")) {
+    return 'allowCredentials can\'t be used with the "*" origin - list the origins instead';
+  }
+  if (!Number.isInteger(policy.maxAge) || policy.maxAge < 0 || policy.maxAge > MAX_AGE_SECONDS) {
+    return `maxAge must be a whole number of seconds between 0 and ${MAX_AGE_SECONDS}`;
+  }
+  return null;
+}
+
+/**
+ * Whether a request is a CORS preflight
+ */
+export function isPreflight(request) {
+  return (
+    request.method === "OPTIONS" &&
+    request.headers.has("Origin") &&
+    request.headers.has("Access-Control-Request-Method")
+  );
+}
+
+/**
+ * Answer a preflight: 204 with the Access-Control-* headers, or 403 when
+ * the origin, method or a requested header isn't allowed
+ */
+export function preflightResponse(request, policy) {
+  const origin = request.headers.get("Origin");
+  const method = request.headers.get("Access-Control-Request-Method").toUpperCase();
+  const requested = (request.headers.get("Access-Control-Request-Headers") || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  let rejected = null;
+  if (!originAllowed(policy, origin)) {
+    rejected = `Origin ${origin} is not allowed`;
+  } else if (!policy.allowMethods.some((allowed) => allowed.toUpperCase() === method)) {
+    rejected = `Method ${method} is not allowed`;
+  } else if (!policy.allowHeaders.includes("*")) {
+    const allowed = policy.allowHeaders.map((name) => name.toLowerCase());
+    const header = requested.find((name) => !allowed.includes(name.toLowerCase()));
+    if (header) {
+      rejected = `Header ${header} is not allowed`;
+    }
+  }
+  if (rejected) {
+    return Response.json(
+      { error: "CORS Preflight Rejected", message: rejected },
+      { status: 403, headers: { Vary: "Origin" } }
+    );
+  }
+
+  const headers = new Headers({
+    "Access-Control-Allow-Methods": policy.allowMethods.join(", "),
+    "Access-Control-Max-Age": String(policy.maxAge),
+  });
+  if (requested.length > 0) {
+    headers.set(
+      "Access-Control-Allow-Headers",
+      policy.allowHeaders.includes("*") ? requested.join(", ") : policy.allowHeaders.join(", ")
+    );
+  }
+  applyCors(headers, request, policy);
+  return new Response(null, { status: 204, headers });
+}
+
+/**
+ * Set the CORS headers of a response (in place) for the request's Origin
+ * Does nothing unless the app has a policy.
+ */
+export function applyCors(headers, request, policy) {
+  if (!corsEnabled(policy)) {
+    return;
+  }
+  headers.append("Vary", "Origin");
+  const origin = request.headers.get("Origin");
+  if (!origin || !originAllowed(policy, origin)) {
+    headers.delete("Access-Control-Allow-Origin");
+    headers.delete("Access-Control-Allow-Credentials");
+    return;
+  }
+
+  const anyOrigin = policy.allowOrigins.includes("*");
+  headers.set("Access-Control-Allow-Origin", anyOrigin ? "*" : origin);
+  if (policy.allowCredentials) {
+    headers.set("Access-Control-Allow-Credentials", "true");
+  }
+  if (policy.exposeHeaders.length > 0) {
+    headers.set("Access-Control-Expose-Headers", policy.exposeHeaders.join(", "));
+  }
+}
+
+function originAllowed(policy, origin) {
+  return policy.allowOrigins.some((allowed) => allowed === "*" || originPattern(allowed).test(origin));
+}
+
+function originPattern(allowed) {
+  const escaped = allowed.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace("*", "[a-z0-9-]+(?:\\.[a-z0-9-]+)*")}$`, "i");
+}
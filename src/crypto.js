@@ -0,0 +1,114 @@
+/**
+ * Crypto Helpers
+ *
+ * Small wrappers around the Web Crypto API (crypto.subtle) that is built into
+ * the Workers runtime. No npm packages are needed for signing tokens or
+ * encrypting secrets.
+ */
+
+const encoder = new TextEncoder();
+
+// =============================================================================
+// ENCODING
+// =============================================================================
+
+/**
+ * Encode bytes (or a string) as URL-safe base64 without padding
+ * Safe to use inside tokens, headers and URLs
+ */
+export function base64UrlEncode(input) {
+  const bytes = typeof input === "string" ? encoder.encode(input) : new Uint8Array(input);
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode URL-safe base64 back into bytes
+ * Throws if the input is not valid base64
+ */
+export function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+/**
+ * Compute an HMAC-SHA256 signature of `message` using `secret`
+ * Returns the raw signature bytes
+ */
+export async function hmacSign(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(message)));
+}
+
+/**
+ * Compare two strings without leaking where they differ through timing
+ * Always use this when checking secrets supplied by a client
+ */
+export function timingSafeEqual(a, b) {
+  const aBytes = encoder.encode(a);
+  const bBytes = encoder.encode(b);
+  if (aBytes.byteLength !== bBytes.byteLength) {
+    return false;
+  }
+  return crypto.subtle.timingSafeEqual(aBytes, bBytes);
+}
+
+// =============================================================================
+// ENCRYPTION AT REST
+// =============================================================================
+
+/**
+ * Encrypt a string with AES-256-GCM
+ *
+ * The key is derived from `secret` (any string) with SHA-256. `context` is
+ * bound to the ciphertext as additional data, so a value encrypted for one
+ * app/key can't be copied over another. Returns { iv, ciphertext } (base64url).
+ */
+export async function encryptString(secret, plaintext, context) {
+  const key = await deriveAesKey(secret);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: encoder.encode(context) },
+    key,
+    encoder.encode(plaintext)
+  );
+  return { iv: base64UrlEncode(iv), ciphertext: base64UrlEncode(ciphertext) };
+}
+
+/**
+ * Decrypt a value produced by encryptString()
+ * Throws if the key or context don't match
+ */
+export async function decryptString(secret, { iv, ciphertext }, context) {
+  const key = await deriveAesKey(secret);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: base64UrlDecode(iv), additionalData: encoder.encode(context) },
+    key,
+    base64UrlDecode(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+async function deriveAesKey(secret) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(secret));
+  return crypto.subtle.importKey("raw", digest, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+}
@@ -0,0 +1,155 @@
+/**
+ * Hostname Routing
+ *
+ * Maps the Host header of a request to an appId, before the path (/app/{appId})
+ * and query (?appId=) patterns are tried:
+ *
+ * 1. Platform subdomains - {appId}.PLATFORM_DOMAIN
+ *    Automatic for every app, e.g. https://my-app.vibeapps.com. Hostnames
+ *    are case-insensitive, so the TenantRegistry maps the subdomain back to
+ *    the appId as it was created (https://myapp.vibeapps.com → MyApp).
+ *
+ * 2. Custom domains - e.g. https://www.my-bakery.com
+ *    Attached with POST /app/{appId}/_domains and verified with a TXT record:
+ *      _vibe-challenge.www.my-bakery.com  TXT  "vibe-verify=<token>"
+ *    Only verified domains route traffic. The domain map lives in the
+ *    TenantRegistry (domains table).
+ *
+ * LOCAL DEVELOPMENT:
+ * Set DOMAIN_VERIFICATION = "simulate" and pass the TXT records you *would*
+ * have published in the verify request body: { "txt": ["vibe-verify=..."] }.
+ * The token is still checked, only the DNS lookup is skipped.
+ */
+
+import { getRegistry } from "./registry.js";
+
+const CHALLENGE_PREFIX = "_vibe-challenge";
+const CHALLENGE_VALUE_PREFIX = "vibe-verify=";
+
+// Subdomains of PLATFORM_DOMAIN that never map to an app
+const RESERVED_SUBDOMAINS = ["www", "api", "platform", "admin", "app"];
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Same per-isolate caching approach as resolveApp() in registry.js - only
+// hits are cached, so a domain is routed as soon as it is verified
+const HOSTNAME_CACHE_TTL_MS = 30 * 1000;
+const hostnameCache = new Map();
+
+/**
+ * Find the appId a hostname routes to, or null for platform hostnames
+ */
+export async function resolveHostname(env, hostname) {
+  const host = hostname.toLowerCase();
+
+  // Pattern 1: {appId}.PLATFORM_DOMAIN
+  const platformDomain = env.PLATFORM_DOMAIN?.toLowerCase();
+  if (platformDomain) {
+    if (host === platformDomain) {
+      return null;
+    }
+    if (host.endsWith("." + platformDomain)) {
+      const subdomain = host.slice(0, -(platformDomain.length + 1));
+      if (subdomain.includes(".") || RESERVED_SUBDOMAINS.includes(subdomain)) {
+        return null;
+      }
+      // An unknown subdomain still belongs to the app side - it gets the
+      // router's "App Not Found"
+      return (await cachedLookup(host, () => getRegistry(env).lookupSubdomain(subdomain))) || subdomain;
+    }
+  }
+
+  // workers.dev and localhost are always the platform itself
+  if (host.endsWith(".workers.dev") || host === "localhost" || host === "127.0.0.1") {
+    return null;
+  }
+
+  // Pattern 2: verified custom domains
+  return cachedLookup(host, () => getRegistry(env).lookupDomain(host));
+}
+
+/**
+ * Drop a hostname from this isolate's cache (e.g. after it's removed)
+ */
+export function forgetHostname(hostname) {
+  hostnameCache.delete(hostname.toLowerCase());
+}
+
+/**
+ * Validate a custom hostname
+ * Returns an error message, or null if it can be attached
+ */
+export function validateCustomHostname(env, hostname) {
+  if (typeof hostname !== "string" || !HOSTNAME_PATTERN.test(hostname)) {
+    return "Hostname must be a valid lowercase domain name, e.g. www.example.com";
+  }
+  const platformDomain = env.PLATFORM_DOMAIN?.toLowerCase();
+  if (platformDomain && (hostname === platformDomain || hostname.endsWith("." + platformDomain))) {
+    return `Subdomains of ${platformDomain} are routed automatically`;
+  }
+  if (hostname.endsWith(".workers.dev")) {
+    return "workers.dev hostnames can't be attached";
+  }
+  return null;
+}
+
+/**
+ * Add the TXT record a tenant must publish to a registry domain record
+ */
+export function withChallenge(domain) {
+  const { verificationToken, ...rest } = domain;
+  return {
+    ...rest,
+    challenge: {
+      type: "TXT",
+      name: `${CHALLENGE_PREFIX}.${domain.hostname}`,
+      value: CHALLENGE_VALUE_PREFIX + verificationToken,
+    },
+  };
+}
+
+/**
+ * Check whether the published TXT records satisfy a domain's challenge
+ */
+export function hasChallengeRecord(domain, txtRecords) {
+  return txtRecords.includes(CHALLENGE_VALUE_PREFIX + domain.verificationToken);
+}
+
+/**
+ * Get the TXT records published for a hostname's ownership challenge
+ *
+ * Uses DNS over HTTPS, or the records passed in the request body when
+ * DOMAIN_VERIFICATION is "simulate" (local development).
+ */
+export async function lookupChallengeRecords(env, hostname, simulatedRecords) {
+  if (env.DOMAIN_VERIFICATION === "simulate") {
+    return Array.isArray(simulatedRecords) ? simulatedRecords.map(String) : [];
+  }
+
+  const name = `${CHALLENGE_PREFIX}.${hostname}`;
+  const response = await fetch(
+    `https://cloudflare-dns.com/dns-query?name=${encodeURIComponent(name)}&type=TXT`,
+    { headers: { Accept: "application/dns-json" } }
+  );
+  if (!response.ok) {
+    throw new Error(`DNS lookup failed with status ${response.status}`);
+  }
+
+  const result = await response.json();
+  return (result.Answer || [])
+    .filter((answer) => answer.type === 16)
+    // TXT data comes back quoted, and long values are split into "chunks" "like this"
+    .map((answer) => answer.data.replace(/"\s*"/g, "").replace(/^"|"$/g, ""));
+}
+
+async function cachedLookup(host, lookup) {
+  const cached = hostnameCache.get(host);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.appId;
+  }
+  const appId = await lookup();
+  if (appId) {
+    hostnameCache.set(host, { appId, expiresAt: Date.now() + HOSTNAME_CACHE_TTL_MS });
+  }
+  return appId;
+}
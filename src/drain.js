@@ -0,0 +1,99 @@
+/**
+ * Graceful Restarts
+ *
+ * POST /app/{appId}/_restart?mode=graceful restarts an app without dropping
+ * requests:
+ *
+ *   1. New requests are held in the Durable Object's queue
+ *   2. In-flight requests finish (up to DRAIN_TIMEOUT_MS)
+ *   3. The container gets SIGTERM - the agent forwards it to the app, whose
+ *      shutdown handler closes the server (SIGKILL after STOP_TIMEOUT_MS)
+ *   4. The new container starts and must pass a health check (up to
+ *      READY_TIMEOUT_MS)
+ *   5. The queue is released
+ *
+ * mode=force (the default) destroys the container immediately.
+ */
+
+export const RESTART_MODES = ["graceful", "force"];
+
+export const DRAIN_TIMEOUT_MS = 30 * 1000;
+export const STOP_TIMEOUT_MS = 15 * 1000;
+export const READY_TIMEOUT_MS = 30 * 1000;
+
+const POLL_INTERVAL_MS = 250;
+
+/**
+ * Counts requests the container is still working on
+ * A request is in flight until its response body has been sent.
+ */
+export class RequestTracker {
+  constructor() {
+    this.inFlight = 0;
+    this.idleWaiters = new Set();
+  }
+
+  begin() {
+    this.inFlight++;
+  }
+
+  end() {
+    this.inFlight--;
+    if (this.inFlight === 0) {
+      for (const resolve of this.idleWaiters) {
+        resolve(true);
+      }
+      this.idleWaiters.clear();
+    }
+  }
+
+  /**
+   * Call end() once the response body has been consumed (or abandoned)
+   */
+  track(response) {
+    if (!response.body) {
+      this.end();
+      return new Response(null, response);
+    }
+    const { readable, writable } = new TransformStream();
+    response.body
+      .pipeTo(writable)
+      .catch(() => {})
+      .finally(() => this.end());
+    return new Response(readable, response);
+  }
+
+  /**
+   * Resolves true once nothing is in flight, or false after timeoutMs
+   */
+  whenIdle(timeoutMs) {
+    if (this.inFlight === 0) {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.idleWaiters.delete(done);
+        resolve(false);
+      }, timeoutMs);
+      const done = (idle) => {
+        clearTimeout(timer);
+        resolve(idle);
+      };
+      this.idleWaiters.add(done);
+    });
+  }
+}
+
+/**
+ * Poll until check() returns true - resolves false if timeoutMs passes first
+ */
+export async function waitFor(check, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return true;
+}
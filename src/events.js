@@ -0,0 +1,159 @@
+/**
+ * Container Lifecycle Events
+ *
+ * Append-only timeline of what happened to an app's container, kept in the
+ * app's Durable Object SQLite storage (table lifecycle_events) and served
+ * by GET /app/{appId}/_events:
+ *
+ *   { id, timestamp, type, reason, durationMs, detail }
+ *
+ * TYPES:
+ *   wake     - a request or lifecycle policy booted the container
+ *              (durationMs = time until it was ready)
+ *   start    - the container came up
+ *   stop     - the container went down (durationMs = uptime)
+ *   sleep    - the container was stopped for being idle, or evicted to
+ *              free a slot for an app of a higher plan (src/capacity.js)
+ *   restart  - the container was restarted (reason: manual, health-check,
+ *              env-change, deploy, rollback, promote; detail.mode: force or
+ *              graceful; durationMs = time taken)
+ *   release  - a release became active (reason: deploy, rollback or
+ *              promote, detail.version)
+ *   canary   - a canary release started, changed weight or ended (reason:
+ *              start, weight, promote, abort, error-rate; durationMs = its
+ *              lifetime once it ended)
+ *   scale    - the replica count changed (reason: autoscale or policy,
+ *              detail.from, detail.to, detail.rate)
+ *   error    - the container or a cold start failed
+ *   health   - a health check failed
+ *   snapshot - the data directory was saved to R2 (durationMs = time taken)
+ *   restore  - the data directory was restored from a snapshot
+ *
+ * RETENTION:
+ * Bounded on every write - the newest MAX_EVENTS events, and nothing older
+ * than EVENT_RETENTION_MS.
+ */
+
+import { decodeCursor, readPage } from "./pagination.js";
+
+export const EVENT_TYPES = [
+  "wake",
+  "start",
+  "stop",
+  "sleep",
+  "restart",
+  "release",
+  "canary",
+  "scale",
+  "error",
+  "health",
+  "snapshot",
+  "restore",
+];
+
+const MAX_EVENTS = 5_000;
+const EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Create the events table (sql.exec is synchronous - safe in a constructor)
+ */
+export function createEventsTable(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS lifecycle_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      reason TEXT,
+      duration_ms INTEGER,
+      detail TEXT
+    );
+    CREATE INDEX IF NOT EXISTS lifecycle_events_timestamp ON lifecycle_events (timestamp);
+  `);
+}
+
+/**
+ * Append an event and enforce the retention bounds
+ */
+export function appendEvent(sql, { type, reason = null, durationMs = null, detail = null, timestamp = Date.now() }) {
+  const { id } = sql
+    .exec(
+      `INSERT INTO lifecycle_events (timestamp, type, reason, duration_ms, detail)
+       VALUES (?, ?, ?, ?, ?) RETURNING id`,
+      timestamp,
+      type,
+      reason,
+      durationMs === null ? null : Math.round(durationMs),
+      detail === null ? null : JSON.stringify(detail)
+    )
+    .one();
+
+  sql.exec("DELETE FROM lifecycle_events WHERE id <= ? OR timestamp < ?", id - MAX_EVENTS, Date.now() - EVENT_RETENTION_MS);
+}
+
+/**
+ * Validate GET /_events filters
+ * Returns an error message, or null if they are valid
+ */
+export function validateEventQuery({ type }) {
+  const unknown = (type || "").split(",").filter((name) => name && !EVENT_TYPES.includes(name));
+  if (unknown.length > 0) {
+    return `type must be a comma-separated list of: ${EVENT_TYPES.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Query the timeline, newest first
+ *
+ * Filters (all optional):
+ *   type        - "restart" or "start,stop"
+ *   from / to   - ms timestamps
+ *   limit       - page size (default 50, max 200)
+ *   cursor      - nextCursor from the previous page
+ */
+export function queryEvents(sql, { type, from, to, limit, cursor } = {}) {
+  const where = [];
+  const params = [];
+
+  const types = (type || "").split(",").filter(Boolean);
+  if (types.length > 0) {
+    where.push(`type IN (${types.map(() => "?").join(", ")})`);
+    params.push(...types);
+  }
+  if (from) {
+    where.push("timestamp >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("timestamp < ?");
+    params.push(to);
+  }
+  const after = decodeCursor(cursor, { numeric: true });
+  if (after !== null) {
+    where.push("id < ?");
+    params.push(after);
+  }
+
+  const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+  const { rows, nextCursor } = readPage(
+    sql,
+    `SELECT * FROM lifecycle_events ${whereClause} ORDER BY id DESC LIMIT ?`,
+    params,
+    { limit, defaultSize: DEFAULT_PAGE_SIZE, maxSize: MAX_PAGE_SIZE, cursorColumn: "id" }
+  );
+  return { events: rows.map(toEvent), nextCursor };
+}
+
+function toEvent(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    type: row.type,
+    reason: row.reason,
+    durationMs: row.duration_ms,
+    detail: row.detail ? JSON.parse(row.detail) : null,
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Health Checks & Auto-Recovery
+ *
+ * While an app's container runs, its Durable Object probes the app's
+ * HEALTH_CHECK_PATH on an alarm (Container.schedule) every
+ * HEALTH_CHECK_INTERVAL_SECONDS:
+ *
+ *   probe ok ──────────────────────────▶ failures = 0
+ *   probe failed ──▶ failures + 1 ──▶ FAILURE_THRESHOLD reached?
+ *                                        │
+ *                 circuit open? ◀────────┘
+ *                   │ no
+ *                   ▼
+ *   MAX_RESTARTS in CRASH_LOOP_WINDOW? ──yes──▶ open the circuit (no more
+ *                   │ no                         restarts for CIRCUIT_OPEN_MS,
+ *                   ▼                            or until a manual restart)
+ *   backoff over? ──yes──▶ restart, next backoff doubles (up to BACKOFF_MAX_MS)
+ *
+ * A probe fails on a network error, a timeout or a 5xx. Apps that don't
+ * serve HEALTH_CHECK_PATH (404) count as healthy - they answered.
+ *
+ * Stored in the app's Durable Object as "health", with a bounded history
+ * of recovery events that GET /_status reports.
+ */
+
+export const HEALTH_CHECK_PATH = "/health";
+export const HEALTH_CHECK_INTERVAL_SECONDS = 30;
+
+const PROBE_TIMEOUT_MS = 5 * 1000;
+
+// Consecutive failed probes before the container is restarted
+const FAILURE_THRESHOLD = 3;
+
+// Delay before the next automatic restart: 10s, 20s, 40s... up to 5 minutes
+const BACKOFF_BASE_MS = 10 * 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// More restarts than this within the window is a crash loop
+const CRASH_LOOP_WINDOW_MS = 15 * 60 * 1000;
+const CRASH_LOOP_MAX_RESTARTS = 5;
+const CIRCUIT_OPEN_MS = 60 * 60 * 1000;
+
+const HISTORY_LIMIT = 50;
+
+export const INITIAL_HEALTH_STATE = {
+  consecutiveFailures: 0,
+  lastCheckedAt: null,
+  lastProbe: null,
+  restarts: [],
+  nextRestartAt: null,
+  circuitOpenUntil: null,
+  history: [],
+};
+
+/**
+ * Probe the app once through the container's TCP port
+ * Returns { healthy, status?, error?, latencyMs } - never throws
+ */
+export async function probeHealth(port) {
+  const started = Date.now();
+  try {
+    const response = await port.fetch(`http://container${HEALTH_CHECK_PATH}`, {
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+    return { healthy: response.status < 500, status: response.status, latencyMs: Date.now() - started };
+  } catch (error) {
+    const message = error.name === "TimeoutError" ? `No response within ${PROBE_TIMEOUT_MS / 1000}s` : error.message;
+    return { healthy: false, error: message, latencyMs: Date.now() - started };
+  }
+}
+
+/**
+ * Apply one probe result to the stored state
+ * Returns { state, restart } - restart is true when the caller should
+ * restart the container now (the restart is already recorded).
+ */
+export function applyProbe(state, probe, now = Date.now()) {
+  const next = {
+    ...state,
+    lastCheckedAt: now,
+    lastProbe: probe,
+    restarts: state.restarts.filter((time) => time > now - CRASH_LOOP_WINDOW_MS),
+    history: [...state.history],
+  };
+
+  if (next.circuitOpenUntil && next.circuitOpenUntil <= now) {
+    next.circuitOpenUntil = null;
+    addEvent(next, now, "circuit-closed", "Cooldown over - automatic restarts resume");
+  }
+
+  if (probe.healthy) {
+    if (state.consecutiveFailures >= FAILURE_THRESHOLD) {
+      addEvent(next, now, "recovered", "Health checks are passing again");
+    }
+    next.consecutiveFailures = 0;
+    return { state: next, restart: false };
+  }
+
+  next.consecutiveFailures++;
+  if (next.consecutiveFailures === FAILURE_THRESHOLD) {
+    addEvent(next, now, "unhealthy", `${FAILURE_THRESHOLD} consecutive health checks failed: ${describeProbe(probe)}`);
+  }
+  if (next.consecutiveFailures < FAILURE_THRESHOLD || next.circuitOpenUntil) {
+    return { state: next, restart: false };
+  }
+
+  if (next.restarts.length >= CRASH_LOOP_MAX_RESTARTS) {
+    next.circuitOpenUntil = now + CIRCUIT_OPEN_MS;
+    addEvent(
+      next,
+      now,
+      "circuit-open",
+      `Crash loop: ${next.restarts.length} restarts in ${CRASH_LOOP_WINDOW_MS / 60000} minutes - ` +
+        `automatic restarts paused for ${CIRCUIT_OPEN_MS / 60000} minutes`
+    );
+    return { state: next, restart: false };
+  }
+  if (next.nextRestartAt && now < next.nextRestartAt) {
+    return { state: next, restart: false };
+  }
+
+  next.restarts.push(now);
+  const backoff = Math.min(BACKOFF_BASE_MS * 2 ** (next.restarts.length - 1), BACKOFF_MAX_MS);
+  next.nextRestartAt = now + backoff;
+  // The new container gets FAILURE_THRESHOLD fresh probes
+  next.consecutiveFailures = 0;
+  addEvent(next, now, "restart", `Automatic restart ${next.restarts.length} (next one no sooner than ${backoff / 1000}s)`);
+  return { state: next, restart: true };
+}
+
+/**
+ * A manual restart closes the circuit and forgets the backoff
+ */
+export function resetRecovery(state, now = Date.now()) {
+  const next = { ...state, consecutiveFailures: 0, restarts: [], nextRestartAt: null, history: [...state.history] };
+  if (state.circuitOpenUntil) {
+    next.circuitOpenUntil = null;
+    addEvent(next, now, "circuit-closed", "Reset by a manual restart");
+  }
+  return next;
+}
+
+/**
+ * Record an event that didn't come from a probe (failed restart, container error)
+ */
+export function withEvent(state, type, message, now = Date.now()) {
+  const next = { ...state, history: [...state.history] };
+  addEvent(next, now, type, message);
+  return next;
+}
+
+/**
+ * The "health" section of GET /_status
+ */
+export function healthSummary(state, running, now = Date.now()) {
+  let status = "unknown";
+  if (!running) status = "stopped";
+  else if (state.lastProbe) status = state.lastProbe.healthy ? "healthy" : "unhealthy";
+
+  return {
+    status,
+    consecutiveFailures: state.consecutiveFailures,
+    lastCheckedAt: state.lastCheckedAt,
+    lastProbe: state.lastProbe,
+    recentRestarts: state.restarts.filter((time) => time > now - CRASH_LOOP_WINDOW_MS).length,
+    nextRestartAt: state.nextRestartAt && state.nextRestartAt > now ? state.nextRestartAt : null,
+    circuit: state.circuitOpenUntil && state.circuitOpenUntil > now ? "open" : "closed",
+    circuitOpenUntil: state.circuitOpenUntil,
+    history: [...state.history].reverse(),
+  };
+}
+
+function addEvent(state, timestamp, type, message) {
+  state.history.push({ timestamp, type, message });
+  if (state.history.length > HISTORY_LIMIT) {
+    state.history.shift();
+  }
+}
+
+/**
+ * "HTTP 503" / "connection refused" - for logs and events
+ */
+export function describeProbe(probe) {
+  return probe.error || `HTTP ${probe.status}`;
+}
@@ -43,6 +43,183 @@
  */
 
 import { Container } from "@cloudflare/containers";
+import { appendAccessLog, createAccessLogTable, queryAccessLog, validateLogQuery, variantStats } from "./access-log.js";
+import {
+  BUNDLE_ID_PATTERN,
+  MAX_BUNDLE_BYTES,
+  bundleExists,
+  bundleFormat,
+  deleteBundles,
+  getBundleObject,
+  listBundles,
+  putBundle,
+  validateEntrypoint,
+} from "./bundles.js";
+import {
+  CANARY_STATS_WINDOW_MS,
+  DEFAULT_MAX_ERROR_RATE,
+  canaryName,
+  chooseVariant,
+  shouldAbortCanary,
+  validateCanary,
+} from "./canary.js";
+import {
+  SCOPES,
+  authorize,
+  authorizeAdmin,
+  authorizeContainer,
+  generateContainerToken,
+  identifyCaller,
+  signApiToken,
+  validateTokenRequest,
+} from "./auth.js";
+import {
+  DEFAULT_COLD_START_POLICY,
+  startingUp,
+  validateColdStartPolicy,
+  wakingPage,
+  wantsHtml,
+} from "./cold-start.js";
+import {
+  applyCors,
+  corsEnabled,
+  isPreflight,
+  preflightResponse,
+  resolveCorsPolicy,
+  validateCorsPolicy,
+} from "./cors.js";
+import { timingSafeEqual } from "./crypto.js";
+import {
+  forgetHostname,
+  hasChallengeRecord,
+  lookupChallengeRecords,
+  resolveHostname,
+  validateCustomHostname,
+  withChallenge,
+} from "./domains.js";
+import {
+  DRAIN_TIMEOUT_MS,
+  READY_TIMEOUT_MS,
+  RESTART_MODES,
+  RequestTracker,
+  STOP_TIMEOUT_MS,
+  waitFor,
+} from "./drain.js";
+import { QUEUE_POLL_MS, getCapacity } from "./capacity.js";
+import { appendEvent, createEventsTable, queryEvents, validateEventQuery } from "./events.js";
+import {
+  createKvTable,
+  kvDelete,
+  kvGet,
+  kvIncrement,
+  kvList,
+  kvPut,
+  validateKvIncrement,
+  validateKvValue,
+  validateKvWrite,
+} from "./kv.js";
+import {
+  HEALTH_CHECK_INTERVAL_SECONDS,
+  INITIAL_HEALTH_STATE,
+  applyProbe,
+  describeProbe,
+  healthSummary,
+  probeHealth,
+  resetRecovery,
+  withEvent,
+} from "./health.js";
+import {
+  DEFAULT_PLAN,
+  PLAN_LIMITS,
+  currentQuota,
+  exceededConnectionLimit,
+  exhaustedQuota,
+  isValidPlan,
+  rateLimitHeaders,
+  resolveLimits,
+  takeToken,
+  tooManyRequests,
+  validateLimitsUpdate,
+} from "./limits.js";
+import {
+  DEFAULT_LIFECYCLE_POLICY,
+  WARM_CHECK_INTERVAL_MS,
+  isWarm,
+  nextWarmUp,
+  validateLifecyclePolicy,
+} from "./lifecycle.js";
+import { AGENT_PORT, LogStream } from "./log-stream.js";
+import {
+  addRunningTime,
+  addUsage,
+  countBytes,
+  createUsageTable,
+  pruneUsage,
+  queryUsage,
+  sumUsage,
+  usageCsv,
+  usageRange,
+  withLiveRunningTime,
+} from "./metering.js";
+import { forgetApp, getRegistry, resolveApp } from "./registry.js";
+import {
+  appendRelease,
+  createReleasesTable,
+  getRelease,
+  listReleases,
+  parseVersion,
+  summarizeRelease,
+  validateDeploy,
+} from "./releases.js";
+import {
+  DEFAULT_SCALING_POLICY,
+  isPrimary,
+  isReplica,
+  observeRequest,
+  pickReplica,
+  primaryAppId,
+  readReplicaCookie,
+  replicaCookie,
+  replicaIndex,
+  replicaName,
+  validateScalingPolicy,
+} from "./replicas.js";
+import { DEFAULT_RUNTIME, RUNTIMES, getAppStub, isValidRuntime } from "./runtimes.js";
+import {
+  DATA_DIR,
+  SNAPSHOT_ID_PATTERN,
+  deleteSnapshots,
+  getSnapshotObject,
+  listSnapshots,
+  restoreSnapshot,
+  takeSnapshot,
+} from "./snapshots.js";
+import { expectsStream, isStreamingResponse, withIdleTimeout } from "./streaming.js";
+import { sealSecret, tooManyEntries, unsealSecrets, validateEnvUpdate } from "./tenant-env.js";
+import { isWebSocketUpgrade, relayWebSocket } from "./websockets.js";
+
+export { TenantRegistry } from "./registry.js";
+export { CapacityTracker } from "./capacity.js";
+
+// How often a busy app refreshes its lastActiveAt in the TenantRegistry
+const REGISTRY_ACTIVITY_INTERVAL_MS = 60 * 1000;
+
+// How many app Durable Objects the usage export queries in parallel
+const USAGE_EXPORT_CONCURRENCY = 10;
+
+// Set by the Durable Object on responses that booted the container
+const COLD_START_HEADER = "X-Vibe-Cold-Start";
+
+// Set by the Worker so the cold-start page knows where /_ready lives
+// (the Durable Object removes it before the request reaches the app)
+const READY_PATH_HEADER = "X-Vibe-Ready-Path";
+
+// Set by the Worker so the container learns the URL it calls back into
+// (PLATFORM_KV_URL) - removed like READY_PATH_HEADER
+const APP_URL_HEADER = "X-Vibe-App-Url";
+
+// API requests that can wait for one cold start at the same time
+const MAX_QUEUED_REQUESTS = 100;
 
 // =============================================================================
 // CONTAINER CLASS DEFINITION
@@ -78,8 +255,229 @@ export class VibeAppContainer extends Container {
    * Container will automatically wake up on the next request
    * 
    * Format: "30s", "5m", "1h", etc.
+   * An app's lifecycle policy can override it (see src/lifecycle.js)
    */
   sleepAfter = "10m";
+  defaultSleepAfter = this.sleepAfter;
+
+  /**
+   * Idle timeout, always-on and warm windows - loaded from storage on start
+   */
+  lifecyclePolicy = DEFAULT_LIFECYCLE_POLICY;
+
+  /**
+   * Which runtime/image this class runs (see src/runtimes.js)
+   * Subclasses below override these for the python and static images
+   */
+  runtime = "node";
+  imageVersion = RUNTIMES.node.imageVersion;
+
+  /**
+   * Per-second token bucket (see src/limits.js)
+   * In memory only - the daily/monthly quota counters are persisted
+   */
+  rateBucket = null;
+
+  /**
+   * Cold start in progress (shared by every request that arrives meanwhile)
+   * and the error of the last failed one - see wakeContainer()
+   */
+  waking = null;
+  wakeError = null;
+  queuedRequests = 0;
+
+  /**
+   * Graceful restart in progress (requests wait for it like for a cold
+   * start) and the requests the container is still answering - see
+   * src/drain.js
+   */
+  restarting = null;
+  requests = new RequestTracker();
+
+  /**
+   * Replica coordination (see src/replicas.js) - the request rate window
+   * and replica count (persisted as "scaling" when a window closes), and
+   * per replica the requests in flight and the round-robin position
+   */
+  scaling = null;
+  replicaLoads = [];
+  replicaCursor = 0;
+
+  /**
+   * WebSocket connections (see src/websockets.js) - those of the whole app
+   * (counted by the app's DO against the plan limit) and those this DO
+   * relays to its own container - and the app's open streaming responses
+   * (see src/streaming.js)
+   */
+  webSockets = 0;
+  relayedWebSockets = 0;
+  streams = 0;
+
+  /**
+   * Set by deprovision() (see isDeleted)
+   */
+  deleted = false;
+
+  constructor(ctx, env) {
+    super(ctx, env);
+    
+    // Hourly usage for billing (see src/metering.js), the access log
+    // (see src/access-log.js), the lifecycle timeline (see src/events.js),
+    // the tenant KV store (see src/kv.js) and releases (see src/releases.js)
+    createUsageTable(ctx.storage.sql);
+    createAccessLogTable(ctx.storage.sql);
+    createEventsTable(ctx.storage.sql);
+    createKvTable(ctx.storage.sql);
+    createReleasesTable(ctx.storage.sql);
+    
+    // Live stdout/stderr from the platform agent (see src/log-stream.js)
+    this.logs = new LogStream({
+      connect: (since) =>
+        this.ctx.container.getTcpPort(AGENT_PORT).fetch(`http://container/logs?since=${since}`),
+      isRunning: () => this.ctx.container.running,
+    });
+    
+    // Load this tenant's env vars/secrets and lifecycle policy before the
+    // first request can start the container (the Container class passes
+    // this.envVars on start)
+    ctx.blockConcurrencyWhile(async () => {
+      await this.loadContainerConfig();
+      await this.loadLifecyclePolicy();
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // REQUEST HANDLING
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Entry point for requests forwarded by the Worker (appContainer.fetch)
+   * A deleted app must never boot its container again, even if a Worker
+   * isolate still has it cached as active.
+   * 
+   * While the container boots, browsers get a "waking up" page and API
+   * requests wait in a queue (see src/cold-start.js). Responses that had to
+   * boot the container are flagged with COLD_START_HEADER for the access
+   * log (the Worker strips it). A graceful restart holds requests the same
+   * way until the new container is healthy.
+   */
+  async fetch(request) {
+    if (await this.ctx.storage.get("tombstone")) {
+      return Response.json(
+        { error: "App Not Found", message: "This app has been deleted" },
+        { status: 404 }
+      );
+    }
+    
+    const appId = this.ctx.id.name || "unknown";
+    const readyPath = request.headers.get(READY_PATH_HEADER);
+    const appUrl = request.headers.get(APP_URL_HEADER);
+    if (readyPath || appUrl) {
+      request = new Request(request);
+      request.headers.delete(READY_PATH_HEADER);
+      request.headers.delete(APP_URL_HEADER);
+    }
+    if (appUrl) {
+      await this.setAppUrl(appUrl);
+    }
+    
+    if (this.restarting) {
+      const policy = await this.getColdStartPolicy();
+      if (!(await this.waitInQueue(this.restarting, policy.maxWaitSeconds))) {
+        return startingUp(appId, "The app is restarting - try again shortly");
+      }
+    }
+    
+    const coldStart = !this.ctx.container.running || Boolean(this.waking);
+    if (coldStart) {
+      const waking = this.wakeContainer();
+      const policy = await this.getColdStartPolicy();
+      
+      if (policy.interstitial && readyPath && wantsHtml(request)) {
+        return wakingPage(appId, readyPath);
+      }
+      if (!(await this.waitInQueue(waking, policy.maxWaitSeconds))) {
+        return startingUp(appId);
+      }
+      if (this.wakeError) {
+        return startingUp(appId, `The app failed to start: ${this.wakeError}`);
+      }
+    }
+    
+    if (isWebSocketUpgrade(request)) {
+      return this.acceptWebSocket(await super.fetch(request), coldStart);
+    }
+    
+    this.requests.begin();
+    let response;
+    try {
+      response = this.requests.track(await super.fetch(request));
+    } catch (error) {
+      this.requests.end();
+      throw error;
+    }
+    if (coldStart) {
+      response.headers.set(COLD_START_HEADER, "1");
+    }
+    return response;
+  }
+
+  /**
+   * Relay an upgraded connection (see src/websockets.js)
+   * A refused upgrade (any other response) is passed on as is - the Worker
+   * gives the app's connection back then.
+   */
+  acceptWebSocket(response, coldStart) {
+    if (response.status !== 101 || !response.webSocket) {
+      return response;
+    }
+    
+    this.relayedWebSockets++;
+    const client = relayWebSocket(response.webSocket, (bytes) => {
+      this.relayedWebSockets--;
+      this.renewActivityTimeout();
+      const app = isPrimary(this.ctx.id.name) ? this : this.appStub(primaryAppId(this.ctx.id.name));
+      this.ctx.waitUntil(app.closeWebSocket(bytes));
+    });
+    
+    const headers = new Headers(response.headers);
+    if (coldStart) {
+      headers.set(COLD_START_HEADER, "1");
+    }
+    return new Response(null, { status: 101, headers, webSocket: client });
+  }
+
+  /**
+   * A WebSocket of this app closed (or its upgrade was refused) - give the
+   * connection back and bill the bytes its messages took
+   */
+  async closeWebSocket({ bytesIn = 0, bytesOut = 0 } = {}) {
+    this.webSockets = Math.max(0, this.webSockets - 1);
+    if (bytesIn || bytesOut) {
+      addUsage(this.ctx.storage.sql, Date.now(), { bytesIn, bytesOut });
+    }
+  }
+
+  /**
+   * Hold a request until `gate` settles, for at most maxWaitSeconds
+   * Returns false if the queue is full or the wait timed out.
+   */
+  async waitInQueue(gate, maxWaitSeconds) {
+    if (this.queuedRequests >= MAX_QUEUED_REQUESTS) {
+      return false;
+    }
+    this.queuedRequests++;
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), maxWaitSeconds * 1000);
+    });
+    try {
+      return await Promise.race([gate.then(() => true), timeout]);
+    } finally {
+      clearTimeout(timer);
+      this.queuedRequests--;
+    }
+  }
 
   // ---------------------------------------------------------------------------
   // LIFECYCLE HOOKS (Optional - implement for custom behavior)
@@ -94,9 +492,26 @@ export class VibeAppContainer extends Container {
     console.log(`[${appId}] Container started`);
     
     // Example: Track start time in Durable Object storage
+    const startCount = ((await this.ctx.storage.get("startCount")) || 0) + 1;
     await this.ctx.storage.put("lastStarted", Date.now());
-    await this.ctx.storage.put("startCount", 
-      ((await this.ctx.storage.get("startCount")) || 0) + 1
+    await this.ctx.storage.put("startCount", startCount);
+    this.recordEvent({ type: "start", detail: { startCount, imageVersion: this.imageVersion } });
+    
+    // Metering: every boot is a cold start, uptime is billed from here
+    await this.ctx.storage.put("runningSince", Date.now());
+    
+    this.logs.containerStarted();
+    await this.scheduleHealthCheck();
+    
+    // onStart blocks the DO's other events - calls to other Durable Objects
+    // run after it. DATA_DIR was restored by the agent before the app
+    // started (see src/snapshots.js).
+    this.ctx.waitUntil(
+      (async () => {
+        await this.syncCapacity("claim", await this.slotRequest());
+        await this.syncRegistry({ status: "running", lastActiveAt: Date.now() });
+        await this.meterContainer({ coldStarts: 1 });
+      })()
     );
   }
 
@@ -104,11 +519,55 @@ export class VibeAppContainer extends Container {
    * Called when container stops (goes to sleep or is terminated)
    * Use this for cleanup, saving state, logging, etc.
    */
-  async onStop() {
+  async onStop({ exitCode = 0 } = {}) {
     const appId = this.ctx.id.name || "unknown";
     console.log(`[${appId}] Container stopped`);
+    if (await this.isDeleted()) {
+      return;
+    }
     
     await this.ctx.storage.put("lastStopped", Date.now());
+    
+    // Metering: bill the uptime since onStart, split across hours
+    const runningSince = await this.ctx.storage.get("runningSince");
+    const stoppedAt = Date.now();
+    await this.ctx.storage.delete("runningSince");
+    this.recordEvent({
+      type: "stop",
+      reason: exitCode === 0 ? "exited" : `exit code ${exitCode}`,
+      durationMs: runningSince ? stoppedAt - runningSince : null,
+      detail: { exitCode },
+    });
+    
+    this.logs.containerStopped();
+    const token = this.envVars.PLATFORM_TOKEN;
+    this.ctx.waitUntil(
+      (async () => {
+        await this.syncCapacity("release", this.ctx.id.name);
+        await this.syncRegistry({ status: "stopped" });
+        await this.unregisterReplicaToken(token);
+        if (runningSince) {
+          await this.meterContainer({ runningSince, stoppedAt });
+        }
+      })()
+    );
+  }
+
+  /**
+   * Called by the Container class when sleepAfter has passed without requests
+   * Keeps the container up while the lifecycle policy wants it warm, or
+   * while requests (streams included) or WebSockets to it are open.
+   */
+  async onActivityExpired() {
+    if (isWarm(this.lifecyclePolicy) || this.requests.inFlight > 0 || this.relayedWebSockets > 0) {
+      this.renewActivityTimeout();
+      return;
+    }
+    if (this.ctx.container.running) {
+      this.recordEvent({ type: "sleep", reason: `idle for ${this.sleepAfter}` });
+      await this.snapshotData("sleep");
+    }
+    await super.onActivityExpired();
   }
 
   /**
@@ -123,6 +582,63 @@ export class VibeAppContainer extends Container {
       message: error.message,
       timestamp: Date.now(),
     });
+    await this.updateHealth((health) => withEvent(health, "error", error.message));
+    this.recordEvent({ type: "error", reason: error.message });
+  }
+
+  // ---------------------------------------------------------------------------
+  // HEALTH CHECKS & AUTO-RECOVERY (see src/health.js)
+  // ---------------------------------------------------------------------------
+
+  async scheduleHealthCheck() {
+    this.deleteSchedules("checkHealth");
+    await this.schedule(HEALTH_CHECK_INTERVAL_SECONDS, "checkHealth");
+  }
+
+  /**
+   * Scheduled callback - probe the app and restart it if it stays unhealthy
+   * Probes go straight to the container's port, so they don't count as
+   * activity and never keep an idle app awake. Stops when the container
+   * does; onStart schedules the next one.
+   */
+  async checkHealth() {
+    if (!this.ctx.container.running || (await this.ctx.storage.get("tombstone"))) {
+      return;
+    }
+    
+    const probe = await probeHealth(this.ctx.container.getTcpPort(this.defaultPort));
+    const { state, restart } = applyProbe(await this.getHealth(), probe);
+    await this.ctx.storage.put("health", state);
+    if (!probe.healthy) {
+      this.recordEvent({
+        type: "health",
+        reason: describeProbe(probe),
+        durationMs: probe.latencyMs,
+        detail: { consecutiveFailures: state.consecutiveFailures, status: probe.status ?? null },
+      });
+    }
+    
+    if (restart) {
+      const appId = this.ctx.id.name || "unknown";
+      console.warn(`[${appId}] Unhealthy - restarting container`);
+      try {
+        await this.restart({ reason: "health-check" });
+      } catch (error) {
+        await this.updateHealth((health) => withEvent(health, "restart-failed", error.message));
+      }
+    }
+    if (this.ctx.container.running) {
+      await this.syncCapacity("heartbeat", this.ctx.id.name);
+      await this.scheduleHealthCheck();
+    }
+  }
+
+  async getHealth() {
+    return { ...INITIAL_HEALTH_STATE, ...(await this.ctx.storage.get("health")) };
+  }
+
+  async updateHealth(update) {
+    await this.ctx.storage.put("health", update(await this.getHealth()));
   }
 
   // ---------------------------------------------------------------------------
@@ -134,6 +650,128 @@ export class VibeAppContainer extends Container {
    *   const status = await container.getAppStatus();
    */
 
+  /**
+   * Start the container in the background, once
+   * Every request that arrives during the boot shares the same promise.
+   * Never rejects - a failed boot is kept in this.wakeError.
+   */
+  wakeContainer(reason = "request") {
+    const appId = this.ctx.id.name || "unknown";
+    const startedAt = Date.now();
+    // A replica picks up the app's current config (see src/replicas.js)
+    this.waking ??= this.reserveSlot()
+      .then(() => (isReplica(this.ctx.id.name) ? this.loadContainerConfig() : this.rotateContainerToken()))
+      .then(() => this.startAndWaitForPorts())
+      .then(() => {
+        this.wakeError = null;
+        this.recordEvent({ type: "wake", reason, durationMs: Date.now() - startedAt });
+      })
+      .catch((error) => {
+        console.error(`[${appId}] Cold start failed:`, error.message);
+        this.wakeError = error.message;
+        if (!this.ctx.container.running) {
+          this.syncCapacity("release", this.ctx.id.name);
+        }
+        this.recordEvent({ type: "error", reason: `Cold start failed: ${error.message}`, durationMs: Date.now() - startedAt });
+      })
+      .finally(() => {
+        this.waking = null;
+      });
+    return this.waking;
+  }
+
+  /**
+   * Whether the app can serve requests right now
+   * Polled by the cold-start page - this never wakes the container itself.
+   */
+  async getReadiness() {
+    const running = this.ctx.container.running;
+    return {
+      ready: running && !this.waking && !this.restarting,
+      starting: Boolean(this.waking || this.restarting),
+      error: running || this.waking ? null : this.wakeError,
+    };
+  }
+
+  /**
+   * Cold start policy - see src/cold-start.js
+   */
+  async getColdStartPolicy() {
+    return { ...DEFAULT_COLD_START_POLICY, ...(await this.ctx.storage.get("coldStartPolicy")) };
+  }
+
+  async setColdStartPolicy(update) {
+    const invalid = validateColdStartPolicy(update);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    const policy = {
+      ...(await this.getColdStartPolicy()),
+      ...(update.interstitial !== undefined && { interstitial: update.interstitial }),
+      ...(update.maxWaitSeconds !== undefined && { maxWaitSeconds: update.maxWaitSeconds }),
+      updatedAt: Date.now(),
+    };
+    await this.ctx.storage.put("coldStartPolicy", policy);
+    return { success: true, policy };
+  }
+
+  /**
+   * Lifecycle policy - see src/lifecycle.js
+   */
+  async getLifecyclePolicy() {
+    return { ...DEFAULT_LIFECYCLE_POLICY, ...(await this.ctx.storage.get("lifecyclePolicy")) };
+  }
+
+  async setLifecyclePolicy(update) {
+    const invalid = validateLifecyclePolicy(update);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    const policy = {
+      ...(await this.getLifecyclePolicy()),
+      ...(update.idleTimeout !== undefined && { idleTimeout: update.idleTimeout }),
+      ...(update.alwaysOn !== undefined && { alwaysOn: update.alwaysOn }),
+      ...(update.warmWindows !== undefined && { warmWindows: update.warmWindows }),
+      updatedAt: Date.now(),
+    };
+    await this.ctx.storage.put("lifecyclePolicy", policy);
+    await this.loadLifecyclePolicy();
+    await this.enforceLifecyclePolicy();
+    return { success: true, policy };
+  }
+
+  /**
+   * Apply the stored policy's idle timeout to this instance
+   */
+  async loadLifecyclePolicy() {
+    this.lifecyclePolicy = await this.getLifecyclePolicy();
+    this.sleepAfter = this.lifecyclePolicy.idleTimeout || this.defaultSleepAfter;
+    this.renewActivityTimeout();
+  }
+
+  /**
+   * Scheduled callback (Container.schedule) - starts the container when it
+   * should be warm, then schedules the next check: every few minutes while
+   * warm, otherwise when the next warm window opens
+   */
+  async enforceLifecyclePolicy() {
+    if (await this.ctx.storage.get("tombstone")) {
+      return;
+    }
+    
+    const now = Date.now();
+    const warm = isWarm(this.lifecyclePolicy, now);
+    if (warm && !this.ctx.container.running) {
+      await this.wakeContainer("lifecycle-policy");
+    }
+    
+    this.deleteSchedules("enforceLifecyclePolicy");
+    const next = warm ? now + WARM_CHECK_INTERVAL_MS : nextWarmUp(this.lifecyclePolicy, now);
+    if (next !== null) {
+      await this.schedule(new Date(next), "enforceLifecyclePolicy");
+    }
+  }
+
   /**
    * Get detailed status about this app's container
    * Useful for admin dashboards, monitoring, debugging
@@ -149,6 +787,10 @@ export class VibeAppContainer extends Container {
     // Same appId ALWAYS produces same DO ID
     const doId = this.ctx.id.toString();
     
+    // The app's containers across all its replicas (see src/replicas.js)
+    const replicas = await this.getReplicas();
+    const replicasRunning = replicas.running > 0;
+    
     return {
       appId,
       
@@ -160,20 +802,46 @@ export class VibeAppContainer extends Container {
       },
       
       container: {
-        running: isRunning,
-        status: isRunning ? "running" : "stopped",
+        running: replicasRunning,
+        status: replicasRunning ? "running" : "stopped",
         port: this.defaultPort,
       },
       
+      replicas,
+      
+      runtime: {
+        name: this.runtime,
+        imageVersion: this.imageVersion,
+      },
+      
+      // The release the container runs (POST /_deploy), or null
+      release: await this.getActiveRelease(),
+      
+      // The canary release next to it with both variants' error rates, or null
+      canary: await this.getCanary(),
+      
+      // Health checks and the auto-recovery history, newest first
+      health: healthSummary(await this.getHealth(), isRunning),
+      
+      // Active lifecycle policy and what it means right now
+      lifecycle: {
+        policy: this.lifecyclePolicy,
+        sleepAfter: this.sleepAfter,
+        warm: isWarm(this.lifecyclePolicy),
+        nextWarmUp: nextWarmUp(this.lifecyclePolicy),
+      },
+      
       // Container location is stored when container is accessed
       containerLocation: await this.ctx.storage.get("containerLocation") || null,
       
       stats: {
-        startCount: await this.ctx.storage.get("startCount") || 0,
-        lastStarted: await this.ctx.storage.get("lastStarted"),
-        lastStopped: await this.ctx.storage.get("lastStopped"),
+        startCount: replicas.instances.reduce((sum, instance) => sum + instance.startCount, 0),
+        lastStarted: latest(replicas.instances.map((instance) => instance.lastStarted)),
+        lastStopped: latest(replicas.instances.map((instance) => instance.lastStopped)),
         lastError: await this.ctx.storage.get("lastError"),
         totalRequests: await this.ctx.storage.get("totalRequests") || 0,
+        openWebSockets: this.webSockets,
+        openStreams: this.streams,
       },
       
       metadata: await this.ctx.storage.get("metadata") || {},
@@ -181,305 +849,3159 @@ export class VibeAppContainer extends Container {
   }
   
   /**
-   * Store the container's location and increment request counter
-   * Called from the Worker with CF location headers
+   * Record a forwarded request: location, request counter, metered usage
+   * and its access log entry
+   * Called from the Worker once the response body has been sent
    */
-  async updateLocation(location) {
+  async recordRequest({ location, bytesIn = 0, bytesOut = 0, log, replica = null, stream = false }) {
+    this.releaseReplica(replica);
+    if (stream) {
+      this.streams = Math.max(0, this.streams - 1);
+    }
+    if (await this.isDeleted()) {
+      return { totalRequests: 0 };
+    }
+    
     // Increment total request count (persists in DO storage)
     const totalRequests = ((await this.ctx.storage.get("totalRequests")) || 0) + 1;
     await this.ctx.storage.put("totalRequests", totalRequests);
     await this.ctx.storage.put("containerLocation", location);
+    addUsage(this.ctx.storage.sql, Date.now(), { requests: 1, bytesIn, bytesOut });
+    appendAccessLog(this.ctx.storage.sql, log);
+    if (log.variant === "canary" && log.status >= 500) {
+      await this.checkCanary();
+    }
+    
+    // Register on the first request, then refresh last-active at most once a minute
+    const lastRegistrySync = await this.ctx.storage.get("lastRegistrySync");
+    if (!lastRegistrySync || Date.now() - lastRegistrySync > REGISTRY_ACTIVITY_INTERVAL_MS) {
+      await this.syncRegistry({ lastActiveAt: Date.now() });
+      await this.syncCapacity("touch", primaryAppId(this.ctx.id.name));
+      await this.ctx.storage.put("lastRegistrySync", Date.now());
+    }
+    
     return { totalRequests };
   }
 
   /**
-   * Store custom metadata for this app
-   * Example: app name, owner, configuration, etc.
+   * Write an access log entry on its own
+   * For requests that never got a response from the container (errors)
    */
-  async setMetadata(metadata) {
-    await this.ctx.storage.put("metadata", {
-      ...((await this.ctx.storage.get("metadata")) || {}),
-      ...metadata,
-      updatedAt: Date.now(),
-    });
-    return { success: true };
+  async logRequest(log, { replica = null } = {}) {
+    this.releaseReplica(replica);
+    if (await this.isDeleted()) {
+      return;
+    }
+    appendAccessLog(this.ctx.storage.sql, log);
+    if (log.variant === "canary") {
+      await this.checkCanary();
+    }
   }
 
   /**
-   * Force restart the container
-   * Useful for deploying updates or recovering from errors
+   * Open a live stream of the container's stdout/stderr (Server-Sent Events)
+   * The first `tail` lines are recent history (see src/log-stream.js)
+   */
+  async streamLogs({ tail } = {}) {
+    return this.logs.subscribe({ tail });
+  }
+
+  /**
+   * Query the access log (see queryAccessLog in src/access-log.js)
+   */
+  async getLogs(query) {
+    return queryAccessLog(this.ctx.storage.sql, query);
+  }
+
+  /**
+   * Lifecycle timeline - see src/events.js
+   * recordEvent() is synchronous (sql.exec), so hooks can call it anywhere.
+   */
+  recordEvent(event) {
+    appendEvent(this.ctx.storage.sql, event);
+  }
+
+  async getEvents(query) {
+    return queryEvents(this.ctx.storage.sql, query);
+  }
+
+  // ---------------------------------------------------------------------------
+  // DATA SNAPSHOTS (see src/snapshots.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Snapshot DATA_DIR before the container goes away
+   * Best effort - a failed snapshot must not keep the container from
+   * sleeping or restarting.
+   */
+  async snapshotData(reason) {
+    // A canary's or replica's DATA_DIR is a copy - the app's own snapshots
+    // stay the source of truth
+    if (!this.env.SNAPSHOTS || !this.ctx.container.running || !isPrimary(this.ctx.id.name)) {
+      return null;
+    }
+    
+    const appId = this.ctx.id.name || "unknown";
+    const startedAt = Date.now();
+    try {
+      const snapshot = await takeSnapshot(this.env.SNAPSHOTS, appId, this.ctx.container.getTcpPort(AGENT_PORT), reason);
+      if (snapshot) {
+        this.recordEvent({ type: "snapshot", reason, durationMs: Date.now() - startedAt, detail: snapshot });
+      }
+      return snapshot;
+    } catch (error) {
+      console.error(`[${appId}] Snapshot failed:`, error.message);
+      this.recordEvent({ type: "error", reason: `Snapshot failed: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * The snapshot a booting container's agent unpacks into DATA_DIR
+   * (GET /_snapshots/boot): the one chosen with POST /_snapshots/{id}/restore,
+   * or else the latest one. A canary or replica asks with `latest` - it
+   * starts from the app's latest snapshot and leaves a pending restore to
+   * the app's own container. Returns null when there is nothing to restore.
+   */
+  async bootSnapshot({ latest = false } = {}) {
+    const appId = this.ctx.id.name || "unknown";
+    let id = null;
+    if (!latest) {
+      id = (await this.ctx.storage.get("pendingRestore")) || null;
+      await this.ctx.storage.delete("pendingRestore");
+    }
+    id ??= (await listSnapshots(this.env.SNAPSHOTS, appId))[0]?.id || null;
+    if (id) {
+      this.recordEvent({ type: "restore", reason: latest ? "replica start" : "start", detail: { id } });
+    }
+    return id;
+  }
+
+  async getSnapshots() {
+    const appId = this.ctx.id.name || "unknown";
+    return {
+      dataDir: DATA_DIR,
+      snapshots: await listSnapshots(this.env.SNAPSHOTS, appId),
+      pendingRestore: (await this.ctx.storage.get("pendingRestore")) || null,
+    };
+  }
+
+  /**
+   * Take a snapshot now (POST /_snapshots)
    */
-  async restart() {
+  async createSnapshot() {
     const appId = this.ctx.id.name || "unknown";
-    console.log(`[${appId}] Restart requested`);
+    if (!this.ctx.container.running) {
+      return { success: false, error: "The container is not running - there is nothing to snapshot" };
+    }
     
-    // destroy() stops the container, start() boots it back up
-    await this.ctx.container.destroy();
-    this.ctx.container.start();
+    const startedAt = Date.now();
+    const snapshot = await takeSnapshot(this.env.SNAPSHOTS, appId, this.ctx.container.getTcpPort(AGENT_PORT), "manual");
+    if (!snapshot) {
+      return { success: false, error: `${DATA_DIR} is empty - there is nothing to snapshot` };
+    }
+    this.recordEvent({ type: "snapshot", reason: "manual", durationMs: Date.now() - startedAt, detail: snapshot });
+    return { success: true, snapshot };
+  }
+
+  /**
+   * Roll DATA_DIR back to a snapshot (POST /_snapshots/{id}/restore)
+   * A running app is restarted by the agent with the restored files; a
+   * sleeping one gets them on its next start.
+   */
+  async restoreFromSnapshot(id) {
+    const appId = this.ctx.id.name || "unknown";
+    const snapshots = await listSnapshots(this.env.SNAPSHOTS, appId);
+    if (!snapshots.some((snapshot) => snapshot.id === id)) {
+      return { success: false, notFound: true, error: `Snapshot "${id}" not found` };
+    }
+    
+    if (!this.ctx.container.running) {
+      await this.ctx.storage.put("pendingRestore", id);
+      return { success: true, restored: false, message: "The snapshot will be restored when the app next starts" };
+    }
     
-    return { success: true, message: "Container restarted" };
+    const startedAt = Date.now();
+    const snapshot = await restoreSnapshot(this.env.SNAPSHOTS, appId, this.ctx.container.getTcpPort(AGENT_PORT), id);
+    this.recordEvent({ type: "restore", reason: "manual", durationMs: Date.now() - startedAt, detail: snapshot });
+    return { success: true, restored: true, snapshot };
   }
-}
 
+  // ---------------------------------------------------------------------------
+  // TENANT KV (see src/kv.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Remember the app's public base URL (https://platform.dev/app/my-app or
+   * https://my-app.vibeapps.com), which the container calls back into - a
+   * running container keeps the URLs it was started with
+   */
+  async setAppUrl(appUrl) {
+    if (appUrl === (await this.ctx.storage.get("appUrl"))) {
+      return;
+    }
+    await this.ctx.storage.put("appUrl", appUrl);
+    await this.loadContainerConfig();
+  }
+
+  /**
+   * Give the next container a new PLATFORM_TOKEN - the old container's
+   * token stops working
+   */
+  async rotateContainerToken() {
+    const containerToken = generateContainerToken();
+    await this.ctx.storage.put("containerToken", containerToken);
+    this.envVars = { ...this.envVars, PLATFORM_TOKEN: containerToken };
+    // A replica's agent downloads the bundle and snapshot from the app
+    // before onStart runs
+    await this.registerReplicaToken(containerToken);
+  }
+
+  /**
+   * Whether `token` is the running container's PLATFORM_TOKEN - or that of
+   * a replica or the app's canary, which share its KV store and bundles
+   */
+  async checkContainerToken(token) {
+    const containerToken = await this.ctx.storage.get("containerToken");
+    if (Boolean(containerToken) && this.ctx.container.running && timingSafeEqual(token, containerToken)) {
+      return true;
+    }
+    const replicaTokens = (await this.ctx.storage.get("replicaTokens")) || {};
+    if (Object.values(replicaTokens).some((replicaToken) => timingSafeEqual(token, replicaToken))) {
+      return true;
+    }
+    if (await this.ctx.storage.get("canary")) {
+      return this.appStub(canaryName(this.ctx.id.name)).checkContainerToken(token);
+    }
+    return false;
+  }
+
+  async getKv(key) {
+    return kvGet(this.ctx.storage.sql, key);
+  }
+
+  async putKv(key, value, { contentType, ttl } = {}) {
+    const invalid = validateKvWrite(key, ttl);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    return kvPut(this.ctx.storage.sql, key, value, { contentType, ttl });
+  }
+
+  async incrementKv(key, by, { ttl } = {}) {
+    const invalid = validateKvWrite(key, ttl) || validateKvIncrement(by);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    return kvIncrement(this.ctx.storage.sql, key, by, { ttl });
+  }
+
+  async deleteKv(key) {
+    return { success: true, deleted: kvDelete(this.ctx.storage.sql, key) };
+  }
+
+  async listKv(query) {
+    return kvList(this.ctx.storage.sql, query);
+  }
+
+  /**
+   * Get hourly usage for [from, to) plus totals
+   * Includes the uptime of a container that is still running.
+   */
+  async getUsage({ from, to }) {
+    const appId = this.ctx.id.name || "unknown";
+    let hourly = queryUsage(this.ctx.storage.sql, from, to);
+    
+    const runningSince = await this.ctx.storage.get("runningSince");
+    if (runningSince && this.ctx.container.running) {
+      hourly = withLiveRunningTime(hourly, runningSince, Date.now(), from, to);
+    }
+    
+    return {
+      appId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      totals: sumUsage(hourly),
+      hourly,
+    };
+  }
+
+  /**
+   * Meter a container start or stop - a canary's or replica's container is
+   * billed to its app
+   */
+  async meterContainer(usage) {
+    if (!isPrimary(this.ctx.id.name)) {
+      await this.appStub(primaryAppId(this.ctx.id.name)).addContainerUsage(usage);
+    } else {
+      await this.addContainerUsage(usage);
+    }
+  }
+
+  async addContainerUsage({ coldStarts = 0, runningSince = null, stoppedAt = null }) {
+    if (coldStarts) {
+      addUsage(this.ctx.storage.sql, Date.now(), { coldStarts });
+      pruneUsage(this.ctx.storage.sql);
+    }
+    if (runningSince) {
+      addRunningTime(this.ctx.storage.sql, runningSince, stoppedAt);
+    }
+  }
+
+  /**
+   * Store custom metadata for this app
+   * Example: app name, owner, configuration, etc.
+   */
+  async setMetadata(metadata) {
+    const merged = {
+      ...((await this.ctx.storage.get("metadata")) || {}),
+      ...metadata,
+      updatedAt: Date.now(),
+    };
+    await this.ctx.storage.put("metadata", merged);
+    
+    await this.syncRegistry({ metadata: merged });
+    return { success: true };
+  }
+
+  /**
+   * Force restart the container
+   * Useful for deploying updates or recovering from errors
+   */
+  async restart({ mode = "force", reason = "manual" } = {}) {
+    const appId = this.ctx.id.name || "unknown";
+    console.log(`[${appId}] Restart requested (${mode}, ${reason})`);
+    
+    if (!RESTART_MODES.includes(mode)) {
+      return { success: false, error: `mode must be one of: ${RESTART_MODES.join(", ")}` };
+    }
+    
+    // Anything but auto-recovery closes the crash-loop circuit and clears
+    // the backoff
+    if (reason !== "health-check") {
+      await this.updateHealth((health) => resetRecovery(health));
+    }
+    if (this.restarting) {
+      return { success: false, inProgress: true, error: "A graceful restart is already in progress" };
+    }
+    
+    // Replicas follow the app's restarts (side by side) - not its health checks
+    const replicasRestarted = reason === "health-check" ? null : this.restartReplicas({ mode, reason });
+    
+    const startedAt = Date.now();
+    if (mode === "graceful") {
+      this.restarting = this.gracefulRestart()
+        .then((result) => {
+          this.recordEvent({ type: "restart", reason, durationMs: Date.now() - startedAt, detail: result });
+          return result;
+        })
+        .finally(() => {
+          this.restarting = null;
+        });
+      const result = await this.restarting;
+      await replicasRestarted;
+      return result;
+    }
+    
+    // destroy() stops the container, start() boots it back up
+    // with the latest env vars and secrets (and the data snapshot)
+    if (this.ctx.container.running) {
+      await this.snapshotData("restart");
+      await this.ctx.container.destroy();
+    }
+    await this.loadContainerConfig();
+    await this.start();
+    
+    this.recordEvent({ type: "restart", reason, durationMs: Date.now() - startedAt, detail: { mode } });
+    await replicasRestarted;
+    return { success: true, mode, message: "Container restarted" };
+  }
+
+  /**
+   * Drain, SIGTERM, start, health-check - see src/drain.js
+   * Runs while this.restarting holds new requests back.
+   */
+  async gracefulRestart() {
+    const appId = this.ctx.id.name || "unknown";
+    const startedAt = Date.now();
+    
+    const drained = await this.requests.whenIdle(DRAIN_TIMEOUT_MS);
+    const abandonedRequests = this.requests.inFlight;
+    
+    let stoppedGracefully = true;
+    if (this.ctx.container.running) {
+      await this.snapshotData("restart");
+      await this.stop("SIGTERM");
+      stoppedGracefully = await waitFor(() => !this.ctx.container.running, STOP_TIMEOUT_MS);
+      if (!stoppedGracefully) {
+        console.warn(`[${appId}] App ignored SIGTERM - killing it`);
+        await this.ctx.container.destroy();
+      }
+    }
+    
+    try {
+      await this.loadContainerConfig();
+      await this.startAndWaitForPorts();
+    } catch (error) {
+      // The queue is released anyway - those requests start a cold start
+      console.error(`[${appId}] Graceful restart failed:`, error.message);
+      return { success: false, mode: "graceful", error: `The app failed to start: ${error.message}` };
+    }
+    
+    const port = this.ctx.container.getTcpPort(this.defaultPort);
+    const healthy = await waitFor(async () => (await probeHealth(port)).healthy, READY_TIMEOUT_MS);
+    
+    return {
+      success: true,
+      mode: "graceful",
+      message: "Container restarted",
+      drained,
+      abandonedRequests: drained ? 0 : abandonedRequests,
+      stoppedGracefully,
+      healthy,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // RELEASES & ROLLBACK (see src/releases.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Record a release of the current image and env config, then restart the
+   * container on it
+   * `caller` comes from identifyCaller() in the Worker
+   */
+  async deploy({ artifact = null, message = null, deployedBy = null, caller, mode = "force" }) {
+    const appId = this.ctx.id.name || "unknown";
+    if (this.restarting) {
+      return { success: false, inProgress: true, error: "A graceful restart is already in progress" };
+    }
+    
+    const release = await this.recordRelease({ artifact, message, deployedBy, caller });
+    await this.ctx.storage.put("activeRelease", release.version);
+    
+    console.log(`[${appId}] Deployed release v${release.version}`);
+    return this.activateRelease(release, "deploy", mode);
+  }
+
+  /**
+   * Record a release of the current image, env config and bundle - without
+   * making it active
+   */
+  async recordRelease({ artifact = null, message = null, deployedBy = null, caller }) {
+    const bundle = (await this.ctx.storage.get("bundle")) || null;
+    return appendRelease(
+      this.ctx.storage.sql,
+      {
+        message,
+        deployedBy: await this.describeDeployer(caller, deployedBy),
+        image: { runtime: this.runtime, imageVersion: this.imageVersion },
+        artifact: artifact || (bundle && `bundle:${bundle.id}`),
+        config: {
+          vars: (await this.ctx.storage.get("envVars")) || {},
+          secrets: (await this.ctx.storage.get("secrets")) || {},
+          bundle,
+        },
+      },
+      await this.ctx.storage.get("activeRelease")
+    );
+  }
+
+  /**
+   * Run an uploaded code bundle from now on (PUT /_bundle) - it is part of
+   * the config the next release records, like env vars
+   * `appUrl` is where the container downloads it from (see appBaseUrl)
+   */
+  async setBundle(bundle, appUrl) {
+    await this.ctx.storage.put("bundle", bundle);
+    await this.ctx.storage.put("appUrl", appUrl);
+    await this.loadContainerConfig();
+    return { success: true, bundle };
+  }
+
+  async getBundles() {
+    const appId = this.ctx.id.name || "unknown";
+    return {
+      active: (await this.ctx.storage.get("bundle")) || null,
+      bundles: await listBundles(this.env.BUNDLES, appId),
+    };
+  }
+
+  /**
+   * Put an earlier release's env config and code bundle back and restart
+   * the container on it
+   */
+  async rollback(version, { mode = "force", reason = "rollback" } = {}) {
+    const appId = this.ctx.id.name || "unknown";
+    const release = getRelease(this.ctx.storage.sql, version);
+    if (!release) {
+      return { success: false, notFound: true, error: `Release v${version} not found` };
+    }
+    if (this.restarting) {
+      return { success: false, inProgress: true, error: "A graceful restart is already in progress" };
+    }
+    
+    const missingBundle = await this.checkReleaseBundle(release);
+    if (missingBundle) {
+      return missingBundle;
+    }
+    
+    await this.ctx.storage.put({
+      envVars: release.config.vars,
+      secrets: release.config.secrets,
+      bundle: release.config.bundle || null,
+      activeRelease: release.version,
+    });
+    
+    console.log(`[${appId}] Switched to release v${release.version} (${reason})`);
+    return {
+      ...(await this.activateRelease(release, reason, mode)),
+      // The image comes from wrangler.toml - it can't be rolled back per app
+      imageChanged: release.image.imageVersion !== this.imageVersion,
+    };
+  }
+
+  /**
+   * A release can only run again while its code bundle exists
+   * Returns a conflict result, or null
+   */
+  async checkReleaseBundle(release) {
+    const appId = this.ctx.id.name || "unknown";
+    const { bundle = null } = release.config;
+    if (bundle && !(this.env.BUNDLES && (await bundleExists(this.env.BUNDLES, appId, bundle)))) {
+      return {
+        success: false,
+        conflict: true,
+        error: `The code bundle of release v${release.version} (${bundle.id}) no longer exists`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Restart a running container on the release that was just made active
+   * A sleeping container starts on it next time.
+   */
+  async activateRelease(release, reason, mode) {
+    await this.loadContainerConfig();
+    this.recordEvent({ type: "release", reason, detail: { version: release.version, artifact: release.artifact } });
+    
+    let restart = null;
+    if (this.ctx.container.running) {
+      restart = await this.restart({ mode, reason });
+    } else {
+      await this.restartReplicas({ mode, reason });
+    }
+    return {
+      success: restart ? restart.success : true,
+      release: summarizeRelease(release),
+      restarted: Boolean(restart?.success),
+      ...(restart && !restart.success && { error: restart.error }),
+    };
+  }
+
+  async getReleases() {
+    return {
+      activeVersion: (await this.ctx.storage.get("activeRelease")) || null,
+      releases: listReleases(this.ctx.storage.sql),
+    };
+  }
+
+  async getActiveRelease() {
+    const version = await this.ctx.storage.get("activeRelease");
+    const release = version ? getRelease(this.ctx.storage.sql, version) : null;
+    return release ? summarizeRelease(release) : null;
+  }
+
+  /**
+   * { credential, tokenId?, label?, name? } - label is the token's label,
+   * name is the optional deployedBy from the request body
+   */
+  async describeDeployer(caller = { credential: "admin" }, name = null) {
+    const deployer = { ...caller };
+    if (caller.tokenId) {
+      const tokens = (await this.ctx.storage.get("apiTokens")) || {};
+      deployer.label = tokens[caller.tokenId]?.label || null;
+    }
+    if (name) {
+      deployer.name = name;
+    }
+    return deployer;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CANARY RELEASES (see src/canary.js)
+  // ---------------------------------------------------------------------------
+  /**
+   * The app's DO stores the running canary as "canary":
+   *   { version, weight, stickiness, maxErrorRate, startedAt }
+   * and the canary's own DO ("{appId}:canary") runs that release.
+   */
+
+  /**
+   * Stub of another Durable Object of this app - its canary, or the app
+   * itself from the canary
+   */
+  appStub(name) {
+    return getAppStub(this.env, { appId: name, config: { runtime: this.runtime } });
+  }
+
+  /**
+   * The running canary with the error rates of both variants, or null
+   */
+  async getCanary() {
+    const canary = await this.ctx.storage.get("canary");
+    if (!canary) {
+      return null;
+    }
+    const since = Math.max(canary.startedAt, Date.now() - CANARY_STATS_WINDOW_MS);
+    return { ...canary, stats: { since, ...variantStats(this.ctx.storage.sql, since) } };
+  }
+
+  /**
+   * Start a canary (PUT /_canary), or change the weight, stickiness or
+   * maxErrorRate of the running one
+   * Without a version the current env config and bundle become a new
+   * release for the canary, and the app goes back to its active release.
+   */
+  async setCanary({ weight, version = null, stickiness, maxErrorRate, message = null, caller }) {
+    const appId = this.ctx.id.name || "unknown";
+    const invalid = validateCanary({ weight, version, stickiness, maxErrorRate });
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    
+    const current = await this.ctx.storage.get("canary");
+    if (current) {
+      if (version !== null && version !== current.version) {
+        return { success: false, conflict: true, error: `Canary v${current.version} is running - promote or abort it first` };
+      }
+      const canary = {
+        ...current,
+        weight,
+        ...(stickiness && { stickiness }),
+        ...(maxErrorRate !== undefined && { maxErrorRate }),
+      };
+      await this.ctx.storage.put("canary", canary);
+      this.recordEvent({ type: "canary", reason: "weight", detail: { version: canary.version, weight } });
+      return { success: true, canary };
+    }
+    
+    const activeVersion = await this.ctx.storage.get("activeRelease");
+    if (!activeVersion) {
+      return { success: false, conflict: true, error: "Deploy a release first - the canary is compared against it" };
+    }
+    if (version === activeVersion) {
+      return { success: false, conflict: true, error: `v${version} is already the active release` };
+    }
+    
+    let release;
+    if (version !== null) {
+      release = getRelease(this.ctx.storage.sql, version);
+      if (!release) {
+        return { success: false, notFound: true, error: `Release v${version} not found` };
+      }
+      const missingBundle = await this.checkReleaseBundle(release);
+      if (missingBundle) {
+        return missingBundle;
+      }
+    } else {
+      release = await this.recordRelease({ message, caller });
+      
+      // The pending config moves to the canary - the app keeps running (and
+      // restarts on) its active release
+      const active = getRelease(this.ctx.storage.sql, activeVersion);
+      if (active) {
+        await this.ctx.storage.put({
+          envVars: active.config.vars,
+          secrets: active.config.secrets,
+          bundle: active.config.bundle || null,
+        });
+        await this.loadContainerConfig();
+      }
+    }
+    
+    await this.appStub(canaryName(appId)).startCanary({
+      release,
+      appUrl: (await this.ctx.storage.get("appUrl")) || null,
+    });
+    const canary = {
+      version: release.version,
+      weight,
+      stickiness: stickiness || "cookie",
+      maxErrorRate: maxErrorRate === undefined ? DEFAULT_MAX_ERROR_RATE : maxErrorRate,
+      startedAt: Date.now(),
+    };
+    await this.ctx.storage.put("canary", canary);
+    this.recordEvent({ type: "canary", reason: "start", detail: { version: release.version, weight } });
+    
+    console.log(`[${appId}] Canary v${release.version} started at ${weight}%`);
+    return { success: true, canary, release: summarizeRelease(release) };
+  }
+
+  /**
+   * Make the canary's release the active one and send all traffic back to
+   * the app's own container (POST /_canary/promote)
+   */
+  async promoteCanary({ mode = "force" } = {}) {
+    const canary = await this.getCanary();
+    if (!canary) {
+      return { success: false, notFound: true, error: "No canary is running" };
+    }
+    
+    const result = await this.rollback(canary.version, { mode, reason: "promote" });
+    if (result.notFound || result.inProgress || result.conflict) {
+      return result;
+    }
+    await this.endCanary(canary, "promote");
+    return { ...result, canary };
+  }
+
+  /**
+   * Stop the canary - all traffic goes back to the active release
+   * (POST /_canary/abort, or the error rate check below)
+   */
+  async abortCanary(reason = "abort") {
+    const canary = await this.getCanary();
+    if (!canary) {
+      return { success: false, notFound: true, error: "No canary is running" };
+    }
+    await this.endCanary(canary, reason);
+    return { success: true, canary };
+  }
+
+  async endCanary(canary, reason) {
+    const appId = this.ctx.id.name || "unknown";
+    await this.ctx.storage.delete("canary");
+    await this.appStub(canaryName(appId)).stopCanary();
+    this.recordEvent({
+      type: "canary",
+      reason,
+      durationMs: Date.now() - canary.startedAt,
+      detail: { version: canary.version, weight: canary.weight, stats: canary.stats },
+    });
+    console.log(`[${appId}] Canary v${canary.version} ended (${reason})`);
+  }
+
+  /**
+   * Called when the canary answered with an error - abort it once it fails
+   * more often than maxErrorRate and than the app itself
+   */
+  async checkCanary() {
+    const canary = await this.getCanary();
+    if (canary && shouldAbortCanary(canary, canary.stats)) {
+      const appId = this.ctx.id.name || "unknown";
+      console.warn(`[${appId}] Canary v${canary.version} error rate ${canary.stats.canary.errorRate} - aborting`);
+      await this.endCanary(canary, "error-rate");
+    }
+  }
+
+  /**
+   * Canary side: run `release` from the next start on
+   * The container starts on the first request routed to it.
+   */
+  async startCanary({ release, appUrl }) {
+    await this.ctx.storage.put({
+      envVars: release.config.vars,
+      secrets: release.config.secrets,
+      bundle: release.config.bundle || null,
+      appUrl,
+    });
+    if (this.ctx.container.running) {
+      await this.ctx.container.destroy();
+    }
+    await this.loadContainerConfig();
+  }
+
+  /**
+   * Canary side: stop the container and forget the release
+   */
+  async stopCanary() {
+    if (this.ctx.container.running) {
+      await this.ctx.container.destroy();
+    }
+    await this.ctx.storage.delete(["envVars", "secrets", "bundle"]);
+    await this.loadContainerConfig();
+  }
+
+  // ---------------------------------------------------------------------------
+  // REPLICAS & AUTOSCALING (see src/replicas.js)
+  // ---------------------------------------------------------------------------
+  /**
+   * The app's DO coordinates: it routes every request to a replica, meters
+   * the request rate and sets the replica count. Replicas ("{appId}#n")
+   * only run a container with the app's config.
+   */
+
+  async getScalingPolicy() {
+    return { ...DEFAULT_SCALING_POLICY, ...(await this.ctx.storage.get("scalingPolicy")) };
+  }
+
+  /**
+   * Set the scaling policy (PUT /_scaling) - replicas above the new
+   * maxReplicas are stopped right away
+   */
+  async setScalingPolicy(update) {
+    const current = await this.getScalingPolicy();
+    const invalid = validateScalingPolicy(update, current);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    const policy = {
+      ...current,
+      ...(update.minReplicas !== undefined && { minReplicas: update.minReplicas }),
+      ...(update.maxReplicas !== undefined && { maxReplicas: update.maxReplicas }),
+      ...(update.targetRps !== undefined && { targetRps: update.targetRps }),
+      ...(update.routing !== undefined && { routing: update.routing }),
+      ...(update.affinity !== undefined && { affinity: update.affinity }),
+      updatedAt: Date.now(),
+    };
+    await this.ctx.storage.put("scalingPolicy", policy);
+    
+    const before = await this.getReplicaCount(current);
+    const replicas = await this.getReplicaCount(policy);
+    if (replicas !== before) {
+      this.recordEvent({ type: "scale", reason: "policy", detail: { from: before, to: replicas } });
+    }
+    await this.stopReplicas(policy.maxReplicas, current.maxReplicas);
+    return { success: true, policy, replicas };
+  }
+
+  /**
+   * The replica count - the autoscaled one, kept within the policy's range
+   */
+  async getReplicaCount(policy) {
+    this.scaling ??= (await this.ctx.storage.get("scaling")) || null;
+    const replicas = this.scaling?.replicas ?? policy.minReplicas;
+    return Math.min(Math.max(replicas, policy.minReplicas), policy.maxReplicas);
+  }
+
+  /**
+   * Pick the replica for a request (called from admitRequest) and count it
+   * in the request rate
+   * `affinity` is the replica the client's cookie pins it to, if any.
+   * Returns { index, replicas, affinity } - the Worker hands `index` back
+   * to recordRequest() once the request is done.
+   */
+  async routeRequest(affinity = null) {
+    const policy = await this.getScalingPolicy();
+    const before = await this.getReplicaCount(policy);
+    
+    const { state, rescaled } = observeRequest(this.scaling, policy);
+    this.scaling = state;
+    if (rescaled) {
+      await this.ctx.storage.put("scaling", state);
+    }
+    const replicas = await this.getReplicaCount(policy);
+    if (replicas !== before) {
+      this.recordEvent({ type: "scale", reason: "autoscale", detail: { from: before, to: replicas, rate: state.rate } });
+    }
+    
+    const index = pickReplica(policy, replicas, {
+      affinity,
+      loads: this.replicaLoads,
+      cursor: this.replicaCursor++,
+    });
+    this.replicaLoads[index] = (this.replicaLoads[index] || 0) + 1;
+    return { index, replicas, affinity: policy.affinity };
+  }
+
+  /**
+   * A request routed by routeRequest() is done
+   */
+  releaseReplica(index) {
+    if (Number.isInteger(index) && this.replicaLoads[index] > 0) {
+      this.replicaLoads[index]--;
+    }
+  }
+
+  /**
+   * Restart every running replica, e.g. on the app's new release
+   * Never rejects - a replica that fails to restart is logged and retried
+   * by its own health checks.
+   */
+  async restartReplicas(options) {
+    const appId = this.ctx.id.name || "unknown";
+    if (!isPrimary(appId)) {
+      return;
+    }
+    await Promise.all(
+      (await this.getStartedReplicas()).map((index) =>
+        this.appStub(replicaName(appId, index))
+          .restartReplica(options)
+          .catch((error) => console.error(`[${appId}] Replica ${index} restart failed:`, error.message))
+      )
+    );
+  }
+
+  /**
+   * Stop replicas `from` and up, below `to` - they are out of the
+   * policy's range, so they are forgotten too
+   */
+  async stopReplicas(from, to) {
+    const appId = this.ctx.id.name || "unknown";
+    const started = await this.getStartedReplicas();
+    const stopping = started.filter((index) => index >= from && index < to);
+    await Promise.all(stopping.map((index) => this.appStub(replicaName(appId, index)).stopReplica()));
+    await this.ctx.storage.put("startedReplicas", started.filter((index) => !stopping.includes(index)));
+  }
+
+  /**
+   * Indices of the replicas (other than 0) that have started at least once
+   */
+  async getStartedReplicas() {
+    return (await this.ctx.storage.get("startedReplicas")) || [];
+  }
+
+  /**
+   * Every started replica's container, for GET /_status
+   */
+  async getReplicas() {
+    const appId = this.ctx.id.name || "unknown";
+    const policy = await this.getScalingPolicy();
+    const started = (await this.getStartedReplicas()).filter((index) => index < policy.maxReplicas);
+    const states = await Promise.all(
+      started.map((index) => this.appStub(replicaName(appId, index)).getReplicaState())
+    );
+    const instances = [
+      { index: 0, ...(await this.getReplicaState()) },
+      ...started.map((index, i) => ({ index, ...states[i] })),
+    ];
+    instances.forEach((instance) => {
+      instance.inFlight = this.replicaLoads[instance.index] || 0;
+    });
+    
+    return {
+      count: await this.getReplicaCount(policy),
+      running: instances.filter((instance) => instance.running).length,
+      requestRate: this.scaling?.rate ?? 0,
+      policy,
+      instances,
+    };
+  }
+
+  /**
+   * Replica side: what GET /_status shows about this container
+   */
+  async getReplicaState() {
+    return {
+      name: this.ctx.id.name,
+      running: this.ctx.container.running,
+      startCount: (await this.ctx.storage.get("startCount")) || 0,
+      lastStarted: (await this.ctx.storage.get("lastStarted")) || null,
+      lastStopped: (await this.ctx.storage.get("lastStopped")) || null,
+      health: healthSummary(await this.getHealth(), this.ctx.container.running).status,
+    };
+  }
+
+  /**
+   * Replica side: restart on the app's current config, if running
+   */
+  async restartReplica(options) {
+    if (!this.ctx.container.running) {
+      return null;
+    }
+    return this.restart(options);
+  }
+
+  async stopReplica() {
+    if (this.ctx.container.running) {
+      await this.ctx.container.destroy();
+    }
+  }
+
+  /**
+   * Replica side: let the app accept this container's PLATFORM_TOKEN for
+   * its KV store, bundles and snapshots - registered before the container
+   * starts, dropped once it stopped
+   */
+  async registerReplicaToken(token) {
+    const name = this.ctx.id.name;
+    if (isReplica(name)) {
+      await this.appStub(primaryAppId(name)).setReplicaToken(name, token);
+    }
+  }
+
+  async unregisterReplicaToken(token) {
+    const name = this.ctx.id.name;
+    if (isReplica(name)) {
+      await this.appStub(primaryAppId(name)).setReplicaToken(name, null, token);
+    }
+  }
+
+  /**
+   * `previous` only drops the token if it is still the registered one - a
+   * stopped container's cleanup can land after its successor registered
+   */
+  async setReplicaToken(name, token, previous = null) {
+    const replicaTokens = (await this.ctx.storage.get("replicaTokens")) || {};
+    if (token) {
+      replicaTokens[name] = token;
+      const started = await this.getStartedReplicas();
+      if (!started.includes(replicaIndex(name))) {
+        await this.ctx.storage.put("startedReplicas", [...started, replicaIndex(name)].sort((a, b) => a - b));
+      }
+    } else if (!previous || replicaTokens[name] === previous) {
+      delete replicaTokens[name];
+    }
+    await this.ctx.storage.put("replicaTokens", replicaTokens);
+  }
+
+  // ---------------------------------------------------------------------------
+  // PLATFORM CAPACITY (see src/capacity.js)
+  // ---------------------------------------------------------------------------
+  /**
+   * Every container - the app's, a replica or the canary - holds a slot in
+   * the CapacityTracker while it runs, under its own DO name.
+   */
+
+  async slotRequest() {
+    const name = this.ctx.id.name;
+    const appId = primaryAppId(name);
+    const tenant = isPrimary(name) ? await this.getTenant() : await this.appStub(appId).getTenant();
+    return { name, appId, runtime: this.runtime, plan: tenant?.plan || DEFAULT_PLAN };
+  }
+
+  /**
+   * Wait for a slot before starting the container
+   * Throws once the cold start wait runs out with the platform still full.
+   * If the tracker can't be reached the container starts anyway - the
+   * max_instances cap still applies.
+   */
+  async reserveSlot() {
+    const appId = this.ctx.id.name || "unknown";
+    const request = await this.slotRequest();
+    const deadline = Date.now() + (await this.getColdStartPolicy()).maxWaitSeconds * 1000;
+
+    for (;;) {
+      let result;
+      try {
+        result = await getCapacity(this.env).reserve(request);
+      } catch (error) {
+        console.error(`[${appId}] Capacity reservation failed:`, error.message);
+        return;
+      }
+      if (result.granted) {
+        return;
+      }
+      if (Date.now() + QUEUE_POLL_MS > deadline) {
+        throw new Error(
+          `The platform is at capacity (${result.limit} ${this.runtime} containers) - this app is number ${result.position} in the start queue`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, QUEUE_POLL_MS));
+    }
+  }
+
+  /**
+   * Stop this container to free its slot for an app of a higher plan
+   * (called by the CapacityTracker) - refused while the app must stay warm
+   * or is busy. Returns whether the slot is free.
+   */
+  async evict() {
+    if (!this.ctx.container.running) {
+      return true;
+    }
+    if (isWarm(this.lifecyclePolicy) || this.requests.inFlight > 0 || this.relayedWebSockets > 0 || this.waking || this.restarting) {
+      return false;
+    }
+    this.recordEvent({ type: "sleep", reason: "evicted for capacity" });
+    await this.snapshotData("evict");
+    await this.ctx.container.destroy();
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // ENVIRONMENT VARIABLES & SECRETS
+  // ---------------------------------------------------------------------------
+  /**
+   * Tenant config injected into the container on every start.
+   * See src/tenant-env.js for the storage layout and validation rules.
+   */
+
+  /**
+   * Get env vars (with values) and secret NAMES - secret values are write-only
+   */
+  async getEnv() {
+    const vars = (await this.ctx.storage.get("envVars")) || {};
+    const secrets = (await this.ctx.storage.get("secrets")) || {};
+    return { vars, secrets: Object.keys(secrets) };
+  }
+
+  /**
+   * Set env vars and/or secrets, then restart the container so it picks them up
+   * Example: updateEnv({ vars: { LOG_LEVEL: "debug" }, secrets: { DB_PASSWORD: "..." } })
+   */
+  async updateEnv({ vars = {}, secrets = {} } = {}, { restart = true } = {}) {
+    const appId = this.ctx.id.name || "unknown";
+    
+    const invalid = validateEnvUpdate({ vars, secrets });
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    if (Object.keys(secrets).length > 0 && !this.env.SECRETS_ENCRYPTION_KEY) {
+      return { success: false, error: "SECRETS_ENCRYPTION_KEY is not configured" };
+    }
+    
+    const storedVars = (await this.ctx.storage.get("envVars")) || {};
+    const storedSecrets = (await this.ctx.storage.get("secrets")) || {};
+    
+    // A name lives in exactly one place - setting it as a var removes the secret and vice versa
+    for (const [name, value] of Object.entries(vars)) {
+      storedVars[name] = value;
+      delete storedSecrets[name];
+    }
+    for (const [name, value] of Object.entries(secrets)) {
+      storedSecrets[name] = await sealSecret(this.env.SECRETS_ENCRYPTION_KEY, appId, name, value);
+      delete storedVars[name];
+    }
+    
+    const tooMany = tooManyEntries(storedVars, storedSecrets);
+    if (tooMany) {
+      return { success: false, error: tooMany };
+    }
+    
+    await this.ctx.storage.put({ envVars: storedVars, secrets: storedSecrets });
+    return this.applyEnvChange(restart);
+  }
+
+  /**
+   * Remove an env var or secret by name
+   */
+  async deleteEnv(name, { restart = true } = {}) {
+    const storedVars = (await this.ctx.storage.get("envVars")) || {};
+    const storedSecrets = (await this.ctx.storage.get("secrets")) || {};
+    if (!(name in storedVars) && !(name in storedSecrets)) {
+      return { success: false, error: `"${name}" is not set` };
+    }
+    
+    delete storedVars[name];
+    delete storedSecrets[name];
+    await this.ctx.storage.put({ envVars: storedVars, secrets: storedSecrets });
+    return this.applyEnvChange(restart);
+  }
+
+  /**
+   * Reload the container config and restart a running container
+   * A sleeping container simply picks up the new values on its next start.
+   */
+  async applyEnvChange(restart) {
+    await this.loadContainerConfig();
+    
+    const restarted = restart && this.ctx.container.running;
+    if (restarted) {
+      await this.restart({ reason: "env-change" });
+    } else if (restart) {
+      await this.restartReplicas({ reason: "env-change" });
+    }
+    return { success: true, ...(await this.getEnv()), restarted };
+  }
+
+  /**
+   * Build this.envVars - the environment the container is started with
+   * Platform values (APP_ID, PORT, PLATFORM_*) always win over tenant values.
+   */
+  async loadContainerConfig() {
+    // A canary or replica runs as its app - same APP_ID, same sealed
+    // secrets - and a replica with the app's config (see src/replicas.js)
+    const appId = primaryAppId(this.ctx.id.name) || "unknown";
+    const { vars, sealed, bundle, appUrl } = isReplica(this.ctx.id.name)
+      ? await this.appStub(appId).getContainerConfig()
+      : await this.getContainerConfig();
+    
+    let secrets = {};
+    if (Object.keys(sealed).length > 0) {
+      try {
+        secrets = await unsealSecrets(this.env.SECRETS_ENCRYPTION_KEY, appId, sealed);
+      } catch (error) {
+        // Don't block the app from starting - it just won't see its secrets
+        console.error(`[${appId}] Could not decrypt secrets:`, error.message);
+      }
+    }
+    
+    this.envVars = {
+      ...vars,
+      ...secrets,
+      APP_ID: appId,
+      PORT: String(this.defaultPort),
+      PLATFORM_AGENT_PORT: String(AGENT_PORT),
+      PLATFORM_DATA_DIR: DATA_DIR,
+      PLATFORM_KV_URL: appUrl ? `${appUrl}/_kv` : "",
+    };
+    
+    // The agent restores DATA_DIR before starting the app (see src/snapshots.js)
+    if (this.env.SNAPSHOTS && appUrl) {
+      this.envVars.PLATFORM_SNAPSHOT_URL = isPrimary(this.ctx.id.name)
+        ? `${appUrl}/_snapshots/boot`
+        : `${appUrl}/_snapshots/boot?latest=1`;
+    }
+    
+    // The agent downloads and runs the tenant's code instead of the image's
+    // (see src/bundles.js)
+    if (bundle && appUrl) {
+      Object.assign(this.envVars, {
+        PLATFORM_BUNDLE_URL: `${appUrl}/_bundle/${bundle.id}`,
+        PLATFORM_BUNDLE_FORMAT: bundle.format,
+        PLATFORM_BUNDLE_DIR: RUNTIMES[this.runtime].bundleDir,
+        PLATFORM_BUNDLE_ENTRYPOINT: bundle.entrypoint || "",
+      });
+    }
+    
+    // A running container keeps the token it was started with
+    if (this.ctx.container.running) {
+      this.envVars.PLATFORM_TOKEN = (await this.ctx.storage.get("containerToken")) || "";
+    } else {
+      await this.rotateContainerToken();
+    }
+  }
+
+  /**
+   * The stored env config: vars, sealed secrets, code bundle and app URL
+   */
+  async getContainerConfig() {
+    return {
+      vars: (await this.ctx.storage.get("envVars")) || {},
+      sealed: (await this.ctx.storage.get("secrets")) || {},
+      bundle: (await this.ctx.storage.get("bundle")) || null,
+      appUrl: (await this.ctx.storage.get("appUrl")) || null,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // PROVISIONING
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Store the tenant record created by POST /api/apps
+   * The TenantRegistry holds the same record for listing; this copy is what
+   * the app itself reads (owner, plan, config).
+   */
+  async provision({ owner = null, plan = "free", config = {} } = {}) {
+    const appId = this.ctx.id.name || "unknown";
+    const tenant = { owner, plan, config, provisionedAt: Date.now() };
+    await this.ctx.storage.put("tenant", tenant);
+    
+    console.log(`[${appId}] Provisioned (plan: ${plan})`);
+    return { success: true, tenant };
+  }
+
+  /**
+   * Get the tenant record, or null if this app was never provisioned
+   */
+  async getTenant() {
+    return (await this.ctx.storage.get("tenant")) || null;
+  }
+
+  /**
+   * Tear down this app: destroy the container and wipe ALL storage
+   * Only a tombstone is kept so the container can never be booted again.
+   */
+  async deprovision() {
+    const appId = this.ctx.id.name || "unknown";
+    console.log(`[${appId}] Deprovision requested`);
+    
+    // Tombstone first - onStop and requests still in flight see it and
+    // leave storage alone
+    const tombstone = { deletedAt: Date.now() };
+    this.deleted = true;
+    await this.ctx.storage.put("tombstone", tombstone);
+    
+    // destroy() returns before the container is gone - wipe storage only
+    // once it stopped
+    if (this.ctx.container.running) {
+      await this.ctx.container.destroy();
+      await waitFor(() => !this.ctx.container.running, STOP_TIMEOUT_MS);
+      await this.syncCapacity("release", appId);
+    }
+    if (await this.ctx.storage.get("canary")) {
+      await this.appStub(canaryName(appId)).stopCanary();
+    }
+    await this.stopReplicas(1, (await this.getScalingPolicy()).maxReplicas);
+    if (this.env.SNAPSHOTS) {
+      await deleteSnapshots(this.env.SNAPSHOTS, appId);
+    }
+    if (this.env.BUNDLES) {
+      await deleteBundles(this.env.BUNDLES, appId);
+    }
+    
+    // deleteAll() clears KV and SQLite storage (including scheduled
+    // lifecycle checks), but not the alarm
+    await this.ctx.storage.deleteAll();
+    await this.ctx.storage.deleteAlarm();
+    this.lifecyclePolicy = DEFAULT_LIFECYCLE_POLICY;
+    
+    await this.ctx.storage.put("tombstone", tombstone);
+    return { success: true, ...tombstone };
+  }
+
+  /**
+   * Whether this app was deprovisioned - also known in memory, since
+   * deleteAll() drops the stored tombstone until it is written again
+   */
+  async isDeleted() {
+    return this.deleted || Boolean(await this.ctx.storage.get("tombstone"));
+  }
+
+  // ---------------------------------------------------------------------------
+  // API TOKENS & AUTH POLICY
+  // ---------------------------------------------------------------------------
+  /**
+   * Token records live in this app's storage under "apiTokens":
+   *   { [tokenId]: { scopes, label, createdAt, expiresAt } }
+   * The signed token string is only returned once, when it is issued.
+   */
+
+  /**
+   * Issue a new API token for this app
+   * Example: issueApiToken({ scopes: ["status:read"], label: "ci", expiresIn: 86400 })
+   */
+  async issueApiToken({ scopes, label = null, expiresIn = null } = {}) {
+    const appId = this.ctx.id.name || "unknown";
+
+    if (!this.env.API_TOKEN_SECRET) {
+      return { success: false, error: "API_TOKEN_SECRET is not configured" };
+    }
+    const error = validateTokenRequest({ scopes, expiresIn });
+    if (error) {
+      return { success: false, error };
+    }
+
+    const tokenId = crypto.randomUUID();
+    const createdAt = Date.now();
+    const expiresAt = expiresIn ? createdAt + expiresIn * 1000 : null;
+
+    const token = await signApiToken(this.env.API_TOKEN_SECRET, {
+      app: appId,
+      jti: tokenId,
+      iat: createdAt,
+      exp: expiresAt,
+    });
+
+    const tokens = (await this.ctx.storage.get("apiTokens")) || {};
+    tokens[tokenId] = { scopes, label, createdAt, expiresAt };
+    await this.ctx.storage.put("apiTokens", tokens);
+
+    console.log(`[${appId}] Issued API token ${tokenId} (${scopes.join(", ")})`);
+    return { success: true, token, tokenId, scopes, expiresAt };
+  }
+
+  /**
+   * Revoke a token - it stops working on the very next request
+   */
+  async revokeApiToken(tokenId) {
+    const tokens = (await this.ctx.storage.get("apiTokens")) || {};
+    if (!tokens[tokenId]) {
+      return { success: false, error: "Token not found" };
+    }
+    delete tokens[tokenId];
+    await this.ctx.storage.put("apiTokens", tokens);
+    return { success: true, revoked: tokenId };
+  }
+
+  /**
+   * List active tokens (metadata only - token strings are never stored)
+   */
+  async listApiTokens() {
+    const tokens = (await this.ctx.storage.get("apiTokens")) || {};
+    return Object.entries(tokens).map(([tokenId, record]) => ({ tokenId, ...record }));
+  }
+
+  /**
+   * Look up an active token record by ID
+   * Called by the Worker after it has verified the token signature
+   */
+  async checkApiToken(tokenId) {
+    const tokens = (await this.ctx.storage.get("apiTokens")) || {};
+    const record = tokens[tokenId];
+    if (!record || (record.expiresAt && record.expiresAt < Date.now())) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Auth policy for traffic forwarded to the container
+   * By default tenant apps are public; requireAppAuth opts in to
+   * requiring a token with the "app:access" scope.
+   */
+  async getAuthPolicy() {
+    return (await this.ctx.storage.get("authPolicy")) || { requireAppAuth: false };
+  }
+
+  async setAuthPolicy({ requireAppAuth }) {
+    const policy = { requireAppAuth: Boolean(requireAppAuth), updatedAt: Date.now() };
+    await this.ctx.storage.put("authPolicy", policy);
+    return { success: true, policy };
+  }
+
+  /**
+   * CORS policy - see src/cors.js
+   * Kept in the tenant config (config.cors), next to the runtime
+   */
+  async getCorsPolicy() {
+    const tenant = await this.getTenant();
+    return resolveCorsPolicy(tenant?.config?.cors);
+  }
+
+  /**
+   * Set the CORS policy (PUT /_cors) - settings left out keep their
+   * current value
+   */
+  async setCorsPolicy(update) {
+    const tenant = (await this.getTenant()) || { owner: null, plan: DEFAULT_PLAN, config: {} };
+    const cors = { ...tenant.config?.cors, ...update };
+    const invalid = validateCorsPolicy(cors);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    const config = { ...tenant.config, cors };
+    await this.ctx.storage.put("tenant", { ...tenant, config });
+    await this.syncRegistry({ config });
+    return { success: true, policy: resolveCorsPolicy(cors) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // RATE LIMITS & QUOTAS
+  // ---------------------------------------------------------------------------
+  /**
+   * Limits come from the tenant's plan, with optional per-app overrides
+   * stored on the tenant record (see src/limits.js).
+   */
+
+  /**
+   * Admit (or reject) one request before it is forwarded to the container
+   * Called by the Worker for every forwarded request. Returns:
+   *   { allowed: true, headers, authPolicy, cors, canary, replica }
+   *   { allowed: false, limit: "rate" | "daily" | "monthly" | "webSockets" | "streams", retryAfter, headers, cors }
+   * Rejected requests don't count against the quota. An admitted WebSocket
+   * upgrade holds one of the app's connections until closeWebSocket(), an
+   * admitted `stream` request one of its streams until recordRequest() or
+   * closeStream().
+   */
+  async admitRequest({ affinity = null, webSocket = false, stream = false } = {}) {
+    const tenant = await this.getTenant();
+    const limits = resolveLimits(tenant?.plan, tenant?.limits);
+    const cors = resolveCorsPolicy(tenant?.config?.cors);
+    const now = Date.now();
+    const quota = currentQuota(await this.ctx.storage.get("quota"), now);
+    
+    const exhausted = exhaustedQuota(quota, limits, now);
+    if (exhausted) {
+      return { allowed: false, ...exhausted, headers: rateLimitHeaders(limits, this.rateBucket, quota, now), cors };
+    }
+    
+    const taken = takeToken(this.rateBucket, limits, now);
+    this.rateBucket = taken.bucket;
+    if (!taken.allowed) {
+      return {
+        allowed: false,
+        limit: "rate",
+        retryAfter: taken.retryAfter,
+        headers: rateLimitHeaders(limits, this.rateBucket, quota, now),
+        cors,
+      };
+    }
+    
+    const open = { webSockets: this.webSockets, streams: this.streams };
+    const exceeded = exceededConnectionLimit(limits, open, { webSocket, stream });
+    if (exceeded) {
+      return { allowed: false, ...exceeded, headers: rateLimitHeaders(limits, this.rateBucket, quota, now), cors };
+    }
+    
+    quota.dailyCount++;
+    quota.monthlyCount++;
+    await this.ctx.storage.put("quota", quota);
+    if (webSocket) {
+      this.webSockets++;
+    }
+    if (stream) {
+      this.streams++;
+    }
+    
+    return {
+      allowed: true,
+      headers: rateLimitHeaders(limits, this.rateBucket, quota, now),
+      authPolicy: await this.getAuthPolicy(),
+      cors,
+      canary: (await this.ctx.storage.get("canary")) || null,
+      replica: await this.routeRequest(affinity),
+    };
+  }
+
+  /**
+   * Count a stream the client didn't ask for against the app's streams
+   * limit - the Worker calls it once the container's response turns out
+   * to be a stream, and recordRequest({ stream: true }) gives it back when
+   * it ends
+   * Returns { allowed: true } or { allowed: false, limit: "streams", retryAfter }
+   */
+  async openStream() {
+    const tenant = await this.getTenant();
+    const limits = resolveLimits(tenant?.plan, tenant?.limits);
+    const exceeded = exceededConnectionLimit(limits, { streams: this.streams }, { stream: true });
+    if (exceeded) {
+      return { allowed: false, ...exceeded };
+    }
+    this.streams++;
+    return { allowed: true };
+  }
+
+  /**
+   * A request admitted as a stream got no streaming response - give its
+   * stream back
+   */
+  async closeStream() {
+    this.streams = Math.max(0, this.streams - 1);
+  }
+
+  /**
+   * Get the effective limits and this period's usage
+   */
+  async getLimits() {
+    const tenant = await this.getTenant();
+    const plan = tenant?.plan || DEFAULT_PLAN;
+    return {
+      plan,
+      limits: resolveLimits(plan, tenant?.limits),
+      overrides: tenant?.limits || {},
+      usage: currentQuota(await this.ctx.storage.get("quota")),
+    };
+  }
+
+  /**
+   * Change the plan and/or per-app overrides
+   * Example: setLimits({ plan: "pro", limits: { rps: 50 } })
+   * Passing `limits` replaces all overrides - send {} to go back to the plan's defaults.
+   */
+  async setLimits({ plan, limits } = {}) {
+    const invalid = validateLimitsUpdate({ plan, limits });
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    
+    const tenant = (await this.getTenant()) || { owner: null, plan: DEFAULT_PLAN, config: {} };
+    const updated = {
+      ...tenant,
+      plan: plan ?? tenant.plan,
+      limits: limits ?? tenant.limits ?? {},
+    };
+    await this.ctx.storage.put("tenant", updated);
+    
+    // New limits apply from the next request - start from a full bucket
+    this.rateBucket = null;
+    
+    if (plan) {
+      await this.syncRegistry({ plan });
+    }
+    return { success: true, ...(await this.getLimits()) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // INTERNAL HELPERS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Report this app to the TenantRegistry so it can be listed/searched
+   * Registry failures are logged but never break the app itself
+   */
+  async syncRegistry(fields) {
+    const appId = this.ctx.id.name;
+    if (!appId || !isPrimary(appId)) return;
+    
+    try {
+      await getRegistry(this.env).registerApp(appId, fields);
+    } catch (error) {
+      console.error(`[${appId}] Registry sync failed:`, error.message);
+    }
+  }
+
+  /**
+   * Report to the CapacityTracker - best effort like syncRegistry(); a slot
+   * it misses is claimed on the next start or expires
+   */
+  async syncCapacity(method, ...args) {
+    try {
+      await getCapacity(this.env)[method](...args);
+    } catch (error) {
+      console.error(`[${this.ctx.id.name || "unknown"}] Capacity sync failed:`, error.message);
+    }
+  }
+}
+
+
+// =============================================================================
+// RUNTIME VARIANTS
+// =============================================================================
+/**
+ * Same management logic, different container image.
+ * Each class has its own [[containers]] entry and binding in wrangler.toml,
+ * and the router picks the namespace from the tenant's config.runtime.
+ */
+export class PythonAppContainer extends VibeAppContainer {
+  runtime = "python";
+  imageVersion = RUNTIMES.python.imageVersion;
+}
+
+export class StaticAppContainer extends VibeAppContainer {
+  runtime = "static";
+  imageVersion = RUNTIMES.static.imageVersion;
+}
+
+
+// =============================================================================
+// WORKER ENTRY POINT (Router)
+// =============================================================================
+/**
+ * This is the main entry point for all HTTP requests.
+ * 
+ * The Worker acts as a router that:
+ * 1. Extracts the appId from the request (URL path or query param)
+ * 2. Gets or creates the Durable Object for that appId
+ * 3. Forwards the request to the appropriate container
+ * 
+ * ROUTING PATTERNS SUPPORTED:
+ * - Path-based:  https://your-worker.dev/app/{appId}/...
+ * - Query-based: https://your-worker.dev/?appId={appId}
+ * - Subdomain:   https://{appId}.your-domain.com (requires custom domain)
+ */
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    
+    // -------------------------------------------------------------------------
+    // STEP 1: Extract the App ID from the request
+    // -------------------------------------------------------------------------
+    // Try multiple routing patterns - customize based on your needs
+    
+    let appId = null;
+    
+    // Pattern 1: Hostname routing - checked first (see src/domains.js)
+    // Examples: https://my-cool-app.vibeapps.com   (PLATFORM_DOMAIN subdomain)
+    //           https://www.my-bakery.com          (verified custom domain)
+    // Host-routed requests keep their full path - there's no /app/{appId} prefix
+    appId = await resolveHostname(env, url.hostname);
+    const hostRouted = Boolean(appId);
+    
+    // Pattern 2: Path-based routing - /app/{appId}/...
+    // Example: https://platform.dev/app/my-cool-app/api/users
+    const pathMatch = url.pathname.match(/^\/app\/([^\/]+)/);
+    if (!appId && pathMatch) {
+      appId = pathMatch[1];
+    }
+    
+    // Pattern 3: Query parameter - ?appId={appId}
+    // Example: https://platform.dev/?appId=my-cool-app
+    if (!appId) {
+      appId = url.searchParams.get("appId");
+    }
+
+    // -------------------------------------------------------------------------
+    // STEP 2: Handle platform-level routes (no appId needed)
+    // -------------------------------------------------------------------------
+    
+    // These only exist on platform hostnames - on an app's own hostname,
+    // "/" and "/api/..." belong to the app
+    if (!hostRouted) {
+      for (const handle of PLATFORM_HANDLERS) {
+        const response = await handle(request, env, url);
+        if (response) return response;
+      }
+    }
+
+    // -------------------------------------------------------------------------
+    // STEP 3: Validate App ID
+    // -------------------------------------------------------------------------
+    
+    if (!appId) {
+      return Response.json(
+        {
+          error: "Missing App ID",
+          message: "Please provide an appId to route to your application",
+          examples: [
+            "GET /app/my-app-123/",
+            "GET /?appId=my-app-123",
+          ],
+        },
+        { status: 400 }
+      );
+    }
+
+    // Validate appId format (alphanumeric, hyphens, underscores)
+    if (!APP_ID_PATTERN.test(appId)) {
+      return Response.json(
+        {
+          error: "Invalid App ID",
+          message: "App ID must contain only letters, numbers, hyphens, and underscores",
+          provided: appId,
+        },
+        { status: 400 }
+      );
+    }
+
+    // -------------------------------------------------------------------------
+    // STEP 4: Get or Create the Container Instance
+    // -------------------------------------------------------------------------
+    /**
+     * This is the KEY PATTERN:
+     * 
+     * getByName(appId) does two things:
+     * 1. idFromName(appId) - Deterministically converts appId to a DO ID
+     * 2. get(id) - Gets a stub (reference) to that Durable Object
+     * 
+     * If this is the first request for this appId:
+     * - A new Durable Object is created
+     * - A new Container is started
+     * 
+     * If this appId was seen before:
+     * - Routes to the existing Durable Object
+     * - Wakes the container if it was sleeping
+     * 
+     * Only PROVISIONED apps get this far - unknown appIds get a 404 instead
+     * of a container, unless OPEN_SIGNUP is enabled.
+     */
+    
+    try {
+      let app = await resolveApp(env, appId);
+      if (!app && env.OPEN_SIGNUP === "true") {
+        app = await autoProvision(env, appId);
+      }
+      if (!app) {
+        return appNotFound(appId);
+      }
+      
+      // Each runtime (node, python, static) has its own DO namespace
+      const appContainer = getAppStub(env, app);
+      
+      // -----------------------------------------------------------------------
+      // STEP 5: Handle special management endpoints
+      // -----------------------------------------------------------------------
+      
+      // Strip the /app/{appId} prefix to get the actual path
+      const appPath = hostRouted
+        ? url.pathname
+        : url.pathname.replace(/^\/app\/[^\/]+/, "") || "/";
+      
+      // Management endpoints (MANAGEMENT_HANDLERS below) require a bearer
+      // token (see src/auth.js) - authorize() returns null when allowed, or
+      // a 401/403 response. A handler returns null for requests it doesn't
+      // answer, which go on to the app.
+      const route = { url, appId, app, appContainer, appPath, hostRouted };
+      for (const handle of MANAGEMENT_HANDLERS) {
+        const response = await handle(request, env, route);
+        if (response) return response;
+      }
+      
+      // -----------------------------------------------------------------------
+      // STEP 6: Forward request to the container
+      // -----------------------------------------------------------------------
+      
+      return await forwardRequest(request, env, ctx, route);
+      
+    } catch (error) {
+      // -----------------------------------------------------------------------
+      // Error Handling
+      // -----------------------------------------------------------------------
+      console.error(`[${appId}] Error:`, error.message);
+      
+      return Response.json(
+        {
+          error: "Container Error",
+          message: error.message,
+          appId: appId,
+          // Don't expose stack traces in production
+          // stack: error.stack,
+        },
+        { status: 500 }
+      );
+    }
+  },
+};
+
+// =============================================================================
+// PLATFORM ROUTES
+// =============================================================================
+// Tried in order by the router, on platform hostnames only - each handler
+// returns a Response for the requests it answers, or null
+const PLATFORM_HANDLERS = [handlePlatformInfo, handleAppsApi, handleUsageExport];
+
+/**
+ * The learning UI, the platform health check and the API index
+ */
+async function handlePlatformInfo(request, env, url) {
+  // Interactive Learning UI - serves at root
+  if (url.pathname === "/" || url.pathname === "/ui") {
+    const baseUrl = url.protocol + "//" + url.host;
+    try {
+      const html = getUIHTML(baseUrl);
+      return new Response(html, {
+        headers: { "Content-Type": "text/html; charset=utf-8" },
+      });
+    } catch (e) {
+      return new Response("UI Error: " + e.message, { status: 500 });
+    }
+  }
+
+  // Health check endpoint for the platform itself
+  if (url.pathname === "/health") {
+    return Response.json({
+      status: "healthy",
+      platform: "Multi-Tenant Vibe App Platform",
+      version: "1.0.0",
+      capacity: await getPlatformCapacity(env),
+      usage: {
+        pathRouting: "/app/{appId}/your-path",
+        queryRouting: "/?appId={appId}",
+        statusEndpoint: "/app/{appId}/_status",
+      },
+    });
+  }
+
+  // API endpoint for JSON response (for programmatic access)
+  if (url.pathname === "/api") {
+    return Response.json({
+      status: "healthy",
+      platform: "Multi-Tenant Vibe App Platform",
+      version: "1.0.0",
+      usage: {
+        ui: "/",
+        apps: "/api/apps (admin)",
+        usage: "/api/usage?from=&to=&format=csv (admin)",
+        pathRouting: "/app/{appId}/your-path",
+        queryRouting: "/?appId={appId}",
+        statusEndpoint: "/app/{appId}/_status",
+      },
+    });
+  }
+  return null;
+}
+
+/**
+ * Tenant listing, provisioning and deletion (admin key required)
+ */
+async function handleAppsApi(request, env, url) {
+  // Tenant listing for admin tooling (admin key required)
+  // GET /api/apps?status=running&owner=alice&activeSince=...&q=blog&limit=50&cursor=...
+  if (url.pathname === "/api/apps" && request.method === "GET") {
+    const denied = authorizeAdmin(request, env);
+    if (denied) return denied;
+
+    const params = url.searchParams;
+    const result = await getRegistry(env).listApps({
+      status: params.get("status") || undefined,
+      owner: params.get("owner") || undefined,
+      activeSince: parseTimestamp(params.get("activeSince")),
+      activeBefore: parseTimestamp(params.get("activeBefore")),
+      q: params.get("q") || undefined,
+      includeDeleted: params.get("includeDeleted") === "true",
+      limit: params.get("limit") || undefined,
+      cursor: params.get("cursor") || undefined,
+    });
+    return Response.json(result);
+  }
+
+  // Provision a new app (admin key required)
+  // POST /api/apps { appId, owner, plan?, config? }
+  if (url.pathname === "/api/apps" && request.method === "POST") {
+    const denied = authorizeAdmin(request, env);
+    if (denied) return denied;
+
+    const { body, invalid } = await readJsonBody(request);
+    if (invalid) return invalid;
+    const { appId: newAppId, owner = null, plan = "free", config = {} } = body;
+    if (!newAppId || !APP_ID_PATTERN.test(newAppId)) {
+      return Response.json(
+        {
+          error: "Invalid App ID",
+          message: "App ID must contain only letters, numbers, hyphens, and underscores",
+          provided: newAppId ?? null,
+        },
+        { status: 400 }
+      );
+    }
+
+    // config.runtime picks the container image - see src/runtimes.js
+    const runtime = config.runtime ?? DEFAULT_RUNTIME;
+    if (!isValidRuntime(runtime)) {
+      return Response.json(
+        {
+          error: "Invalid Runtime",
+          message: `Runtime must be one of: ${Object.keys(RUNTIMES).join(", ")}`,
+          provided: runtime,
+        },
+        { status: 400 }
+      );
+    }
+    const tenantConfig = { ...config, runtime };
+
+    // config.cors is the app's CORS policy - see src/cors.js
+    const invalidCors = config.cors === undefined ? null : validateCorsPolicy(config.cors);
+    if (invalidCors) {
+      return Response.json(
+        { error: "Invalid CORS Policy", message: invalidCors, provided: config.cors },
+        { status: 400 }
+      );
+    }
+
+    // The plan sets the default rate limits and quotas - see src/limits.js
+    if (!isValidPlan(plan)) {
+      return Response.json(
+        {
+          error: "Invalid Plan",
+          message: `Plan must be one of: ${Object.keys(PLAN_LIMITS).join(", ")}`,
+          provided: plan,
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await getRegistry(env).provisionApp(newAppId, { owner, plan, config: tenantConfig });
+    if (!result.success) {
+      return Response.json({ error: "Conflict", message: result.error, appId: newAppId }, { status: 409 });
+    }
+    await getAppStub(env, result.app).provision({ owner, plan, config: tenantConfig });
+    return Response.json(result.app, { status: 201 });
+  }
+
+  // Get or delete a single app (admin key required)
+  // DELETE destroys the container, wipes its storage and tombstones the appId
+  const apiAppMatch = url.pathname.match(/^\/api\/apps\/([^\/]+)$/);
+  if (apiAppMatch) {
+    const denied = authorizeAdmin(request, env);
+    if (denied) return denied;
+
+    const targetAppId = apiAppMatch[1];
+    const app = await getRegistry(env).getApp(targetAppId);
+    if (!app || app.state !== "active") {
+      return appNotFound(targetAppId);
+    }
+
+    if (request.method === "GET") {
+      return Response.json(app);
+    }
+    if (request.method === "DELETE") {
+      // Tombstone first so no new traffic is routed while we tear down
+      const { deletedAt, hostnames } = await getRegistry(env).tombstoneApp(targetAppId);
+      forgetApp(targetAppId);
+      hostnames.forEach(forgetHostname);
+      await getAppStub(env, app).deprovision();
+      return Response.json({ success: true, appId: targetAppId, deletedAt });
+    }
+  }
+  return null;
+}
+
+/**
+ * Billing export for every app (admin key required)
+ * GET /api/usage?from=...&to=...&format=csv   (format defaults to json)
+ */
+async function handleUsageExport(request, env, url) {
+  if (url.pathname === "/api/usage" && request.method === "GET") {
+    const denied = authorizeAdmin(request, env);
+    if (denied) return denied;
+
+    const range = usageRange(
+      parseTimestamp(url.searchParams.get("from")),
+      parseTimestamp(url.searchParams.get("to"))
+    );
+    if (range.error) {
+      return Response.json({ error: "Invalid Range", message: range.error }, { status: 400 });
+    }
+
+    const apps = await exportUsage(env, range);
+    if (url.searchParams.get("format") === "csv") {
+      return new Response(usageCsv(apps), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="usage-${new Date(range.from).toISOString().slice(0, 10)}.csv"`,
+        },
+      });
+    }
+    return Response.json({
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      apps,
+    });
+  }
+  return null;
+}
+
+// =============================================================================
+// MANAGEMENT ENDPOINTS
+// =============================================================================
+// The /_ endpoints of an app, tried in order by the router like
+// PLATFORM_HANDLERS
+const MANAGEMENT_HANDLERS = [
+  handleStatus,
+  handleRestart,
+  handleTokens,
+  handleAuthPolicy,
+  handleCorsPolicy,
+  handleEnv,
+  handleDomains,
+  handleUsage,
+  handleColdStartPolicy,
+  handleLifecyclePolicy,
+  handleScaling,
+  handleLogs,
+  handleSnapshots,
+  handleReleases,
+  handleCanary,
+  handleBundles,
+  handleKv,
+  handleEvents,
+  handleLimits,
+];
+
+/**
+ * Container status, metadata and readiness
+ */
+async function handleStatus(request, env, { appId, appContainer, appPath }) {
+  // Status endpoint - get container info without forwarding to container
+  if (appPath === "/_status") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+    if (denied) return denied;
+
+    const status = await appContainer.getAppStatus();
+    // Add request location info (where the request originated)
+    status.requestLocation = {
+      colo: request.cf?.colo || "unknown",
+      country: request.cf?.country || "unknown",
+      city: request.cf?.city || "unknown",
+      region: request.cf?.region || "unknown",
+    };
+    return Response.json(status);
+  }
+
+  // Metadata endpoint - get/set app metadata
+  if (appPath === "/_metadata") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+
+      const status = await appContainer.getAppStatus();
+      return Response.json(status.metadata);
+    }
+    if (request.method === "POST" || request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.METADATA_WRITE);
+      if (denied) return denied;
+
+      const { body: metadata, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.setMetadata(metadata);
+      return Response.json(result);
+    }
+  }
+
+  // Readiness endpoint - polled by the cold-start page (public)
+  if (appPath === "/_ready" && request.method === "GET") {
+    return Response.json(await appContainer.getReadiness(), {
+      headers: { "Cache-Control": "no-store" },
+    });
+  }
+  return null;
+}
+
+/**
+ * Restart endpoint - POST /_restart?mode=graceful|force (default force)
+ * graceful drains in-flight requests and holds new ones until the new
+ * container is healthy (see src/drain.js)
+ */
+async function handleRestart(request, env, { url, appId, appContainer, appPath }) {
+  if (appPath === "/_restart" && request.method === "POST") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.RESTART);
+    if (denied) return denied;
+
+    const mode = url.searchParams.get("mode") || "force";
+    if (!RESTART_MODES.includes(mode)) {
+      return Response.json(
+        { error: "Invalid Mode", message: `mode must be one of: ${RESTART_MODES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+    const result = await appContainer.restart({ mode });
+    return Response.json(result, { status: result.success ? 200 : result.inProgress ? 409 : 503 });
+  }
+  return null;
+}
+
+/**
+ * Token endpoints - issue, list and revoke tenant API tokens (admin only)
+ * POST /_tokens         { scopes: [...], label?, expiresIn? (seconds) }
+ * DELETE /_tokens/{id}
+ */
+async function handleTokens(request, env, { appContainer, appPath }) {
+  const tokenMatch = appPath.match(/^\/_tokens(?:\/([^\/]+))?$/);
+  if (tokenMatch) {
+    const denied = authorizeAdmin(request, env);
+    if (denied) return denied;
+
+    const tokenId = tokenMatch[1];
+    if (!tokenId && request.method === "GET") {
+      return Response.json({ tokens: await appContainer.listApiTokens() });
+    }
+    if (!tokenId && request.method === "POST") {
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.issueApiToken(body);
+      return Response.json(result, { status: result.success ? 201 : 400 });
+    }
+    if (tokenId && request.method === "DELETE") {
+      const result = await appContainer.revokeApiToken(tokenId);
+      return Response.json(result, { status: result.success ? 200 : 404 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Auth policy endpoint - opt in to protecting forwarded app traffic
+ * PUT /_auth { requireAppAuth: true }
+ */
+async function handleAuthPolicy(request, env, { appId, appContainer, appPath }) {
+  if (appPath === "/_auth") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getAuthPolicy());
+    }
+    if (request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SETTINGS_WRITE);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      return Response.json(await appContainer.setAuthPolicy(body));
+    }
+  }
+  return null;
+}
+
+/**
+ * CORS policy - origins (wildcards allowed), methods, headers,
+ * credentials and preflight max-age (see src/cors.js)
+ * PUT /_cors { allowOrigins?: ["https://*.example.com"], allowMethods?, allowHeaders?,
+ *              exposeHeaders?, allowCredentials?: boolean, maxAge?: seconds }
+ */
+async function handleCorsPolicy(request, env, { appId, appContainer, appPath }) {
+  if (appPath === "/_cors") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getCorsPolicy());
+    }
+    if (request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SETTINGS_WRITE);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.setCorsPolicy(body);
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Env endpoint - per-app env vars and write-only secrets
+ * PUT /_env { vars?: {...}, secrets?: {...} }   (?restart=false to skip the restart)
+ * DELETE /_env/{NAME}
+ */
+async function handleEnv(request, env, { url, appId, appContainer, appPath }) {
+  const envMatch = appPath.match(/^\/_env(?:\/([^\/]+))?$/);
+  if (envMatch) {
+    const name = envMatch[1];
+    const restart = url.searchParams.get("restart") !== "false";
+
+    if (!name && request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.ENV_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getEnv());
+    }
+    if (!name && request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.ENV_WRITE);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.updateEnv(body, { restart });
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+    if (name && request.method === "DELETE") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.ENV_WRITE);
+      if (denied) return denied;
+      const result = await appContainer.deleteEnv(name, { restart });
+      return Response.json(result, { status: result.success ? 200 : 404 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Domains endpoint - attach custom hostnames (see src/domains.js)
+ * POST /_domains { hostname }            → pending, returns the TXT challenge
+ * POST /_domains/{hostname}/verify        → checks the TXT record
+ *      (body { txt: [...] } when DOMAIN_VERIFICATION = "simulate")
+ * DELETE /_domains/{hostname}
+ */
+async function handleDomains(request, env, { appId, appContainer, appPath }) {
+  const domainMatch = appPath.match(/^\/_domains(?:\/([^\/]+))?(\/verify)?$/);
+  if (domainMatch) {
+    const hostname = domainMatch[1]?.toLowerCase();
+    const isVerify = Boolean(domainMatch[2]);
+    const registry = getRegistry(env);
+
+    if (!hostname && request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      const domains = await registry.listDomains(appId);
+      return Response.json({
+        platformHostname: env.PLATFORM_DOMAIN ? `${appId.toLowerCase()}.${env.PLATFORM_DOMAIN}` : null,
+        domains: domains.map(withChallenge),
+      });
+    }
+
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.DOMAINS_WRITE);
+    if (denied) return denied;
+
+    if (!hostname && request.method === "POST") {
+      const { body, invalid: invalidBody } = await readJsonBody(request);
+      if (invalidBody) return invalidBody;
+      const { hostname: newHostname } = body;
+      const invalid = validateCustomHostname(env, newHostname);
+      if (invalid) {
+        return Response.json({ error: "Invalid Hostname", message: invalid }, { status: 400 });
+      }
+      const result = await registry.addDomain(appId, newHostname);
+      if (!result.success) {
+        return Response.json({ error: "Conflict", message: result.error }, { status: 409 });
+      }
+      return Response.json(withChallenge(result.domain), { status: 201 });
+    }
+
+    if (hostname && isVerify && request.method === "POST") {
+      const domain = await registry.getDomain(appId, hostname);
+      if (!domain) {
+        return Response.json({ error: "Not Found", message: "Domain not found" }, { status: 404 });
+      }
+      const { body, invalid } = await readJsonBody(request, { optional: true });
+      if (invalid) return invalid;
+      const records = await lookupChallengeRecords(env, hostname, body.txt);
+      if (!hasChallengeRecord(domain, records)) {
+        return Response.json(
+          {
+            error: "Verification Failed",
+            message: "The TXT challenge record was not found",
+            ...withChallenge(domain),
+            found: records,
+          },
+          { status: 422 }
+        );
+      }
+      const result = await registry.markDomainVerified(appId, hostname);
+      forgetHostname(hostname);
+      return Response.json(withChallenge(result.domain));
+    }
+
+    if (hostname && !isVerify && request.method === "DELETE") {
+      const result = await registry.removeDomain(appId, hostname);
+      forgetHostname(hostname);
+      return Response.json(result, { status: result.success ? 200 : 404 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Usage endpoint - hourly metered usage for billing (see src/metering.js)
+ * GET /_usage?from=2025-01-01&to=2025-01-02   (defaults to the last 24 hours)
+ */
+async function handleUsage(request, env, { url, appId, appContainer, appPath }) {
+  if (appPath === "/_usage" && request.method === "GET") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+    if (denied) return denied;
+
+    const range = usageRange(
+      parseTimestamp(url.searchParams.get("from")),
+      parseTimestamp(url.searchParams.get("to"))
+    );
+    if (range.error) {
+      return Response.json({ error: "Invalid Range", message: range.error }, { status: 400 });
+    }
+    return Response.json(await appContainer.getUsage(range));
+  }
+  return null;
+}
+
+/**
+ * Cold start policy - loading page for browsers, max queue wait for APIs
+ * PUT /_cold-start { interstitial?: boolean, maxWaitSeconds?: 1-120 }
+ */
+async function handleColdStartPolicy(request, env, { appId, appContainer, appPath }) {
+  if (appPath === "/_cold-start") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getColdStartPolicy());
+    }
+    if (request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SETTINGS_WRITE);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.setColdStartPolicy(body);
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Lifecycle policy - idle timeout, always on, cron warm windows (UTC)
+ * PUT /_lifecycle { idleTimeout?: "15m" | null, alwaysOn?: boolean,
+ *                   warmWindows?: [{ cron: "0 9 * * 1-5", duration: "9h" }] }
+ */
+async function handleLifecyclePolicy(request, env, { appId, appContainer, appPath }) {
+  if (appPath === "/_lifecycle") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getLifecyclePolicy());
+    }
+    if (request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SETTINGS_WRITE);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.setLifecyclePolicy(body);
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Scaling policy - replica count, autoscaling and routing
+ * (see src/replicas.js)
+ * PUT /_scaling { minReplicas?, maxReplicas?, targetRps?,
+ *                 routing?: "round-robin" | "least-loaded", affinity?: boolean }
+ */
+async function handleScaling(request, env, { appId, appContainer, appPath }) {
+  if (appPath === "/_scaling") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getReplicas());
+    }
+    if (request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SETTINGS_WRITE);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.setScalingPolicy(body);
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Live logs and the access log (see src/log-stream.js, src/access-log.js)
+ */
+async function handleLogs(request, env, { url, appId, appContainer, appPath }) {
+  // Live logs - the container's stdout/stderr as Server-Sent Events
+  // GET /_logs/stream?tail=100   (tail = lines of history to start with)
+  if (appPath === "/_logs/stream" && request.method === "GET") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.LOGS_READ);
+    if (denied) return denied;
+
+    const tail = Math.min(Math.max(Number(url.searchParams.get("tail") ?? 100) || 0, 0), 500);
+    const stream = await appContainer.streamLogs({ tail });
+    return new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+    });
+  }
+
+  // Logs endpoint - the app's access log, newest first (see src/access-log.js)
+  // GET /_logs?status=5xx&path=/api/&from=...&to=...&limit=50&cursor=...
+  if (appPath === "/_logs" && request.method === "GET") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.LOGS_READ);
+    if (denied) return denied;
+
+    const params = url.searchParams;
+    const query = {
+      status: params.get("status") || undefined,
+      pathPrefix: params.get("path") || undefined,
+      variant: params.get("variant") || undefined,
+      from: parseTimestamp(params.get("from")),
+      to: parseTimestamp(params.get("to")),
+      limit: params.get("limit") || undefined,
+      cursor: params.get("cursor") || undefined,
+    };
+    const invalid = validateLogQuery(query);
+    if (invalid) {
+      return Response.json({ error: "Invalid Query", message: invalid }, { status: 400 });
+    }
+    return Response.json(await appContainer.getLogs(query));
+  }
+  return null;
+}
+
+/**
+ * Snapshots - the app's DATA_DIR saved to R2 (see src/snapshots.js)
+ * GET /_snapshots, POST /_snapshots, POST /_snapshots/{id}/restore,
+ * GET /_snapshots/boot (the agent, with PLATFORM_TOKEN)
+ */
+async function handleSnapshots(request, env, { url, appId, appContainer, appPath }) {
+  if (appPath === "/_snapshots" || appPath.startsWith("/_snapshots/")) {
+    if (!env.SNAPSHOTS) {
+      return Response.json(
+        { error: "Not Configured", message: "Snapshots need the SNAPSHOTS R2 binding (see wrangler.toml)" },
+        { status: 501 }
+      );
+    }
+
+    if (appPath === "/_snapshots" && request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getSnapshots());
+    }
+
+    if (appPath === "/_snapshots" && request.method === "POST") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SNAPSHOTS_WRITE);
+      if (denied) return denied;
+      const result = await appContainer.createSnapshot();
+      return Response.json(result, { status: result.success ? 201 : 409 });
+    }
+
+    if (appPath === "/_snapshots/boot" && request.method === "GET") {
+      const denied = await authorizeContainer(request, env, appContainer);
+      if (denied) return denied;
+
+      const snapshotId = await appContainer.bootSnapshot({ latest: url.searchParams.get("latest") === "1" });
+      const object = snapshotId ? await getSnapshotObject(env.SNAPSHOTS, appId, snapshotId) : null;
+      if (!object) {
+        return new Response(null, { status: 204 });
+      }
+      return new Response(object.body, {
+        headers: { "Content-Type": "application/gzip", "Content-Length": String(object.size) },
+      });
+    }
+
+    const restoreMatch = appPath.match(/^\/_snapshots\/([^/]+)\/restore$/);
+    if (restoreMatch && request.method === "POST") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.SNAPSHOTS_WRITE);
+      if (denied) return denied;
+
+      const snapshotId = restoreMatch[1];
+      if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+        return Response.json({ error: "Invalid Snapshot", message: `"${snapshotId}" is not a snapshot id` }, { status: 400 });
+      }
+      const result = await appContainer.restoreFromSnapshot(snapshotId);
+      return Response.json(result, { status: result.success ? 200 : 404 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Deploys, release history and rollback (see src/releases.js)
+ */
+async function handleReleases(request, env, { url, appId, appContainer, appPath }) {
+  // Deploy - record a release of the app's current env config (plus an
+  // optional artifact reference) and restart the container on it
+  // POST /_deploy?mode=graceful|force  { artifact?, message?, deployedBy? }
+  if (appPath === "/_deploy" && request.method === "POST") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.DEPLOY);
+    if (denied) return denied;
+
+    const mode = url.searchParams.get("mode") || "force";
+    if (!RESTART_MODES.includes(mode)) {
+      return Response.json(
+        { error: "Invalid Mode", message: `mode must be one of: ${RESTART_MODES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+    const { body, invalid: invalidBody } = await readJsonBody(request, { optional: true });
+    if (invalidBody) return invalidBody;
+    const invalid = validateDeploy(body);
+    if (invalid) {
+      return Response.json({ error: "Invalid Release", message: invalid }, { status: 400 });
+    }
+
+    const result = await appContainer.deploy({
+      artifact: body.artifact,
+      message: body.message,
+      deployedBy: body.deployedBy,
+      caller: await identifyCaller(request, env),
+      mode,
+    });
+    return Response.json(result, { status: result.success ? 201 : result.inProgress ? 409 : 503 });
+  }
+
+  // Release history, newest first (see src/releases.js)
+  if (appPath === "/_releases" && request.method === "GET") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+    if (denied) return denied;
+    return Response.json(await appContainer.getReleases());
+  }
+
+  // Rollback - POST /_rollback/{version}?mode=graceful|force
+  const rollbackMatch = appPath.match(/^\/_rollback\/([^/]+)$/);
+  if (rollbackMatch && request.method === "POST") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.DEPLOY);
+    if (denied) return denied;
+
+    const version = parseVersion(rollbackMatch[1]);
+    if (version === null) {
+      return Response.json(
+        { error: "Invalid Version", message: `"${rollbackMatch[1]}" is not a release version (e.g. 3 or v3)` },
+        { status: 400 }
+      );
+    }
+    const mode = url.searchParams.get("mode") || "force";
+    if (!RESTART_MODES.includes(mode)) {
+      return Response.json(
+        { error: "Invalid Mode", message: `mode must be one of: ${RESTART_MODES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+    const result = await appContainer.rollback(version, { mode });
+    return Response.json(result, {
+      status: result.success ? 200 : result.notFound ? 404 : result.inProgress || result.conflict ? 409 : 503,
+    });
+  }
+  return null;
+}
+
+/**
+ * Canary releases - a share of the traffic on another release
+ * (see src/canary.js)
+ * GET /_canary, PUT /_canary { weight, version?, stickiness?, maxErrorRate?, message? },
+ * POST /_canary/promote?mode=graceful|force, POST /_canary/abort
+ */
+async function handleCanary(request, env, { url, appId, appContainer, appPath }) {
+  const canaryMatch = appPath.match(/^\/_canary(?:\/(promote|abort))?$/);
+  if (canaryMatch) {
+    const action = canaryMatch[1];
+    if (!action && request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json({ canary: await appContainer.getCanary() });
+    }
+
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.DEPLOY);
+    if (denied) return denied;
+
+    if (!action && request.method === "PUT") {
+      const { body, invalid: invalidBody } = await readJsonBody(request);
+      if (invalidBody) return invalidBody;
+      const invalid = validateCanary(body) || validateDeploy({ message: body.message });
+      if (invalid) {
+        return Response.json({ error: "Invalid Canary", message: invalid }, { status: 400 });
+      }
+      const result = await appContainer.setCanary({
+        weight: body.weight,
+        version: body.version,
+        stickiness: body.stickiness,
+        maxErrorRate: body.maxErrorRate,
+        message: body.message,
+        caller: await identifyCaller(request, env),
+      });
+      return Response.json(result, {
+        status: result.success ? 200 : result.notFound ? 404 : result.conflict ? 409 : 400,
+      });
+    }
+    if (action === "promote" && request.method === "POST") {
+      const mode = url.searchParams.get("mode") || "force";
+      if (!RESTART_MODES.includes(mode)) {
+        return Response.json(
+          { error: "Invalid Mode", message: `mode must be one of: ${RESTART_MODES.join(", ")}` },
+          { status: 400 }
+        );
+      }
+      const result = await appContainer.promoteCanary({ mode });
+      return Response.json(result, {
+        status: result.success ? 200 : result.notFound ? 404 : result.inProgress || result.conflict ? 409 : 503,
+      });
+    }
+    if (action === "abort" && request.method === "POST") {
+      const result = await appContainer.abortCanary();
+      return Response.json(result, { status: result.success ? 200 : 404 });
+    }
+  }
+  return null;
+}
+
+/**
+ * Code bundles - the tenant's own app, run on the runtime image
+ * (see src/bundles.js)
+ * PUT /_bundle?entrypoint=...&deploy=false&mode=..., GET /_bundle,
+ * GET /_bundle/{id} (the container downloading it, with PLATFORM_TOKEN)
+ */
+async function handleBundles(request, env, { url, appId, appContainer, appPath, hostRouted }) {
+  if (appPath === "/_bundle" || appPath.startsWith("/_bundle/")) {
+    if (!env.BUNDLES) {
+      return Response.json(
+        { error: "Not Configured", message: "Code bundles need the BUNDLES R2 binding (see wrangler.toml)" },
+        { status: 501 }
+      );
+    }
+
+    if (appPath === "/_bundle" && request.method === "PUT") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.DEPLOY);
+      if (denied) return denied;
+
+      const params = url.searchParams;
+      const format = bundleFormat(request.headers.get("Content-Type"));
+      if (!format) {
+        return Response.json(
+          { error: "Unsupported Bundle", message: "Send a .tar.gz (application/gzip) or .zip (application/zip)" },
+          { status: 415 }
+        );
+      }
+      const size = Number(request.headers.get("Content-Length"));
+      if (!size) {
+        return Response.json({ error: "Length Required", message: "Send the bundle with a Content-Length" }, { status: 411 });
+      }
+      if (size > MAX_BUNDLE_BYTES) {
+        return Response.json(
+          { error: "Bundle Too Large", message: `Bundles can be at most ${MAX_BUNDLE_BYTES / 1024 / 1024} MB` },
+          { status: 413 }
+        );
+      }
+      const entrypoint = params.get("entrypoint");
+      const invalid = validateEntrypoint(entrypoint) || validateDeploy({ message: params.get("message") });
+      if (invalid) {
+        return Response.json({ error: "Invalid Bundle", message: invalid }, { status: 400 });
+      }
+      const mode = params.get("mode") || "force";
+      if (!RESTART_MODES.includes(mode)) {
+        return Response.json(
+          { error: "Invalid Mode", message: `mode must be one of: ${RESTART_MODES.join(", ")}` },
+          { status: 400 }
+        );
+      }
+
+      const bundle = await putBundle(env.BUNDLES, appId, request.body, { format, entrypoint });
+      await appContainer.setBundle(bundle, appBaseUrl(url, appId, hostRouted));
+
+      // ?deploy=false only stores it - the next POST /_deploy releases it
+      if (params.get("deploy") === "false") {
+        return Response.json({ success: true, bundle, deployed: false }, { status: 201 });
+      }
+      const result = await appContainer.deploy({
+        message: params.get("message"),
+        caller: await identifyCaller(request, env),
+        mode,
+      });
+      return Response.json(
+        { ...result, bundle, deployed: result.success },
+        { status: result.success ? 201 : result.inProgress ? 409 : 503 }
+      );
+    }
+
+    if (appPath === "/_bundle" && request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getBundles());
+    }
+
+    const downloadMatch = appPath.match(/^\/_bundle\/([^/]+)$/);
+    if (downloadMatch && request.method === "GET") {
+      const denied = await authorizeContainer(request, env, appContainer);
+      if (denied) return denied;
+
+      const object = BUNDLE_ID_PATTERN.test(downloadMatch[1])
+        ? await getBundleObject(env.BUNDLES, appId, downloadMatch[1])
+        : null;
+      if (!object) {
+        return Response.json({ error: "Not Found", message: `Bundle "${downloadMatch[1]}" not found` }, { status: 404 });
+      }
+      return new Response(object.body, {
+        headers: {
+          "Content-Type": object.httpMetadata?.contentType || "application/octet-stream",
+          "Content-Length": String(object.size),
+        },
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * Tenant KV - called by the app itself with PLATFORM_TOKEN
+ * (see src/kv.js)
+ * GET /_kv?prefix=..., GET/PUT/DELETE /_kv/{key} (PUT takes ?ttl=seconds),
+ * POST /_kv/{key}?increment=1 adds to a counter
+ */
+async function handleKv(request, env, { url, appContainer, appPath }) {
+  if (appPath === "/_kv" || appPath.startsWith("/_kv/")) {
+    const denied = await authorizeContainer(request, env, appContainer);
+    if (denied) return denied;
+
+    if (appPath === "/_kv" && request.method === "GET") {
+      const params = url.searchParams;
+      return Response.json(
+        await appContainer.listKv({
+          prefix: params.get("prefix") || undefined,
+          limit: params.get("limit") || undefined,
+          cursor: params.get("cursor") || undefined,
+        })
+      );
+    }
+
+    let key;
+    try {
+      key = decodeURIComponent(appPath.slice("/_kv/".length));
+    } catch {
+      return Response.json({ error: "Invalid Key", message: "The key is not valid URL encoding" }, { status: 400 });
+    }
+
+    if (key && request.method === "GET") {
+      const entry = await appContainer.getKv(key);
+      if (!entry) {
+        return Response.json({ error: "Not Found", message: `Key "${key}" not found` }, { status: 404 });
+      }
+      const headers = { "Content-Type": entry.contentType || "application/octet-stream" };
+      if (entry.expiresAt) {
+        headers["Expires"] = new Date(entry.expiresAt).toUTCString();
+      }
+      return new Response(entry.value, { headers });
+    }
+
+    if (key && request.method === "PUT") {
+      const value = await request.arrayBuffer();
+      const tooLarge = validateKvValue(value);
+      if (tooLarge) {
+        return Response.json({ error: "Value Too Large", message: tooLarge }, { status: 413 });
+      }
+      const result = await appContainer.putKv(key, value, {
+        contentType: request.headers.get("Content-Type"),
+        ttl: url.searchParams.get("ttl"),
+      });
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+
+    if (key && request.method === "POST") {
+      const increment = url.searchParams.get("increment");
+      const result = await appContainer.incrementKv(key, increment === null ? 1 : Number(increment), {
+        ttl: url.searchParams.get("ttl"),
+      });
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+
+    if (key && request.method === "DELETE") {
+      return Response.json(await appContainer.deleteKv(key));
+    }
+  }
+  return null;
+}
+
+/**
+ * Events endpoint - the container's lifecycle timeline, newest first
+ * (see src/events.js)
+ * GET /_events?type=restart,error&from=...&to=...&limit=50&cursor=...
+ */
+async function handleEvents(request, env, { url, appId, appContainer, appPath }) {
+  if (appPath === "/_events" && request.method === "GET") {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+    if (denied) return denied;
+
+    const params = url.searchParams;
+    const query = {
+      type: params.get("type") || undefined,
+      from: parseTimestamp(params.get("from")),
+      to: parseTimestamp(params.get("to")),
+      limit: params.get("limit") || undefined,
+      cursor: params.get("cursor") || undefined,
+    };
+    const invalid = validateEventQuery(query);
+    if (invalid) {
+      return Response.json({ error: "Invalid Query", message: invalid }, { status: 400 });
+    }
+    return Response.json(await appContainer.getEvents(query));
+  }
+  return null;
+}
+
+/**
+ * Limits endpoint - rate limits, quotas and this period's usage
+ * PUT /_limits { plan?, limits?: { rps, burst, dailyRequests, monthlyRequests } } (admin only)
+ */
+async function handleLimits(request, env, { appId, appContainer, appPath }) {
+  if (appPath === "/_limits") {
+    if (request.method === "GET") {
+      const denied = await authorize(request, env, appId, appContainer, SCOPES.STATUS_READ);
+      if (denied) return denied;
+      return Response.json(await appContainer.getLimits());
+    }
+    if (request.method === "PUT") {
+      const denied = authorizeAdmin(request, env);
+      if (denied) return denied;
+      const { body, invalid } = await readJsonBody(request);
+      if (invalid) return invalid;
+      const result = await appContainer.setLimits(body);
+      return Response.json(result, { status: result.success ? 200 : 400 });
+    }
+  }
+  return null;
+}
 
 // =============================================================================
-// WORKER ENTRY POINT (Router)
+// APP TRAFFIC
 // =============================================================================
 /**
- * This is the main entry point for all HTTP requests.
- * 
- * The Worker acts as a router that:
- * 1. Extracts the appId from the request (URL path or query param)
- * 2. Gets or creates the Durable Object for that appId
- * 3. Forwards the request to the appropriate container
- * 
- * ROUTING PATTERNS SUPPORTED:
- * - Path-based:  https://your-worker.dev/app/{appId}/...
- * - Query-based: https://your-worker.dev/?appId={appId}
- * - Subdomain:   https://{appId}.your-domain.com (requires custom domain)
+ * Admit a request and forward it to the app's container - its own, a
+ * replica's or the canary's (see src/replicas.js, src/canary.js)
+ * Preflights and over-limit requests are answered here and never reach
+ * the container.
+ */
+async function forwardRequest(request, env, ctx, { url, appId, app, appContainer, appPath, hostRouted }) {
+  // With a CORS policy (see src/cors.js) the platform answers preflights
+  // itself - the container is never woken for them. This comes before
+  // admission, so preflights don't use up rate limit tokens or quota,
+  // and before app auth: browsers don't send credentials with a preflight.
+  if (isPreflight(request)) {
+    const startedAt = Date.now();
+    const policy = await appContainer.getCorsPolicy();
+    if (corsEnabled(policy)) {
+      const preflight = preflightResponse(request, policy);
+      ctx.waitUntil(appContainer.logRequest({
+        requestId: crypto.randomUUID(),
+        timestamp: startedAt,
+        method: request.method,
+        path: appPath,
+        status: preflight.status,
+        latencyMs: Date.now() - startedAt,
+        colo: request.cf?.colo || "unknown",
+      }));
+      return preflight;
+    }
+  }
+
+  // Rate limits and quotas are enforced by the app's Durable Object
+  // (see src/limits.js) - over-limit requests never reach the container
+  // It also picks the replica to serve the request (see src/replicas.js)
+  // and counts WebSocket connections (see src/websockets.js)
+  const affinity = readReplicaCookie(request);
+  const webSocket = isWebSocketUpgrade(request);
+  const streamRequested = !webSocket && expectsStream(request);
+  const admission = await appContainer.admitRequest({ affinity, webSocket, stream: streamRequested });
+  const { cors } = admission;
+  if (!admission.allowed) {
+    const rejected = tooManyRequests(appId, admission);
+    applyCors(rejected.headers, request, cors);
+    return rejected;
+  }
+
+  // Tenant traffic is public unless the tenant opted in to app auth
+  const { authPolicy } = admission;
+  if (authPolicy.requireAppAuth) {
+    const denied = await authorize(request, env, appId, appContainer, SCOPES.APP_ACCESS);
+    if (denied) {
+      ctx.waitUntil(appContainer.releaseReplica(admission.replica.index));
+      if (webSocket) ctx.waitUntil(appContainer.closeWebSocket());
+      if (streamRequested) ctx.waitUntil(appContainer.closeStream());
+      applyCors(denied.headers, request, cors);
+      return denied;
+    }
+  }
+
+  // While a canary runs, a sticky share of the clients goes to its
+  // container (see src/canary.js) - everyone else to the replica picked
+  // above. The app's DO still logs every request.
+  const cookiePath = hostRouted ? "/" : `/app/${appId}`;
+  const { variant, cookie: canaryCookie } = admission.canary
+    ? chooseVariant(request, appId, admission.canary, cookiePath)
+    : { variant: "stable", cookie: null };
+  const { replica } = admission;
+  let target = appContainer;
+  if (variant === "canary") {
+    target = getAppStub(env, app, canaryName(appId));
+  } else if (replica.index > 0) {
+    target = getAppStub(env, app, replicaName(appId, replica.index));
+  }
+
+  /**
+   * appContainer.fetch() does the following:
+   * 1. Ensures the container is running (starts if sleeping)
+   * 2. Waits for the container to be healthy
+   * 3. Forwards the HTTP request to the container
+   * 4. Returns the container's response
+   * 
+   * The container sees the original request headers, body, method, etc.
+   */
+
+  // Rewrite the URL to remove the /app/{appId} prefix
+  const containerUrl = new URL(request.url);
+  containerUrl.pathname = appPath;
+
+  const containerRequest = new Request(containerUrl, request);
+
+  // Add headers to help the container identify the request context
+  // X-Request-Id ties the app's own logs to the access log (/_logs)
+  const requestId = crypto.randomUUID();
+  containerRequest.headers.set("X-App-Id", appId);
+  containerRequest.headers.set("X-Original-URL", request.url);
+  containerRequest.headers.set("X-Request-Id", requestId);
+
+  // Where the cold-start page polls for readiness (never reaches the app)
+  // /_ready reports the app's own container, so a waking canary or
+  // replica holds requests in its queue instead
+  if (target === appContainer) {
+    containerRequest.headers.set(READY_PATH_HEADER, hostRouted ? "/_ready" : `/app/${appId}/_ready`);
+  }
+
+  // Where the app calls back into the platform (PLATFORM_KV_URL)
+  containerRequest.headers.set(APP_URL_HEADER, appBaseUrl(url, appId, hostRouted));
+
+  // The platform token was consumed above - don't leak it to the app
+  if (authPolicy.requireAppAuth) {
+    containerRequest.headers.delete("Authorization");
+  }
+
+  // Pass Cloudflare location headers to the container
+  // These help identify where the container is running
+  const cfColo = request.cf?.colo || "unknown";
+  const cfCountry = request.cf?.country || "unknown";
+  const cfCity = request.cf?.city || "unknown";
+  const cfRegion = request.cf?.region || "unknown";
+  containerRequest.headers.set("X-CF-Colo", cfColo);
+  containerRequest.headers.set("X-CF-Country", cfCountry);
+  containerRequest.headers.set("X-CF-City", cfCity);
+  containerRequest.headers.set("X-CF-Region", cfRegion);
+
+  const location = {
+    colo: cfColo,
+    country: cfCountry,
+    city: cfCity,
+    region: cfRegion,
+    lastUpdated: Date.now(),
+  };
+  const bytesIn = Number(request.headers.get("Content-Length")) || 0;
+
+  // Access log entry (see src/access-log.js) - completed once we have a response
+  const startedAt = Date.now();
+  const log = {
+    requestId,
+    timestamp: startedAt,
+    method: request.method,
+    path: appPath,
+    colo: cfColo,
+    variant,
+  };
+
+  let response;
+  try {
+    response = await target.fetch(containerRequest);
+  } catch (error) {
+    // Still log it - this is the "my app returned 500" case
+    ctx.waitUntil(appContainer.logRequest(
+      { ...log, status: 500, latencyMs: Date.now() - startedAt, coldStart: false },
+      { replica: replica.index }
+    ));
+    if (webSocket) ctx.waitUntil(appContainer.closeWebSocket());
+    if (streamRequested) ctx.waitUntil(appContainer.closeStream());
+    throw error;
+  }
+  log.status = response.status;
+  log.latencyMs = Date.now() - startedAt;
+  log.coldStart = response.headers.has(COLD_START_HEADER);
+
+  // An accepted upgrade has no body - the serving DO relays the socket
+  // and gives the connection back when it closes. A refused one is an
+  // ordinary response.
+  const upgraded = webSocket && response.status === 101 && Boolean(response.webSocket);
+  if (webSocket && !upgraded) {
+    ctx.waitUntil(appContainer.closeWebSocket());
+  }
+
+  // Streaming mode (SSE, NDJSON, X-Vibe-Stream: 1 - see src/streaming.js):
+  // counted against the app's streams limit, and aborted once it goes
+  // idle rather than after a fixed time. A requested stream has its slot
+  // from admission - given back if the response isn't one.
+  const stream = !upgraded && isStreamingResponse(response);
+  if (streamRequested && !stream) {
+    ctx.waitUntil(appContainer.closeStream());
+  }
+  if (stream && !streamRequested) {
+    const opened = await appContainer.openStream();
+    if (!opened.allowed) {
+      ctx.waitUntil(response.body.cancel());
+      ctx.waitUntil(appContainer.recordRequest({
+        location,
+        bytesIn,
+        log: { ...log, status: 429 },
+        replica: replica.index,
+      }));
+      const rejected = tooManyRequests(appId, { ...opened, headers: admission.headers });
+      applyCors(rejected.headers, request, cors);
+      return rejected;
+    }
+  }
+
+  // Meter the response body as it streams to the client, then record the
+  // request (location for the status endpoint, usage for billing and the
+  // access log entry)
+  // This runs in the background, doesn't block the request
+  const body = stream ? withIdleTimeout(response.body) : response.body;
+  const metered = upgraded ? { body: null, bytes: Promise.resolve(0) } : countBytes(body);
+  ctx.waitUntil(metered.bytes.then((bytesOut) =>
+    appContainer.recordRequest({ location, bytesIn, bytesOut, log, replica: replica.index, stream })
+  ));
+
+  // Platform headers, and the app's CORS policy (see src/cors.js)
+  // A 101 can't be copied with new Response(body, response) - the
+  // socket has to be handed over explicitly
+  const corsResponse = upgraded
+    ? new Response(null, { status: 101, headers: response.headers, webSocket: response.webSocket })
+    : new Response(metered.body, response);
+  corsResponse.headers.delete(COLD_START_HEADER);
+  corsResponse.headers.set("X-Served-By", `vibe-app-${appId}`);
+  corsResponse.headers.set("X-Request-Id", requestId);
+  for (const [name, value] of Object.entries(admission.headers)) {
+    corsResponse.headers.set(name, value);
+  }
+  if (admission.canary) {
+    corsResponse.headers.set("X-Vibe-Variant", variant);
+  }
+  if (canaryCookie) {
+    corsResponse.headers.append("Set-Cookie", canaryCookie);
+  }
+  if (replica.replicas > 1 && variant === "stable") {
+    corsResponse.headers.set("X-Vibe-Replica", String(replica.index));
+  }
+  if (replica.affinity && variant === "stable" && affinity !== replica.index) {
+    corsResponse.headers.append("Set-Cookie", replicaCookie(replica.index, cookiePath));
+  }
+  applyCors(corsResponse.headers, request, cors);
+
+  return corsResponse;
+}
+
+/**
+ * Platform utilization for /health - null if the tracker can't be reached
+ */
+async function getPlatformCapacity(env) {
+  try {
+    return await getCapacity(env).getUtilization();
+  } catch (error) {
+    console.error("Capacity tracker unavailable:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Newest of some timestamps (null if there are none)
+ */
+function latest(timestamps) {
+  const known = timestamps.filter(Boolean);
+  return known.length > 0 ? Math.max(...known) : null;
+}
+
+// appIds: letters, numbers, hyphens and underscores
+const APP_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * The app's public base URL, as the request reached it - the container
+ * calls back into the platform below it (PLATFORM_KV_URL)
+ */
+function appBaseUrl(url, appId, hostRouted) {
+  return hostRouted ? url.origin : `${url.origin}/app/${appId}`;
+}
+
+function appNotFound(appId) {
+  return Response.json(
+    {
+      error: "App Not Found",
+      message: "No app is provisioned with this ID. Create it with POST /api/apps",
+      appId,
+    },
+    { status: 404 }
+  );
+}
+
+/**
+ * OPEN_SIGNUP mode: provision unknown appIds on their first request
+ * This is the original "any appId gets a container" behavior. Deleted
+ * appIds stay deleted.
  */
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    
-    // -------------------------------------------------------------------------
-    // STEP 1: Extract the App ID from the request
-    // -------------------------------------------------------------------------
-    // Try multiple routing patterns - customize based on your needs
-    
-    let appId = null;
-    
-    // Pattern 1: Path-based routing - /app/{appId}/...
-    // Example: https://platform.dev/app/my-cool-app/api/users
-    const pathMatch = url.pathname.match(/^\/app\/([^\/]+)/);
-    if (pathMatch) {
-      appId = pathMatch[1];
-    }
-    
-    // Pattern 2: Query parameter - ?appId={appId}
-    // Example: https://platform.dev/?appId=my-cool-app
-    if (!appId) {
-      appId = url.searchParams.get("appId");
-    }
-    
-    // Pattern 3: Subdomain routing (if using custom domains)
-    // Example: https://my-cool-app.vibeapps.com
-    // Uncomment to enable:
-    // if (!appId) {
-    //   const subdomain = url.hostname.split('.')[0];
-    //   if (subdomain !== 'www' && subdomain !== 'platform') {
-    //     appId = subdomain;
-    //   }
-    // }
+async function autoProvision(env, appId) {
+  const config = { runtime: DEFAULT_RUNTIME };
+  const result = await getRegistry(env).provisionApp(appId, { plan: "free", config });
+  if (result.success) {
+    await getAppStub(env, result.app).provision({ plan: "free", config });
+    return result.app;
+  }
+  // Lost a race with another request that provisioned it first
+  return result.app?.state === "active" ? result.app : null;
+}
 
-    // -------------------------------------------------------------------------
-    // STEP 2: Handle platform-level routes (no appId needed)
-    // -------------------------------------------------------------------------
-    
-    // Interactive Learning UI - serves at root
-    if (url.pathname === "/" || url.pathname === "/ui") {
-      const baseUrl = url.protocol + "//" + url.host;
-      try {
-        const html = getUIHTML(baseUrl);
-        return new Response(html, {
-          headers: { "Content-Type": "text/html; charset=utf-8" },
+/**
+ * Collect every active app's usage for the billing export
+ * Walks the registry page by page and asks a few Durable Objects at a time.
+ */
+async function exportUsage(env, range) {
+  const apps = [];
+  let cursor;
+  do {
+    const page = await getRegistry(env).listApps({ limit: 200, cursor });
+    for (let i = 0; i < page.apps.length; i += USAGE_EXPORT_CONCURRENCY) {
+      const batch = page.apps.slice(i, i + USAGE_EXPORT_CONCURRENCY);
+      const usage = await Promise.all(batch.map((app) => getAppStub(env, app).getUsage(range)));
+      batch.forEach((app, index) => {
+        apps.push({
+          appId: app.appId,
+          owner: app.owner,
+          plan: app.plan,
+          totals: usage[index].totals,
+          hourly: usage[index].hourly,
         });
-      } catch (e) {
-        return new Response("UI Error: " + e.message, { status: 500 });
-      }
-    }
-    
-    // Health check endpoint for the platform itself
-    if (url.pathname === "/health") {
-      return Response.json({
-        status: "healthy",
-        platform: "Multi-Tenant Vibe App Platform",
-        version: "1.0.0",
-        usage: {
-          pathRouting: "/app/{appId}/your-path",
-          queryRouting: "/?appId={appId}",
-          statusEndpoint: "/app/{appId}/_status",
-        },
-      });
-    }
-    
-    // API endpoint for JSON response (for programmatic access)
-    if (url.pathname === "/api") {
-      return Response.json({
-        status: "healthy",
-        platform: "Multi-Tenant Vibe App Platform",
-        version: "1.0.0",
-        usage: {
-          ui: "/",
-          pathRouting: "/app/{appId}/your-path",
-          queryRouting: "/?appId={appId}",
-          statusEndpoint: "/app/{appId}/_status",
-        },
       });
     }
+    cursor = page.nextCursor;
+  } while (cursor);
+  return apps;
+}
 
-    // -------------------------------------------------------------------------
-    // STEP 3: Validate App ID
-    // -------------------------------------------------------------------------
-    
-    if (!appId) {
-      return Response.json(
-        {
-          error: "Missing App ID",
-          message: "Please provide an appId to route to your application",
-          examples: [
-            "GET /app/my-app-123/",
-            "GET /?appId=my-app-123",
-          ],
-        },
-        { status: 400 }
-      );
-    }
+/**
+ * Parse a timestamp query parameter
+ * Accepts milliseconds since epoch ("1735689600000") or ISO dates ("2025-01-01")
+ */
+function parseTimestamp(value) {
+  if (!value) return undefined;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+}
 
-    // Validate appId format (alphanumeric, hyphens, underscores)
-    if (!/^[a-zA-Z0-9_-]+$/.test(appId)) {
-      return Response.json(
-        {
-          error: "Invalid App ID",
-          message: "App ID must contain only letters, numbers, hyphens, and underscores",
-          provided: appId,
-        },
-        { status: 400 }
-      );
+/**
+ * Parse a request body that must be a JSON object
+ * Returns { body }, or { invalid } - a 400 Response to send back
+ * With `optional`, an empty body reads as {}.
+ */
+async function readJsonBody(request, { optional = false } = {}) {
+  try {
+    const text = await request.text();
+    if (optional && !text.trim()) {
+      return { body: {} };
     }
-
-    // -------------------------------------------------------------------------
-    // STEP 4: Get or Create the Container Instance
-    // -------------------------------------------------------------------------
-    /**
-     * This is the KEY PATTERN:
-     * 
-     * getByName(appId) does two things:
-     * 1. idFromName(appId) - Deterministically converts appId to a DO ID
-     * 2. get(id) - Gets a stub (reference) to that Durable Object
-     * 
-     * If this is the first request for this appId:
-     * - A new Durable Object is created
-     * - A new Container is started
-     * 
-     * If this appId was seen before:
-     * - Routes to the existing Durable Object
-     * - Wakes the container if it was sleeping
-     */
-    
-    try {
-      const appContainer = env.VIBE_APP.getByName(appId);
-      
-      // -----------------------------------------------------------------------
-      // STEP 5: Handle special management endpoints
-      // -----------------------------------------------------------------------
-      
-      // Strip the /app/{appId} prefix to get the actual path
-      const appPath = url.pathname.replace(/^\/app\/[^\/]+/, "") || "/";
-      
-      // Status endpoint - get container info without forwarding to container
-      if (appPath === "/_status") {
-        const status = await appContainer.getAppStatus();
-        // Add request location info (where the request originated)
-        status.requestLocation = {
-          colo: request.cf?.colo || "unknown",
-          country: request.cf?.country || "unknown",
-          city: request.cf?.city || "unknown",
-          region: request.cf?.region || "unknown",
-        };
-        return Response.json(status);
-      }
-      
-      // Restart endpoint - force restart the container
-      if (appPath === "/_restart" && request.method === "POST") {
-        const result = await appContainer.restart();
-        return Response.json(result);
-      }
-      
-      // Metadata endpoint - get/set app metadata
-      if (appPath === "/_metadata") {
-        if (request.method === "GET") {
-          const status = await appContainer.getAppStatus();
-          return Response.json(status.metadata);
-        }
-        if (request.method === "POST" || request.method === "PUT") {
-          const metadata = await request.json();
-          const result = await appContainer.setMetadata(metadata);
-          return Response.json(result);
-        }
-      }
-
-      // -----------------------------------------------------------------------
-      // STEP 6: Forward request to the container
-      // -----------------------------------------------------------------------
-      /**
-       * appContainer.fetch() does the following:
-       * 1. Ensures the container is running (starts if sleeping)
-       * 2. Waits for the container to be healthy
-       * 3. Forwards the HTTP request to the container
-       * 4. Returns the container's response
-       * 
-       * The container sees the original request headers, body, method, etc.
-       */
-      
-      // Rewrite the URL to remove the /app/{appId} prefix
-      const containerUrl = new URL(request.url);
-      containerUrl.pathname = appPath;
-      
-      const containerRequest = new Request(containerUrl, request);
-      
-      // Add headers to help the container identify the request context
-      containerRequest.headers.set("X-App-Id", appId);
-      containerRequest.headers.set("X-Original-URL", request.url);
-      
-      // Pass Cloudflare location headers to the container
-      // These help identify where the container is running
-      const cfColo = request.cf?.colo || "unknown";
-      const cfCountry = request.cf?.country || "unknown";
-      const cfCity = request.cf?.city || "unknown";
-      const cfRegion = request.cf?.region || "unknown";
-      containerRequest.headers.set("X-CF-Colo", cfColo);
-      containerRequest.headers.set("X-CF-Country", cfCountry);
-      containerRequest.headers.set("X-CF-City", cfCity);
-      containerRequest.headers.set("X-CF-Region", cfRegion);
-      
-      // Store container location in DO storage for status endpoint
-      // This runs in the background, doesn't block the request
-      ctx.waitUntil(appContainer.updateLocation({
-        colo: cfColo,
-        country: cfCountry,
-        city: cfCity,
-        region: cfRegion,
-        lastUpdated: Date.now(),
-      }));
-      
-      const response = await appContainer.fetch(containerRequest);
-      
-      // Add CORS headers if needed (customize based on your requirements)
-      const corsResponse = new Response(response.body, response);
-      corsResponse.headers.set("X-Served-By", `vibe-app-${appId}`);
-      
-      return corsResponse;
-      
-    } catch (error) {
-      // -----------------------------------------------------------------------
-      // Error Handling
-      // -----------------------------------------------------------------------
-      console.error(`[${appId}] Error:`, error.message);
-      
-      return Response.json(
-        {
-          error: "Container Error",
-          message: error.message,
-          appId: appId,
-          // Don't expose stack traces in production
-          // stack: error.stack,
-        },
-        { status: 500 }
-      );
+    const body = JSON.parse(text);
+    if (typeof body === "object" && body !== null && !Array.isArray(body)) {
+      return { body };
     }
-  },
-};
+  } catch {
+    // Not JSON at all - same answer
+  }
+  return {
+    invalid: Response.json(
+      { error: "Invalid JSON body", message: "The request body must be a JSON object" },
+      { status: 400 }
+    ),
+  };
+}
+
 /**
  * Interactive Learning UI for Multi-Tenant Container Routing
  * 
@@ -769,6 +4291,81 @@ function getUIHTML(baseUrl) {
       color: #22c55e;
     }
     
+    /* Live Logs */
+    .log-output {
+      background: #18181b;
+      border: 1px solid #3f3f46;
+      border-radius: 8px;
+      padding: 1rem;
+      margin-top: 1rem;
+      height: 300px;
+      overflow-y: auto;
+      font-family: 'Monaco', 'Menlo', monospace;
+      font-size: 0.8rem;
+      white-space: pre-wrap;
+      word-break: break-all;
+    }
+    
+    .log-line.stdout {
+      color: #d4d4d8;
+    }
+    
+    .log-line.stderr {
+      color: #f87171;
+    }
+    
+    .log-status {
+      color: #a1a1aa;
+      font-size: 0.85rem;
+      margin-left: 1rem;
+    }
+    
+    /* Container Timeline */
+    .timeline {
+      list-style: none;
+      margin-top: 1rem;
+      max-height: 400px;
+      overflow-y: auto;
+      border-left: 2px solid #3f3f46;
+      padding-left: 1.25rem;
+    }
+    
+    .timeline-event {
+      position: relative;
+      padding: 0.5rem 0;
+      font-size: 0.9rem;
+    }
+    
+    .timeline-event::before {
+      content: '';
+      position: absolute;
+      left: -1.65rem;
+      top: 0.85rem;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #71717a;
+    }
+    
+    .timeline-event.start::before, .timeline-event.wake::before { background: #22c55e; }
+    .timeline-event.stop::before, .timeline-event.sleep::before { background: #71717a; }
+    .timeline-event.restart::before { background: #f97316; }
+    .timeline-event.release::before { background: #a855f7; }
+    .timeline-event.canary::before { background: #eab308; }
+    .timeline-event.scale::before { background: #14b8a6; }
+    .timeline-event.error::before, .timeline-event.health::before { background: #ef4444; }
+    .timeline-event.snapshot::before, .timeline-event.restore::before { background: #3b82f6; }
+    
+    .timeline-type {
+      font-weight: bold;
+      margin-right: 0.5rem;
+    }
+    
+    .timeline-meta {
+      color: #71717a;
+      font-size: 0.8rem;
+    }
+    
     /* Key Concepts */
     .concepts {
       display: grid;
@@ -962,6 +4559,10 @@ function getUIHTML(baseUrl) {
             <option value="/_status">/_status (Container Status)</option>
           </select>
         </div>
+        <div class="input-wrapper">
+          <label for="apiToken">API Token (for /_ endpoints)</label>
+          <input type="password" id="apiToken" placeholder="vat_... or admin key">
+        </div>
         <div class="input-wrapper" style="flex: 0; align-self: flex-end;">
           <button class="btn" id="sendRequest" onclick="sendRequest()">
             Send Request
@@ -1009,6 +4610,36 @@ function getUIHTML(baseUrl) {
       </div>
     </div>
     
+    <!-- Live Logs -->
+    <div class="demo-section">
+      <h2>Live Logs</h2>
+      <p style="color: #a1a1aa; margin-bottom: 1rem;">
+        Tail the container's stdout/stderr in real time (needs a token with the
+        <code style="background: #18181b; padding: 0.2rem 0.4rem; border-radius: 4px; color: #f97316;">logs:read</code> scope).
+        Recent lines are replayed when you connect.
+      </p>
+      <div style="display: flex; align-items: center;">
+        <button class="btn" id="streamLogs" onclick="toggleLogs()">Stream Logs</button>
+        <span class="log-status" id="logStatus">Disconnected</span>
+      </div>
+      <div class="log-output" id="logOutput"></div>
+    </div>
+    
+    <!-- Container Timeline -->
+    <div class="demo-section">
+      <h2>Container Timeline</h2>
+      <p style="color: #a1a1aa; margin-bottom: 1rem;">
+        Starts, stops, sleeps, wakes, restarts, snapshots, errors and failed health checks, newest first
+        (<code style="background: #18181b; padding: 0.2rem 0.4rem; border-radius: 4px; color: #f97316;">GET /_events</code>,
+        needs the <code style="background: #18181b; padding: 0.2rem 0.4rem; border-radius: 4px; color: #f97316;">status:read</code> scope).
+      </p>
+      <div style="display: flex; align-items: center;">
+        <button class="btn" id="loadEvents" onclick="loadEvents()">Load Timeline</button>
+        <span class="log-status" id="eventsStatus"></span>
+      </div>
+      <ul class="timeline" id="timeline"></ul>
+    </div>
+    
     <!-- DO Class vs Instance Visualization -->
     <div class="demo-section">
       <h2>DO Class vs DO Instance</h2>
@@ -1235,7 +4866,10 @@ function getUIHTML(baseUrl) {
       try {
         const url = BASE_URL + '/app/' + appId + endpoint;
         const startTime = Date.now();
-        const response = await fetch(url);
+        // Management endpoints (/_status, ...) need a bearer token
+        const apiToken = document.getElementById('apiToken').value.trim();
+        const headers = apiToken ? { 'Authorization': 'Bearer ' + apiToken } : {};
+        const response = await fetch(url, { headers });
         const elapsed = Date.now() - startTime;
         const data = await response.json();
         
@@ -1336,6 +4970,150 @@ function getUIHTML(baseUrl) {
       }
     }
     
+    // Live logs: GET /_logs/stream is Server-Sent Events. fetch() is used
+    // instead of EventSource because EventSource can't send the token header.
+    let logController = null;
+    
+    async function toggleLogs() {
+      if (logController) {
+        logController.abort();
+        return;
+      }
+      
+      const appId = document.getElementById('appId').value.trim();
+      if (!/^[a-zA-Z0-9_-]+$/.test(appId)) {
+        alert('Please enter a valid App ID');
+        return;
+      }
+      
+      const btn = document.getElementById('streamLogs');
+      const apiToken = document.getElementById('apiToken').value.trim();
+      const headers = apiToken ? { 'Authorization': 'Bearer ' + apiToken } : {};
+      document.getElementById('logOutput').innerHTML = '';
+      logController = new AbortController();
+      btn.textContent = 'Disconnect';
+      setLogStatus('Connecting to ' + appId + '...');
+      
+      try {
+        const response = await fetch(BASE_URL + '/app/' + appId + '/_logs/stream', {
+          headers,
+          signal: logController.signal,
+        });
+        if (!response.ok) {
+          const data = await response.json();
+          appendLogLine('stderr', 'Error: ' + (data.message || response.status));
+          return;
+        }
+        
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += value;
+          const events = buffer.split('\\n\\n');
+          buffer = events.pop();
+          events.forEach(handleLogEvent);
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          appendLogLine('stderr', 'Error: ' + error.message);
+        }
+      } finally {
+        logController = null;
+        btn.textContent = 'Stream Logs';
+        setLogStatus('Disconnected');
+      }
+    }
+    
+    function handleLogEvent(raw) {
+      let event = 'message';
+      let data = '';
+      raw.split('\\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      if (!data) return;  // ": ping" heartbeat
+      
+      const payload = JSON.parse(data);
+      if (event === 'status') {
+        setLogStatus(payload.running ? 'Connected - container running' : 'Connected - container stopped');
+      }
+      if (event === 'log') {
+        appendLogLine(payload.stream, payload.line, payload.ts);
+      }
+    }
+    
+    function appendLogLine(stream, line, ts) {
+      const output = document.getElementById('logOutput');
+      const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 10;
+      const row = document.createElement('div');
+      row.className = 'log-line ' + stream;
+      row.textContent = (ts ? new Date(ts).toLocaleTimeString() + '  ' : '') + line;
+      output.appendChild(row);
+      while (output.childNodes.length > 1000) {
+        output.removeChild(output.firstChild);
+      }
+      if (atBottom) output.scrollTop = output.scrollHeight;
+    }
+    
+    function setLogStatus(text) {
+      document.getElementById('logStatus').textContent = text;
+    }
+    
+    // Container timeline: GET /_events, one page of the newest events
+    async function loadEvents() {
+      const appId = document.getElementById('appId').value.trim();
+      if (!/^[a-zA-Z0-9_-]+$/.test(appId)) {
+        alert('Please enter a valid App ID');
+        return;
+      }
+      
+      const apiToken = document.getElementById('apiToken').value.trim();
+      const headers = apiToken ? { 'Authorization': 'Bearer ' + apiToken } : {};
+      const timeline = document.getElementById('timeline');
+      const status = document.getElementById('eventsStatus');
+      status.textContent = 'Loading ' + appId + '...';
+      
+      try {
+        const response = await fetch(BASE_URL + '/app/' + appId + '/_events?limit=100', { headers });
+        const data = await response.json();
+        if (!response.ok) {
+          status.textContent = 'Error: ' + (data.message || response.status);
+          return;
+        }
+        
+        timeline.innerHTML = '';
+        data.events.forEach(event => {
+          const item = document.createElement('li');
+          item.className = 'timeline-event ' + event.type;
+          
+          const type = document.createElement('span');
+          type.className = 'timeline-type';
+          type.textContent = event.type;
+          item.appendChild(type);
+          item.appendChild(document.createTextNode(event.reason || ''));
+          
+          const meta = document.createElement('div');
+          meta.className = 'timeline-meta';
+          meta.textContent = new Date(event.timestamp).toLocaleString() +
+            (event.durationMs !== null ? '  ·  ' + formatDuration(event.durationMs) : '');
+          item.appendChild(meta);
+          timeline.appendChild(item);
+        });
+        status.textContent = data.events.length === 0 ? 'No events yet' : data.events.length + ' events';
+      } catch (error) {
+        status.textContent = 'Error: ' + error.message;
+      }
+    }
+    
+    function formatDuration(ms) {
+      if (ms < 1000) return ms + 'ms';
+      if (ms < 60000) return (ms / 1000).toFixed(1) + 's';
+      if (ms < 3600000) return Math.round(ms / 60000) + 'm';
+      return (ms / 3600000).toFixed(1) + 'h';
+    }
+    
     function quickAccess(appId) {
       document.getElementById('appId').value = appId;
       document.getElementById('endpoint').value = '/_status';
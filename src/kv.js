@@ -0,0 +1,227 @@
+/**
+ * Tenant Key-Value Storage
+ *
+ * A small key-value store per app, kept in the app's Durable Object SQLite
+ * storage (table tenant_kv). Unlike files in /data it is written the moment
+ * the app calls it, so nothing is lost when a container crashes.
+ *
+ * The app calls back into the platform with the URL and token it was
+ * started with:
+ *
+ *   PLATFORM_KV_URL     e.g. https://platform.dev/app/my-app/_kv
+ *   PLATFORM_TOKEN      sent as Authorization: Bearer <token>
+ *
+ *   GET    {PLATFORM_KV_URL}/{key}              → the value (404 if missing)
+ *   PUT    {PLATFORM_KV_URL}/{key}?ttl=3600     → store the request body
+ *   POST   {PLATFORM_KV_URL}/{key}?increment=1 → { success, value } - add to a counter
+ *   DELETE {PLATFORM_KV_URL}/{key}
+ *   GET    {PLATFORM_KV_URL}?prefix=user:       → { keys, nextCursor }
+ *
+ * PLATFORM_TOKEN is generated whenever a new container starts, so a stopped
+ * container's token stops working (see authorizeContainer in src/auth.js).
+ * The admin key is accepted too.
+ *
+ * Values are stored as bytes with the Content-Type they were written with.
+ * Expired keys are never returned and are deleted on the next write.
+ *
+ * A counter is a key holding a decimal integer. Increments are atomic - the
+ * read and the write run in one synchronous step of the app's DO - so
+ * containers (or replicas) counting at once never lose an update the way a
+ * GET followed by a PUT would.
+ */
+
+import { decodeCursor, readPage } from "./pagination.js";
+
+export const MAX_KEY_BYTES = 512;
+export const MAX_VALUE_BYTES = 128 * 1024;
+
+const MAX_KEYS = 10_000;
+const MAX_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1_000;
+
+/**
+ * Create the KV table (sql.exec is synchronous - safe in a constructor)
+ */
+export function createKvTable(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS tenant_kv (
+      key TEXT PRIMARY KEY,
+      value BLOB NOT NULL,
+      content_type TEXT,
+      expires_at INTEGER,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS tenant_kv_expires_at ON tenant_kv (expires_at);
+  `);
+}
+
+/**
+ * Validate a key and the ?ttl= of a PUT
+ * Returns an error message, or null if they are valid
+ */
+export function validateKvWrite(key, ttl) {
+  if (!key || new TextEncoder().encode(key).length > MAX_KEY_BYTES) {
+    return `Keys must be 1-${MAX_KEY_BYTES} bytes`;
+  }
+  if (ttl !== null && ttl !== undefined) {
+    const seconds = Number(ttl);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_TTL_SECONDS) {
+      return `ttl must be a whole number of seconds between 1 and ${MAX_TTL_SECONDS}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the body of a PUT
+ * Returns an error message, or null if it is small enough
+ */
+export function validateKvValue(value) {
+  if (value.byteLength > MAX_VALUE_BYTES) {
+    return `Values can be at most ${MAX_VALUE_BYTES / 1024} KB`;
+  }
+  return null;
+}
+
+/**
+ * Validate the ?increment= of a POST - a whole number, 1 when left out
+ * Returns an error message, or null if it is valid
+ */
+export function validateKvIncrement(by) {
+  if (!Number.isSafeInteger(by)) {
+    return "increment must be a whole number";
+  }
+  return null;
+}
+
+/**
+ * Read one key
+ * Returns { value, contentType, expiresAt, updatedAt }, or null if it is
+ * missing or expired
+ */
+export function kvGet(sql, key, now = Date.now()) {
+  const [row] = sql
+    .exec("SELECT * FROM tenant_kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)", key, now)
+    .toArray();
+  if (!row) {
+    return null;
+  }
+  return {
+    value: row.value,
+    contentType: row.content_type,
+    expiresAt: row.expires_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Write one key (replacing it), optionally expiring after ttl seconds
+ * Returns { success, expiresAt } or { success: false, error }
+ */
+export function kvPut(sql, key, value, { contentType = null, ttl = null } = {}, now = Date.now()) {
+  sql.exec("DELETE FROM tenant_kv WHERE expires_at <= ?", now);
+
+  const { count } = sql.exec("SELECT COUNT(*) AS count FROM tenant_kv WHERE key != ?", key).one();
+  if (count >= MAX_KEYS) {
+    return { success: false, error: `An app can store at most ${MAX_KEYS} keys` };
+  }
+
+  const expiresAt = ttl ? now + Number(ttl) * 1000 : null;
+  sql.exec(
+    `INSERT OR REPLACE INTO tenant_kv (key, value, content_type, expires_at, updated_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    key,
+    value,
+    contentType,
+    expiresAt,
+    now
+  );
+  return { success: true, expiresAt };
+}
+
+/**
+ * Add `by` to the integer stored at a key - a missing or expired key counts
+ * from 0 and gets ?ttl= if given, an existing one keeps its expiry
+ * Returns { success, value } or { success: false, error }
+ */
+export function kvIncrement(sql, key, by = 1, { ttl = null } = {}, now = Date.now()) {
+  const current = kvGet(sql, key, now);
+  let value = by;
+  if (current) {
+    const text = new TextDecoder().decode(current.value).trim();
+    if (!/^-?\d+$/.test(text)) {
+      return { success: false, error: `Key "${key}" doesn't hold an integer` };
+    }
+    value = Number(text) + by;
+  }
+  if (!Number.isSafeInteger(value)) {
+    return { success: false, error: `Key "${key}" would overflow` };
+  }
+
+  const encoded = new TextEncoder().encode(String(value));
+  if (current) {
+    sql.exec(
+      "UPDATE tenant_kv SET value = ?, content_type = ?, updated_at = ? WHERE key = ?",
+      encoded,
+      "text/plain",
+      now,
+      key
+    );
+    return { success: true, value };
+  }
+  const result = kvPut(sql, key, encoded, { contentType: "text/plain", ttl }, now);
+  return result.success ? { success: true, value } : result;
+}
+
+/**
+ * Delete one key - returns whether it existed
+ */
+export function kvDelete(sql, key, now = Date.now()) {
+  const rows = sql
+    .exec("DELETE FROM tenant_kv WHERE key = ? RETURNING expires_at", key)
+    .toArray();
+  return rows.length > 0 && (rows[0].expires_at === null || rows[0].expires_at > now);
+}
+
+/**
+ * List keys in key order (values are not included)
+ *
+ * Options (all optional):
+ *   prefix   - only keys starting with it
+ *   limit    - page size (default 100, max 1000)
+ *   cursor   - nextCursor from the previous page
+ */
+export function kvList(sql, { prefix, limit, cursor } = {}, now = Date.now()) {
+  const where = ["(expires_at IS NULL OR expires_at > ?)"];
+  const params = [now];
+
+  if (prefix) {
+    where.push("substr(key, 1, length(?)) = ?");
+    params.push(prefix, prefix);
+  }
+  const after = decodeCursor(cursor);
+  if (after !== null) {
+    where.push("key > ?");
+    params.push(after);
+  }
+
+  const { rows, nextCursor } = readPage(
+    sql,
+    `SELECT key, length(value) AS size, expires_at, updated_at FROM tenant_kv
+     WHERE ${where.join(" AND ")} ORDER BY key LIMIT ?`,
+    params,
+    { limit, defaultSize: DEFAULT_PAGE_SIZE, maxSize: MAX_PAGE_SIZE, cursorColumn: "key" }
+  );
+
+  return {
+    keys: rows.map((row) => ({
+      key: row.key,
+      size: row.size,
+      expiresAt: row.expires_at,
+      updatedAt: row.updated_at,
+    })),
+    nextCursor,
+  };
+}
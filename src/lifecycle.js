@@ -0,0 +1,211 @@
+/**
+ * Per-Tenant Lifecycle Policies
+ *
+ * Controls when an app's container sleeps and when it is kept warm.
+ * Stored in the app's Durable Object as "lifecyclePolicy":
+ *
+ *   {
+ *     idleTimeout: "10m",        // sleepAfter for this app ("30s" - "24h")
+ *     alwaysOn: false,           // never sleep, restart if it stops
+ *     warmWindows: [             // keep warm from each cron match for `duration`
+ *       { cron: "0 9 * * 1-5", duration: "9h" }    // weekdays 09:00-18:00 UTC
+ *     ]
+ *   }
+ *
+ * ENFORCEMENT (VibeAppContainer):
+ * - idleTimeout replaces the class-wide sleepAfter
+ * - onActivityExpired() keeps the container up while alwaysOn or inside a window
+ * - A Durable Object alarm (Container.schedule) pre-starts the container when
+ *   a window opens, and re-checks every few minutes while it should be warm
+ *
+ * Cron expressions have 5 fields (minute hour day-of-month month day-of-week),
+ * support *, lists (1,3), ranges (1-5) and steps (0-59/15), and are in UTC.
+ */
+
+export const DEFAULT_LIFECYCLE_POLICY = { idleTimeout: null, alwaysOn: false, warmWindows: [] };
+
+// How often a container that should be warm is checked (and restarted if needed)
+export const WARM_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const DURATION_PATTERN = /^(\d+)([smh])$/;
+const MIN_IDLE_TIMEOUT_SECONDS = 30;
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+const MAX_WARM_WINDOWS = 10;
+
+const MINUTE_MS = 60 * 1000;
+
+// Field ranges: minute, hour, day of month, month, day of week (0 = Sunday)
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 6 },
+];
+
+/**
+ * Parse "30s" / "10m" / "2h" into seconds (same format as sleepAfter)
+ * Returns null if the expression is invalid
+ */
+export function parseDuration(expression) {
+  const match = typeof expression === "string" && expression.match(DURATION_PATTERN);
+  if (!match) return null;
+  const units = { s: 1, m: 60, h: 3600 };
+  return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * Validate a PUT /_lifecycle body
+ * Returns an error message, or null if the policy is valid
+ */
+export function validateLifecyclePolicy({ idleTimeout, alwaysOn, warmWindows }) {
+  if (idleTimeout !== undefined && idleTimeout !== null) {
+    const seconds = parseDuration(idleTimeout);
+    if (seconds === null || seconds < MIN_IDLE_TIMEOUT_SECONDS || seconds > MAX_DURATION_SECONDS) {
+      return 'idleTimeout must be a duration between "30s" and "24h" (e.g. "15m"), or null';
+    }
+  }
+  if (alwaysOn !== undefined && typeof alwaysOn !== "boolean") {
+    return "alwaysOn must be true or false";
+  }
+  if (warmWindows !== undefined) {
+    if (!Array.isArray(warmWindows) || warmWindows.length > MAX_WARM_WINDOWS) {
+      return `warmWindows must be a list of at most ${MAX_WARM_WINDOWS} windows`;
+    }
+    for (const window of warmWindows) {
+      if (!parseCron(window?.cron)) {
+        return `Invalid cron expression "${window?.cron}" - use 5 fields, e.g. "0 9 * * 1-5"`;
+      }
+      const seconds = parseDuration(window.duration);
+      if (seconds === null || seconds < 60 || seconds > MAX_DURATION_SECONDS) {
+        return `Window duration must be between "1m" and "24h", got "${window.duration}"`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the container should be kept warm at `now`
+ */
+export function isWarm(policy, now = Date.now()) {
+  return policy.alwaysOn || policy.warmWindows.some((window) => openWindowEnd(window, now) !== null);
+}
+
+/**
+ * When the next warm window opens (ms), or null if there are none
+ */
+export function nextWarmUp(policy, now = Date.now()) {
+  const starts = policy.warmWindows
+    .map((window) => nextCronTime(parseCron(window.cron), now + MINUTE_MS))
+    .filter((time) => time !== null);
+  return starts.length > 0 ? Math.min(...starts) : null;
+}
+
+/**
+ * If `now` falls inside a window, when that window closes - otherwise null
+ */
+function openWindowEnd(window, now) {
+  const durationMs = parseDuration(window.duration) * 1000;
+  const start = nextCronTime(parseCron(window.cron), now - durationMs + 1);
+  return start !== null && start <= now ? start + durationMs : null;
+}
+
+// =============================================================================
+// CRON
+// =============================================================================
+
+/**
+ * Parse a 5-field cron expression into one Set of allowed values per field
+ * Returns null if the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string") return null;
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const sets = [];
+  for (let i = 0; i < 5; i++) {
+    const values = parseCronField(fields[i], CRON_FIELDS[i]);
+    if (!values) return null;
+    sets.push(values);
+  }
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays: sets[4],
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+function parseCronField(field, { min, max }) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    const step = match[4] ? Number(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = Number(match[2]);
+      to = match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+    }
+    // Day of week 7 is Sunday too, like most cron implementations
+    if (max === 6 && to === 7) {
+      values.add(0);
+      if (from === 7) continue;
+      to = 6;
+    }
+    if (step < 1 || from < min || to > max || from > to) return null;
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * First minute at or after `after` (ms) that matches the cron, or null
+ * if there is none within a year
+ */
+export function nextCronTime(cron, after) {
+  const date = new Date(Math.ceil(after / MINUTE_MS) * MINUTE_MS);
+  const limit = after + 366 * 24 * 60 * MINUTE_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date.getTime();
+  }
+  return null;
+}
+
+// Standard cron: if both day fields are restricted, either one may match
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
@@ -0,0 +1,227 @@
+/**
+ * Per-Tenant Rate Limits & Request Quotas
+ *
+ * Every request forwarded to a tenant's container is admitted by the app's
+ * Durable Object first (VibeAppContainer.admitRequest), so one noisy tenant
+ * can't hammer its container:
+ *
+ *   rps / burst      - token bucket: refills `rps` tokens a second, holds at
+ *                      most `burst`. Kept in memory - it refills within
+ *                      seconds, so losing it on eviction doesn't matter.
+ *   dailyRequests    - counters reset at 00:00 UTC and on the 1st of the
+ *   monthlyRequests    month (UTC). Persisted in DO storage under "quota".
+ *   webSockets       - open WebSocket connections at once (src/websockets.js)
+ *   streams          - open streaming responses at once (src/streaming.js)
+ *
+ * Limits come from the tenant's plan (PLAN_LIMITS), with optional per-app
+ * overrides stored on the tenant record. A limit of null means unlimited.
+ */
+
+export const DEFAULT_PLAN = "free";
+
+export const PLAN_LIMITS = {
+  free: { rps: 10, burst: 20, dailyRequests: 10_000, monthlyRequests: 100_000, webSockets: 20, streams: 10 },
+  pro: { rps: 100, burst: 200, dailyRequests: 1_000_000, monthlyRequests: 20_000_000, webSockets: 500, streams: 200 },
+  enterprise: { rps: 1000, burst: 2000, dailyRequests: null, monthlyRequests: null, webSockets: 5_000, streams: 2_000 },
+};
+
+const LIMIT_NAMES = Object.keys(PLAN_LIMITS.free);
+
+// Retry-After for a WebSocket or stream refused over the webSockets /
+// streams limit
+export const CONNECTION_RETRY_AFTER_SECONDS = 10;
+
+export function isValidPlan(plan) {
+  return Object.hasOwn(PLAN_LIMITS, plan);
+}
+
+/**
+ * Effective limits for a tenant: its plan's defaults plus any overrides
+ * Unknown plans fall back to the free plan.
+ */
+export function resolveLimits(plan, overrides = {}) {
+  const defaults = PLAN_LIMITS[plan] || PLAN_LIMITS[DEFAULT_PLAN];
+  return { ...defaults, ...overrides };
+}
+
+/**
+ * Validate a PUT /_limits body: { plan?, limits?: { rps, burst, ... } }
+ * Returns an error message, or null if the update is valid
+ */
+export function validateLimitsUpdate({ plan, limits = {} }) {
+  if (plan !== undefined && !isValidPlan(plan)) {
+    return `Plan must be one of: ${Object.keys(PLAN_LIMITS).join(", ")}`;
+  }
+  if (typeof limits !== "object" || limits === null || Array.isArray(limits)) {
+    return "limits must be an object";
+  }
+  for (const [name, value] of Object.entries(limits)) {
+    if (!LIMIT_NAMES.includes(name)) {
+      return `Unknown limit "${name}" - use ${LIMIT_NAMES.join(", ")}`;
+    }
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return `Limit "${name}" must be a positive integer, or null for unlimited`;
+    }
+  }
+  return null;
+}
+
+// =============================================================================
+// TOKEN BUCKET
+// =============================================================================
+
+/**
+ * Refill a bucket and try to take one token from it
+ * `bucket` is { tokens, updatedAt } (or null for a fresh, full bucket) and is
+ * returned updated. retryAfter is in seconds.
+ */
+export function takeToken(bucket, { rps, burst }, now = Date.now()) {
+  if (!rps) {
+    return { allowed: true, bucket: null };
+  }
+  const capacity = burst || rps;
+  const elapsed = bucket ? (now - bucket.updatedAt) / 1000 : 0;
+  const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsed * rps) : capacity;
+
+  if (tokens < 1) {
+    return {
+      allowed: false,
+      bucket: { tokens, updatedAt: now },
+      retryAfter: Math.ceil((1 - tokens) / rps),
+    };
+  }
+  return { allowed: true, bucket: { tokens: tokens - 1, updatedAt: now } };
+}
+
+// =============================================================================
+// QUOTA COUNTERS
+// =============================================================================
+
+/**
+ * Roll the stored counters over to the current UTC day/month if needed
+ * Stored shape: { day: "2026-10-19", dailyCount, month: "2026-10", monthlyCount }
+ */
+export function currentQuota(stored, now = Date.now()) {
+  const iso = new Date(now).toISOString();
+  const day = iso.slice(0, 10);
+  const month = iso.slice(0, 7);
+  return {
+    day,
+    dailyCount: stored?.day === day ? stored.dailyCount : 0,
+    month,
+    monthlyCount: stored?.month === month ? stored.monthlyCount : 0,
+  };
+}
+
+/**
+ * Find the quota (if any) that is used up
+ * Returns { limit: "daily" | "monthly", retryAfter } or null
+ */
+export function exhaustedQuota(quota, limits, now = Date.now()) {
+  if (limits.monthlyRequests && quota.monthlyCount >= limits.monthlyRequests) {
+    return { limit: "monthly", retryAfter: secondsUntil(nextMonthStart(now), now) };
+  }
+  if (limits.dailyRequests && quota.dailyCount >= limits.dailyRequests) {
+    return { limit: "daily", retryAfter: secondsUntil(nextDayStart(now), now) };
+  }
+  return null;
+}
+
+/**
+ * Find the connection limit (if any) a new WebSocket or stream would go over
+ * `open` is what the app has open right now: { webSockets, streams }
+ * Returns { limit: "webSockets" | "streams", retryAfter } or null
+ */
+export function exceededConnectionLimit(limits, open, { webSocket = false, stream = false }) {
+  if (webSocket && limits.webSockets && open.webSockets >= limits.webSockets) {
+    return { limit: "webSockets", retryAfter: CONNECTION_RETRY_AFTER_SECONDS };
+  }
+  if (stream && limits.streams && open.streams >= limits.streams) {
+    return { limit: "streams", retryAfter: CONNECTION_RETRY_AFTER_SECONDS };
+  }
+  return null;
+}
+
+// =============================================================================
+// RESPONSE HEADERS
+// =============================================================================
+
+/**
+ * X-RateLimit-* headers describing the per-second bucket and the quota
+ * closest to running out (omitted when the app is unlimited)
+ */
+export function rateLimitHeaders(limits, bucket, quota, now = Date.now()) {
+  const headers = {};
+
+  if (limits.rps) {
+    const capacity = limits.burst || limits.rps;
+    const tokens = bucket ? bucket.tokens : capacity;
+    headers["X-RateLimit-Limit"] = String(capacity);
+    headers["X-RateLimit-Remaining"] = String(Math.max(0, Math.floor(tokens)));
+    headers["X-RateLimit-Reset"] = String(Math.ceil((capacity - tokens) / limits.rps));
+  }
+
+  const quotas = [];
+  if (limits.dailyRequests) {
+    quotas.push({
+      limit: limits.dailyRequests,
+      remaining: limits.dailyRequests - quota.dailyCount,
+      reset: secondsUntil(nextDayStart(now), now),
+    });
+  }
+  if (limits.monthlyRequests) {
+    quotas.push({
+      limit: limits.monthlyRequests,
+      remaining: limits.monthlyRequests - quota.monthlyCount,
+      reset: secondsUntil(nextMonthStart(now), now),
+    });
+  }
+  if (quotas.length > 0) {
+    const tightest = quotas.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    headers["X-RateLimit-Quota-Limit"] = String(tightest.limit);
+    headers["X-RateLimit-Quota-Remaining"] = String(Math.max(0, tightest.remaining));
+    headers["X-RateLimit-Quota-Reset"] = String(tightest.reset);
+  }
+
+  return headers;
+}
+
+/**
+ * 429 response for a request that was not admitted
+ */
+export function tooManyRequests(appId, { limit, retryAfter, headers }) {
+  const messages = {
+    rate: "Too many requests per second for this app",
+    daily: "This app has used its daily request quota",
+    monthly: "This app has used its monthly request quota",
+    webSockets: "This app has too many open WebSocket connections",
+    streams: "This app has too many open streaming responses",
+  };
+  return Response.json(
+    {
+      error: "Too Many Requests",
+      message: messages[limit],
+      appId,
+      limit,
+      retryAfter,
+    },
+    {
+      status: 429,
+      headers: { ...headers, "Retry-After": String(retryAfter) },
+    }
+  );
+}
+
+function nextDayStart(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function nextMonthStart(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
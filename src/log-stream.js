@@ -0,0 +1,188 @@
+/**
+ * Live Container Logs
+ *
+ * The platform agent (agent/agent.js) runs as every container's entrypoint,
+ * captures the app's stdout/stderr and serves it as an NDJSON stream on
+ * AGENT_PORT. The app's Durable Object tails that stream while the container
+ * runs and fans it out to browsers as Server-Sent Events:
+ *
+ *   Container app ──stdout──▶ agent :8081/logs ──NDJSON──▶ DO (LogStream)
+ *                                                            │ last N lines
+ *                                                            ▼
+ *                         GET /app/{appId}/_logs/stream ◀── SSE, one per viewer
+ *
+ * Late joiners get the buffered history first. The history lives in the DO's
+ * memory; if the DO is evicted, the agent replays its own buffer on the next
+ * tail.
+ *
+ * SSE events:
+ *   event: log      data: { ts, stream: "stdout" | "stderr", line }
+ *   event: status   data: { running: true | false }
+ *   : ping          (comment every HEARTBEAT_MS, keeps proxies from closing the stream)
+ */
+
+// Side port the platform agent listens on (the app keeps defaultPort)
+export const AGENT_PORT = 8081;
+
+// Lines kept in the DO for viewers that connect late
+const LOG_HISTORY_LINES = 500;
+
+const HEARTBEAT_MS = 15 * 1000;
+
+// A viewer this far behind is disconnected rather than buffered forever
+const MAX_PENDING_WRITES = 1000;
+
+// The agent may still be starting when the container reports it is up
+const TAIL_CONNECT_ATTEMPTS = 10;
+const TAIL_RETRY_MS = 500;
+
+const encoder = new TextEncoder();
+
+export class LogStream {
+  /**
+   * connect(since) fetches the agent's /logs?since=..., isRunning() says
+   * whether the container is up
+   */
+  constructor({ connect, isRunning }) {
+    this.connect = connect;
+    this.isRunning = isRunning;
+    this.history = [];
+    this.subscribers = new Set();
+    this.nextId = 1;
+    this.agentSeq = 0;
+    this.tailing = false;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Open an SSE stream for one viewer
+   * Starts with the last `tail` buffered lines, then follows live output.
+   * Returns a byte stream, so it can be returned over RPC.
+   */
+  subscribe({ tail = 100 } = {}) {
+    const { readable, writable } = new IdentityTransformStream();
+    const subscriber = writable.getWriter();
+    this.subscribers.add(subscriber);
+
+    this.send(subscriber, statusEvent(this.isRunning()));
+    for (const entry of tail > 0 ? this.history.slice(-tail) : []) {
+      this.send(subscriber, logEvent(entry));
+    }
+
+    this.startHeartbeat();
+    if (this.isRunning()) {
+      this.tail();
+    }
+    return readable;
+  }
+
+  /**
+   * Call from onStart - the new container's agent numbers its lines from 1
+   */
+  containerStarted() {
+    this.agentSeq = 0;
+    this.broadcast(statusEvent(true));
+    this.tail();
+  }
+
+  /**
+   * Call from onStop
+   */
+  containerStopped() {
+    this.broadcast(statusEvent(false));
+  }
+
+  /**
+   * Follow the agent's log stream until the container stops
+   * Only one tail runs at a time.
+   */
+  async tail() {
+    if (this.tailing) return;
+    this.tailing = true;
+
+    try {
+      for (let attempt = 1; attempt <= TAIL_CONNECT_ATTEMPTS && this.isRunning(); attempt++) {
+        let response;
+        try {
+          response = await this.connect(this.agentSeq);
+        } catch {
+          await new Promise((resolve) => setTimeout(resolve, TAIL_RETRY_MS));
+          continue;
+        }
+        if (!response.ok || !response.body) {
+          return;
+        }
+        await this.readAgentStream(response.body);
+        return;
+      }
+    } finally {
+      this.tailing = false;
+    }
+  }
+
+  async readAgentStream(body) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let pending = "";
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const lines = (pending + value).split("\n");
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line) this.push(JSON.parse(line));
+        }
+      }
+    } catch {
+      // The container went away mid-stream - the next start tails again
+    }
+  }
+
+  push({ seq, ts, stream, line }) {
+    this.agentSeq = seq;
+    const entry = { id: this.nextId++, ts, stream, line };
+    this.history.push(entry);
+    if (this.history.length > LOG_HISTORY_LINES) {
+      this.history.shift();
+    }
+    this.broadcast(logEvent(entry));
+  }
+
+  broadcast(event) {
+    for (const subscriber of this.subscribers) {
+      this.send(subscriber, event);
+    }
+  }
+
+  send(subscriber, event) {
+    if (subscriber.desiredSize !== null && subscriber.desiredSize < -MAX_PENDING_WRITES) {
+      this.drop(subscriber);
+      return;
+    }
+    subscriber.write(encoder.encode(event)).catch(() => this.drop(subscriber));
+  }
+
+  drop(subscriber) {
+    if (!this.subscribers.delete(subscriber)) return;
+    subscriber.abort().catch(() => {});
+    if (this.subscribers.size === 0) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    // Also how closed viewers are noticed - the write to them fails
+    this.heartbeat = setInterval(() => this.broadcast(": ping\n\n"), HEARTBEAT_MS);
+  }
+}
+
+function logEvent({ id, ts, stream, line }) {
+  return `id: ${id}\nevent: log\ndata: ${JSON.stringify({ ts, stream, line })}\n\n`;
+}
+
+function statusEvent(running) {
+  return `event: status\ndata: ${JSON.stringify({ running })}\n\n`;
+}
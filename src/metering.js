@@ -0,0 +1,215 @@
+/**
+ * Usage Metering
+ *
+ * Billing data for each app, aggregated per hour in the app's Durable Object
+ * SQLite storage (table usage_hourly):
+ *
+ *   requests         - requests forwarded to the container
+ *   bytes_in         - request bodies (from Content-Length)
+ *   bytes_out        - response bodies (counted as they stream to the client)
+ *   running_seconds  - container uptime, from onStart/onStop, split across hours
+ *   cold_starts      - container boots
+ *
+ * Read back with GET /app/{appId}/_usage, or for every app at once with
+ * the admin export GET /api/usage (JSON or CSV).
+ */
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+// Longest range a single usage query/export may cover
+export const MAX_USAGE_RANGE_MS = 31 * 24 * HOUR_MS;
+
+// Hourly rows older than this are pruned when the container starts
+const USAGE_RETENTION_MS = 400 * 24 * HOUR_MS;
+
+const CSV_COLUMNS = ["app_id", "owner", "plan", "hour", "requests", "bytes_in", "bytes_out", "running_seconds", "cold_starts"];
+
+/**
+ * Create the usage table (sql.exec is synchronous - safe in a constructor)
+ */
+export function createUsageTable(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS usage_hourly (
+      hour INTEGER PRIMARY KEY,
+      requests INTEGER NOT NULL DEFAULT 0,
+      bytes_in INTEGER NOT NULL DEFAULT 0,
+      bytes_out INTEGER NOT NULL DEFAULT 0,
+      running_seconds INTEGER NOT NULL DEFAULT 0,
+      cold_starts INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+}
+
+export function hourStart(timestamp) {
+  return Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+}
+
+/**
+ * Add to the counters of the hour `timestamp` falls in
+ */
+export function addUsage(sql, timestamp, { requests = 0, bytesIn = 0, bytesOut = 0, runningSeconds = 0, coldStarts = 0 }) {
+  sql.exec(
+    `INSERT INTO usage_hourly (hour, requests, bytes_in, bytes_out, running_seconds, cold_starts)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (hour) DO UPDATE SET
+       requests = requests + excluded.requests,
+       bytes_in = bytes_in + excluded.bytes_in,
+       bytes_out = bytes_out + excluded.bytes_out,
+       running_seconds = running_seconds + excluded.running_seconds,
+       cold_starts = cold_starts + excluded.cold_starts`,
+    hourStart(timestamp),
+    requests,
+    bytesIn,
+    bytesOut,
+    runningSeconds,
+    coldStarts
+  );
+}
+
+/**
+ * Split a running period into per-hour seconds: [{ hour, seconds }]
+ * A container that ran 10:50-11:20 bills 600s to 10:00 and 1200s to 11:00.
+ */
+export function splitByHour(startedAt, stoppedAt) {
+  const parts = [];
+  let cursor = startedAt;
+  while (cursor < stoppedAt) {
+    const hour = hourStart(cursor);
+    const end = Math.min(hour + HOUR_MS, stoppedAt);
+    parts.push({ hour, seconds: Math.round((end - cursor) / 1000) });
+    cursor = end;
+  }
+  return parts;
+}
+
+export function addRunningTime(sql, startedAt, stoppedAt) {
+  for (const { hour, seconds } of splitByHour(startedAt, stoppedAt)) {
+    addUsage(sql, hour, { runningSeconds: seconds });
+  }
+}
+
+export function pruneUsage(sql, now = Date.now()) {
+  sql.exec("DELETE FROM usage_hourly WHERE hour < ?", hourStart(now - USAGE_RETENTION_MS));
+}
+
+/**
+ * Hourly rows overlapping [from, to), oldest first
+ */
+export function queryUsage(sql, from, to) {
+  return sql
+    .exec("SELECT * FROM usage_hourly WHERE hour >= ? AND hour < ? ORDER BY hour", hourStart(from), to)
+    .toArray()
+    .map(toUsage);
+}
+
+/**
+ * Add running seconds that aren't stored yet (a container that is still up)
+ */
+export function withLiveRunningTime(hourly, startedAt, now, from, to) {
+  const byHour = new Map(hourly.map((row) => [row.hour, { ...row }]));
+  for (const { hour, seconds } of splitByHour(Math.max(startedAt, hourStart(from)), Math.min(now, to))) {
+    const key = new Date(hour).toISOString();
+    const row = byHour.get(key) || { hour: key, requests: 0, bytesIn: 0, bytesOut: 0, runningSeconds: 0, coldStarts: 0 };
+    row.runningSeconds += seconds;
+    byHour.set(key, row);
+  }
+  return [...byHour.values()].sort((a, b) => a.hour.localeCompare(b.hour));
+}
+
+export function sumUsage(hourly) {
+  const totals = { requests: 0, bytesIn: 0, bytesOut: 0, runningSeconds: 0, coldStarts: 0 };
+  for (const row of hourly) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += row[key];
+    }
+  }
+  return totals;
+}
+
+/**
+ * Parse ?from=&to= (ms timestamps or ISO dates, see parseTimestamp)
+ * Defaults to the last 24 hours. Returns { from, to } or { error }.
+ */
+export function usageRange(from, to, now = Date.now()) {
+  const end = to ?? now;
+  const start = from ?? end - 24 * HOUR_MS;
+  if (start >= end) {
+    return { error: "`from` must be before `to`" };
+  }
+  if (end - start > MAX_USAGE_RANGE_MS) {
+    return { error: `The range can cover at most ${MAX_USAGE_RANGE_MS / (24 * HOUR_MS)} days` };
+  }
+  return { from: start, to: end };
+}
+
+// =============================================================================
+// BYTE COUNTING
+// =============================================================================
+
+/**
+ * Count the bytes of a body as it streams through
+ * Returns the body to send on and a promise of the byte count, which settles
+ * when the stream finishes (or the client goes away).
+ */
+export function countBytes(body) {
+  if (!body) {
+    return { body, bytes: Promise.resolve(0) };
+  }
+  let bytes = 0;
+  const { readable, writable } = new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+  });
+  const done = body.pipeTo(writable).catch(() => {}).then(() => bytes);
+  return { body: readable, bytes: done };
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * CSV billing export - one line per app per hour
+ * `apps` is [{ appId, owner, plan, hourly }]
+ */
+export function usageCsv(apps) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const app of apps) {
+    for (const row of app.hourly) {
+      lines.push(
+        [
+          app.appId,
+          app.owner ?? "",
+          app.plan ?? "",
+          row.hour,
+          row.requests,
+          row.bytesIn,
+          row.bytesOut,
+          row.runningSeconds,
+          row.coldStarts,
+        ]
+          .map(csvField)
+          .join(",")
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toUsage(row) {
+  return {
+    hour: new Date(row.hour).toISOString(),
+    requests: row.requests,
+    bytesIn: row.bytes_in,
+    bytesOut: row.bytes_out,
+    runningSeconds: row.running_seconds,
+    coldStarts: row.cold_starts,
+  };
+}
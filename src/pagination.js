@@ -0,0 +1,59 @@
+/**
+ * Cursor Pagination
+ *
+ * The list endpoints (apps, the access log, lifecycle events, KV keys) page
+ * through a SQLite table by one unique, ordered column - app_id, id or key:
+ *
+ *   const after = decodeCursor(cursor, { numeric: true });
+ *   if (after !== null) {
+ *     where.push("id < ?");
+ *     params.push(after);
+ *   }
+ *   const { rows, nextCursor } = readPage(sql, `SELECT ... ORDER BY id DESC LIMIT ?`, params, {
+ *     limit, defaultSize: 50, maxSize: 200, cursorColumn: "id"
+ *   });
+ *
+ * A cursor is that column's value on the last row of the page, base64url
+ * encoded so clients treat it as opaque. nextCursor is null on the last page.
+ */
+
+import { base64UrlDecode, base64UrlEncode } from "./crypto.js";
+
+export function encodeCursor(value) {
+  return base64UrlEncode(String(value));
+}
+
+/**
+ * The column value a cursor stands for, or null for no cursor - a missing
+ * cursor, or one that doesn't decode, starts from the first page
+ */
+export function decodeCursor(cursor, { numeric = false } = {}) {
+  if (!cursor) {
+    return null;
+  }
+  let value;
+  try {
+    value = new TextDecoder().decode(base64UrlDecode(cursor));
+  } catch {
+    return null;
+  }
+  if (numeric) {
+    return /^\d+$/.test(value) ? Number(value) : null;
+  }
+  return value;
+}
+
+/**
+ * Run a page query - its SQL ends in "LIMIT ?", which readPage() fills in
+ * Fetches one extra row to know whether there is another page.
+ * Returns { rows, nextCursor }.
+ */
+export function readPage(sql, query, params, { limit, defaultSize, maxSize, cursorColumn }) {
+  const pageSize = Math.min(Math.max(Number(limit) || defaultSize, 1), maxSize);
+  const rows = sql.exec(query, ...params, pageSize + 1).toArray();
+  const page = rows.slice(0, pageSize);
+  return {
+    rows: page,
+    nextCursor: rows.length > pageSize ? encodeCursor(page[page.length - 1][cursorColumn]) : null,
+  };
+}
@@ -0,0 +1,409 @@
+/**
+ * Tenant Registry
+ *
+ * A singleton Durable Object that records every provisioned appId.
+ *
+ * WHY THIS EXISTS:
+ * getByName(appId) creates a Durable Object on demand, and Durable Objects
+ * can't be enumerated. The registry is the source of truth for which appIds
+ * are provisioned:
+ *   - POST /api/apps reserves an appId (provisionApp)
+ *   - DELETE /api/apps/{appId} tombstones it (tombstoneApp) - never reused
+ *   - The router refuses to route to appIds that aren't active here
+ * Each VibeAppContainer then keeps its record fresh (on first request,
+ * on start/stop, on metadata change).
+ *
+ * The registry also holds the custom domain map (hostname → appId) used by
+ * hostname routing - see src/domains.js.
+ *
+ * There is exactly ONE registry instance:
+ *   const registry = getRegistry(env);   // env.TENANT_REGISTRY.getByName("global")
+ *
+ * Data lives in the registry's SQLite storage so it can be filtered,
+ * searched and paginated with plain SQL.
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import { decodeCursor, readPage } from "./pagination.js";
+
+const REGISTRY_NAME = "global";
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// An unverified domain claim can be taken over by another app after this long
+const PENDING_DOMAIN_TTL_MS = 72 * 60 * 60 * 1000;
+
+// How long the router caches "this app is active" per Worker isolate
+const RESOLVE_CACHE_TTL_MS = 30 * 1000;
+const resolveCache = new Map();
+
+/**
+ * Get a stub for the singleton registry
+ */
+export function getRegistry(env) {
+  return env.TENANT_REGISTRY.getByName(REGISTRY_NAME);
+}
+
+/**
+ * Look up an active app for routing, or null if it isn't provisioned
+ *
+ * Every request needs this check, so active apps are cached in memory for a
+ * few seconds to keep the singleton registry off the hot path. Misses are
+ * never cached, so a freshly provisioned app is routable immediately.
+ */
+export async function resolveApp(env, appId) {
+  const cached = resolveCache.get(appId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.app;
+  }
+
+  const app = await getRegistry(env).getApp(appId);
+  if (!app || app.state !== "active") {
+    resolveCache.delete(appId);
+    return null;
+  }
+
+  resolveCache.set(appId, { app, expiresAt: Date.now() + RESOLVE_CACHE_TTL_MS });
+  return app;
+}
+
+/**
+ * Drop an app from this isolate's resolve cache (e.g. right after deleting it)
+ */
+export function forgetApp(appId) {
+  resolveCache.delete(appId);
+}
+
+export class TenantRegistry extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+
+    // sql.exec is synchronous, so the schema is ready before any RPC runs
+    this.ctx.storage.sql.exec(`
+      CREATE TABLE IF NOT EXISTS apps (
+        app_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'stopped',
+        owner TEXT,
+        name TEXT,
+        metadata TEXT NOT NULL DEFAULT '{}',
+        state TEXT NOT NULL DEFAULT 'active',
+        plan TEXT,
+        config TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        last_active_at INTEGER,
+        deleted_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS apps_status ON apps (status);
+      CREATE INDEX IF NOT EXISTS apps_owner ON apps (owner);
+      CREATE INDEX IF NOT EXISTS apps_last_active ON apps (last_active_at);
+      CREATE INDEX IF NOT EXISTS apps_subdomain ON apps (lower(app_id));
+
+      CREATE TABLE IF NOT EXISTS domains (
+        hostname TEXT PRIMARY KEY,
+        app_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        verification_token TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        verified_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS domains_app ON domains (app_id);
+    `);
+  }
+
+  // ---------------------------------------------------------------------------
+  // RPC METHODS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reserve an appId for a tenant
+   * Fails if the appId is already active, or was deleted (ids are never reused),
+   * or differs only in case from another app's - both would get the same
+   * {appId}.PLATFORM_DOMAIN subdomain.
+   */
+  async provisionApp(appId, { owner = null, plan = "free", config = {} } = {}) {
+    const existing = this.getRow(appId);
+    if (existing?.state === "active") {
+      return { success: false, error: "App already exists", app: toApp(existing) };
+    }
+    if (existing?.state === "deleted") {
+      return { success: false, error: "App ID was deleted and cannot be reused" };
+    }
+    const [sameSubdomain] = this.ctx.storage.sql
+      .exec("SELECT app_id FROM apps WHERE lower(app_id) = lower(?)", appId)
+      .toArray();
+    if (sameSubdomain) {
+      return { success: false, error: `App ID is taken by "${sameSubdomain.app_id}" - app IDs are case-insensitive` };
+    }
+
+    const now = Date.now();
+    this.ctx.storage.sql.exec(
+      `INSERT INTO apps (app_id, status, state, owner, plan, config, metadata, created_at, updated_at)
+       VALUES (?, 'stopped', 'active', ?, ?, ?, '{}', ?, ?)`,
+      appId,
+      owner,
+      plan,
+      JSON.stringify(config),
+      now,
+      now
+    );
+
+    return { success: true, app: toApp(this.getRow(appId)) };
+  }
+
+  /**
+   * Mark an app as deleted
+   * The row is kept as a tombstone so the appId can't be claimed again
+   */
+  async tombstoneApp(appId) {
+    const now = Date.now();
+    this.ctx.storage.sql.exec(
+      `UPDATE apps SET state = 'deleted', status = 'stopped', deleted_at = ?, updated_at = ?
+       WHERE app_id = ?`,
+      now,
+      now,
+      appId
+    );
+    // Release the app's custom domains so they stop routing immediately
+    const hostnames = this.ctx.storage.sql
+      .exec("DELETE FROM domains WHERE app_id = ? RETURNING hostname", appId)
+      .toArray()
+      .map((row) => row.hostname);
+    return { success: true, deletedAt: now, hostnames };
+  }
+
+  /**
+   * Update an active app's record
+   * Only the fields that are passed are changed:
+   *   registerApp("my-app", { status: "running", lastActiveAt: Date.now() })
+   *   registerApp("my-app", { metadata: { owner: "alice", name: "My App" } })
+   *   registerApp("my-app", { plan: "pro" })
+   *
+   * Apps must be provisioned first - unknown or deleted appIds are ignored.
+   */
+  async registerApp(appId, { status, metadata, lastActiveAt, plan, config } = {}) {
+    const existing = this.getRow(appId);
+    if (existing?.state !== "active") {
+      return { success: false, error: "App is not provisioned" };
+    }
+
+    const merged = {
+      status: status ?? existing.status,
+      metadata: metadata ?? JSON.parse(existing.metadata),
+      lastActiveAt: lastActiveAt ?? existing.last_active_at,
+      plan: plan ?? existing.plan,
+      config: config ?? JSON.parse(existing.config),
+    };
+
+    this.ctx.storage.sql.exec(
+      `UPDATE apps SET status = ?, owner = ?, name = ?, plan = ?, config = ?, metadata = ?, updated_at = ?, last_active_at = ?
+       WHERE app_id = ?`,
+      merged.status,
+      merged.metadata.owner ?? existing.owner,
+      merged.metadata.name ?? existing.name,
+      merged.plan,
+      JSON.stringify(merged.config),
+      JSON.stringify(merged.metadata),
+      Date.now(),
+      merged.lastActiveAt,
+      appId
+    );
+
+    return { success: true };
+  }
+
+  /**
+   * Get a single app record, or null if the appId was never seen
+   */
+  async getApp(appId) {
+    const row = this.getRow(appId);
+    return row ? toApp(row) : null;
+  }
+
+  /**
+   * List apps with optional filters and cursor pagination
+   * Deleted apps are hidden unless includeDeleted is set.
+   *
+   * Filters (all optional):
+   *   status       - "running" | "stopped"
+   *   owner        - exact match on the owner
+   *   plan         - exact match on the plan
+   *   activeSince  - last active at or after this timestamp (ms)
+   *   activeBefore - last active before this timestamp (ms)
+   *   q            - case-insensitive text search over appId, name and owner
+   *
+   * Results are ordered by appId. Pass the returned nextCursor to get the
+   * next page; nextCursor is null on the last page.
+   */
+  async listApps({ status, owner, plan, activeSince, activeBefore, q, includeDeleted, limit, cursor } = {}) {
+    const where = [];
+    const params = [];
+
+    if (!includeDeleted) {
+      where.push("state = 'active'");
+    }
+    if (status) {
+      where.push("status = ?");
+      params.push(status);
+    }
+    if (owner) {
+      where.push("owner = ?");
+      params.push(owner);
+    }
+    if (plan) {
+      where.push("plan = ?");
+      params.push(plan);
+    }
+    if (activeSince) {
+      where.push("last_active_at >= ?");
+      params.push(activeSince);
+    }
+    if (activeBefore) {
+      where.push("last_active_at < ?");
+      params.push(activeBefore);
+    }
+    if (q) {
+      const pattern = `%${q.replace(/[\\%_]/g, (c) => "\\" + c)}%`;
+      where.push("(app_id LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\' OR owner LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern, pattern);
+    }
+    const after = decodeCursor(cursor);
+    if (after !== null) {
+      where.push("app_id > ?");
+      params.push(after);
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+    const { rows, nextCursor } = readPage(
+      this.ctx.storage.sql,
+      `SELECT * FROM apps ${whereClause} ORDER BY app_id LIMIT ?`,
+      params,
+      { limit, defaultSize: DEFAULT_PAGE_SIZE, maxSize: MAX_PAGE_SIZE, cursorColumn: "app_id" }
+    );
+    return { apps: rows.map(toApp), nextCursor };
+  }
+
+  // ---------------------------------------------------------------------------
+  // CUSTOM DOMAINS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Claim a hostname for an app and create its TXT challenge
+   * The domain stays "pending" (and doesn't route) until verifyDomain succeeds.
+   */
+  async addDomain(appId, hostname) {
+    const existing = this.getDomainRow(hostname);
+    if (existing?.app_id === appId) {
+      return { success: true, domain: toDomain(existing) };
+    }
+    if (existing) {
+      const abandoned = existing.status === "pending" && Date.now() - existing.created_at > PENDING_DOMAIN_TTL_MS;
+      if (!abandoned) {
+        return { success: false, error: "Hostname is already attached to another app" };
+      }
+    }
+
+    const token = crypto.randomUUID().replace(/-/g, "");
+    this.ctx.storage.sql.exec(
+      `INSERT OR REPLACE INTO domains (hostname, app_id, status, verification_token, created_at)
+       VALUES (?, ?, 'pending', ?, ?)`,
+      hostname,
+      appId,
+      token,
+      Date.now()
+    );
+    return { success: true, domain: toDomain(this.getDomainRow(hostname)) };
+  }
+
+  /**
+   * Mark a domain as verified - it starts routing traffic to its app
+   * The Worker checks the TXT challenge before calling this.
+   */
+  async markDomainVerified(appId, hostname) {
+    this.ctx.storage.sql.exec(
+      "UPDATE domains SET status = 'verified', verified_at = ? WHERE hostname = ? AND app_id = ?",
+      Date.now(),
+      hostname,
+      appId
+    );
+    return { success: true, domain: await this.getDomain(appId, hostname) };
+  }
+
+  async removeDomain(appId, hostname) {
+    const removed = this.ctx.storage.sql
+      .exec("DELETE FROM domains WHERE hostname = ? AND app_id = ? RETURNING hostname", hostname, appId)
+      .toArray();
+    return removed.length > 0 ? { success: true } : { success: false, error: "Domain not found" };
+  }
+
+  async listDomains(appId) {
+    return this.ctx.storage.sql
+      .exec("SELECT * FROM domains WHERE app_id = ? ORDER BY hostname", appId)
+      .toArray()
+      .map(toDomain);
+  }
+
+  async getDomain(appId, hostname) {
+    const row = this.getDomainRow(hostname);
+    return row && row.app_id === appId ? toDomain(row) : null;
+  }
+
+  /**
+   * {subdomain}.PLATFORM_DOMAIN → appId
+   * Hostnames arrive lowercased, appIds keep their case.
+   */
+  async lookupSubdomain(subdomain) {
+    const [row] = this.ctx.storage.sql
+      .exec("SELECT app_id FROM apps WHERE lower(app_id) = ? AND state = 'active'", subdomain)
+      .toArray();
+    return row?.app_id || null;
+  }
+
+  /**
+   * Host header → appId, for verified domains only
+   */
+  async lookupDomain(hostname) {
+    const row = this.getDomainRow(hostname);
+    return row?.status === "verified" ? row.app_id : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // HELPERS
+  // ---------------------------------------------------------------------------
+
+  getRow(appId) {
+    return this.ctx.storage.sql.exec("SELECT * FROM apps WHERE app_id = ?", appId).toArray()[0] || null;
+  }
+
+  getDomainRow(hostname) {
+    return this.ctx.storage.sql.exec("SELECT * FROM domains WHERE hostname = ?", hostname).toArray()[0] || null;
+  }
+}
+
+function toApp(row) {
+  return {
+    appId: row.app_id,
+    state: row.state,
+    status: row.status,
+    owner: row.owner,
+    name: row.name,
+    plan: row.plan,
+    config: JSON.parse(row.config),
+    metadata: JSON.parse(row.metadata),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastActiveAt: row.last_active_at,
+    deletedAt: row.deleted_at,
+  };
+}
+
+function toDomain(row) {
+  return {
+    hostname: row.hostname,
+    appId: row.app_id,
+    status: row.status,
+    createdAt: row.created_at,
+    verifiedAt: row.verified_at,
+    verificationToken: row.verification_token,
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Releases & Rollback
+ *
+ * Every POST /app/{appId}/_deploy records a release in the app's Durable
+ * Object SQLite storage (table releases) and restarts the container on it:
+ *
+ *   {
+ *     version: 3,                                       // per app, 1, 2, 3...
+ *     createdAt, message,
+ *     deployedBy: { credential: "token", tokenId, label, name },
+ *     image: { runtime: "node", imageVersion: "node-20-v4" },
+ *     artifact: "git:4f2a9c1",                          // or "bundle:{id}"
+ *     config: { vars, secrets, bundle }                 // secrets stay sealed
+ *   }
+ *
+ * The active version is stored as "activeRelease". POST /_rollback/{version}
+ * puts that release's env vars, secrets and code bundle (see src/bundles.js)
+ * back and restarts the container.
+ *
+ * The image is shared by every app of a runtime (wrangler.toml), so a
+ * rollback can't bring back an older image - it reports imageChanged when
+ * the release was made on a different one.
+ *
+ * Each app keeps its latest MAX_RELEASES releases (and always the active one).
+ */
+
+const MAX_RELEASES = 50;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_ARTIFACT_LENGTH = 500;
+
+/**
+ * Create the releases table (sql.exec is synchronous - safe in a constructor)
+ */
+export function createReleasesTable(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS releases (
+      version INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at INTEGER NOT NULL,
+      message TEXT,
+      deployed_by TEXT NOT NULL,
+      image TEXT NOT NULL,
+      artifact TEXT,
+      config TEXT NOT NULL
+    );
+  `);
+}
+
+/**
+ * Validate a POST /_deploy body
+ * Returns an error message, or null if it is valid
+ */
+export function validateDeploy({ artifact, message, deployedBy }) {
+  if (artifact !== undefined && artifact !== null && (typeof artifact !== "string" || artifact.length > MAX_ARTIFACT_LENGTH)) {
+    return `artifact must be a string of at most ${MAX_ARTIFACT_LENGTH} characters`;
+  }
+  if (message !== undefined && message !== null && (typeof message !== "string" || message.length > MAX_MESSAGE_LENGTH)) {
+    return `message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  if (deployedBy !== undefined && deployedBy !== null && (typeof deployedBy !== "string" || deployedBy.length > 100)) {
+    return "deployedBy must be a string of at most 100 characters";
+  }
+  return null;
+}
+
+/**
+ * Record a release - returns it with its new version number
+ */
+export function appendRelease(sql, { message = null, deployedBy, image, artifact = null, config }, activeVersion = null) {
+  const createdAt = Date.now();
+  const { version } = sql
+    .exec(
+      `INSERT INTO releases (created_at, message, deployed_by, image, artifact, config)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING version`,
+      createdAt,
+      message,
+      JSON.stringify(deployedBy),
+      JSON.stringify(image),
+      artifact,
+      JSON.stringify(config)
+    )
+    .one();
+
+  // The new release is about to become active - keep the one it replaces too
+  sql.exec(
+    "DELETE FROM releases WHERE version <= ? AND version != ?",
+    version - MAX_RELEASES,
+    activeVersion ?? -1
+  );
+  return { version, createdAt, message, deployedBy, image, artifact, config };
+}
+
+/**
+ * One release with its config, or null
+ */
+export function getRelease(sql, version) {
+  const [row] = sql.exec("SELECT * FROM releases WHERE version = ?", version).toArray();
+  return row ? toRelease(row) : null;
+}
+
+/**
+ * Release history, newest first - without the config (which holds the
+ * sealed secrets), only the names it sets
+ */
+export function listReleases(sql) {
+  return sql
+    .exec("SELECT * FROM releases ORDER BY version DESC")
+    .toArray()
+    .map((row) => summarizeRelease(toRelease(row)));
+}
+
+/**
+ * A release as GET /_releases and GET /_status show it
+ */
+export function summarizeRelease(release) {
+  const { config, ...summary } = release;
+  return {
+    ...summary,
+    config: {
+      vars: Object.keys(config.vars),
+      secrets: Object.keys(config.secrets),
+      bundle: config.bundle?.id || null,
+    },
+  };
+}
+
+/**
+ * "3" / "v3" → 3, or null
+ */
+export function parseVersion(value) {
+  const match = String(value).match(/^v?(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+function toRelease(row) {
+  return {
+    version: row.version,
+    createdAt: row.created_at,
+    message: row.message,
+    deployedBy: JSON.parse(row.deployed_by),
+    image: JSON.parse(row.image),
+    artifact: row.artifact,
+    config: JSON.parse(row.config),
+  };
+}
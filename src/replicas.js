@@ -0,0 +1,184 @@
+/**
+ * Container Replicas & Autoscaling
+ *
+ * An app can run more than one container. Each replica is a Durable Object
+ * of its own, next to the app's:
+ *
+ *   "my-app"      replica 0 - also the coordinator: it admits every request,
+ *                 picks the replica, meters the request rate and scales
+ *   "my-app#1"    replica 1 ┐ started on their first request, and get the
+ *   "my-app#2"    replica 2 ┘ app's env config, bundle and latest snapshot
+ *
+ * Stored in the app's DO as "scalingPolicy":
+ *
+ *   {
+ *     minReplicas: 1,            // never fewer
+ *     maxReplicas: 1,            // 1 = no scaling (the default)
+ *     targetRps: 10,             // requests per second one replica should take
+ *     routing: "round-robin",    // or "least-loaded" (fewest in-flight requests)
+ *     affinity: false            // pin each client to a replica (cookie)
+ *   }
+ *
+ * AUTOSCALING:
+ * The coordinator counts requests over RATE_WINDOW_MS windows. At the end of
+ * each window it wants ceil(rate / targetRps) replicas (within min/max):
+ * more replicas are added at once, fewer only after the lower count has
+ * been enough for SCALE_DOWN_DELAY_MS. Replicas that get no more traffic
+ * go to sleep like any idle container.
+ *
+ * The coordinator keeps the indices of the replicas that have started
+ * ("startedReplicas") - status, restarts and stops only call those DOs,
+ * never ones that were never used.
+ *
+ * The canary of an app (see src/canary.js) always runs as one container.
+ */
+
+export const MAX_REPLICAS = 10;
+
+export const ROUTING_MODES = ["round-robin", "least-loaded"];
+
+export const DEFAULT_SCALING_POLICY = {
+  minReplicas: 1,
+  maxReplicas: 1,
+  targetRps: 10,
+  routing: "round-robin",
+  affinity: false,
+};
+
+export const REPLICA_COOKIE = "vibe_replica";
+
+export const RATE_WINDOW_MS = 30 * 1000;
+const SCALE_DOWN_DELAY_MS = 5 * 60 * 1000;
+
+// "my-app#2", "my-app:canary" → "my-app"
+const SECONDARY_NAME_PATTERN = /(?::canary|#\d+)$/;
+
+/**
+ * Name of replica `index` - replica 0 is the app's own DO
+ */
+export function replicaName(appId, index) {
+  return index === 0 ? appId : `${appId}#${index}`;
+}
+
+/**
+ * The app a Durable Object belongs to - "my-app#2" / "my-app:canary" → "my-app"
+ */
+export function primaryAppId(name) {
+  return name?.replace(SECONDARY_NAME_PATTERN, "");
+}
+
+/**
+ * Whether a Durable Object is the app's own - not a replica or its canary
+ * Only the app's DO registers the app, keeps its state and takes snapshots.
+ */
+export function isPrimary(name) {
+  return primaryAppId(name) === name;
+}
+
+/**
+ * Whether a Durable Object is one of an app's extra replicas ("my-app#2")
+ */
+export function isReplica(name) {
+  return /#\d+$/.test(name || "");
+}
+
+/**
+ * A replica's index - "my-app#2" → 2, the app's own DO → 0
+ */
+export function replicaIndex(name) {
+  return Number(name?.match(/#(\d+)$/)?.[1] ?? 0);
+}
+
+/**
+ * Validate a PUT /_scaling body
+ * Returns an error message, or null if the policy is valid
+ */
+export function validateScalingPolicy(update, current = DEFAULT_SCALING_POLICY) {
+  const { minReplicas, maxReplicas, targetRps, routing, affinity } = { ...current, ...update };
+  for (const [name, value] of [["minReplicas", minReplicas], ["maxReplicas", maxReplicas]]) {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_REPLICAS) {
+      return `${name} must be a whole number between 1 and ${MAX_REPLICAS}`;
+    }
+  }
+  if (minReplicas > maxReplicas) {
+    return "minReplicas can't be more than maxReplicas";
+  }
+  if (typeof targetRps !== "number" || !(targetRps > 0)) {
+    return "targetRps must be a positive number";
+  }
+  if (!ROUTING_MODES.includes(routing)) {
+    return `routing must be one of: ${ROUTING_MODES.join(", ")}`;
+  }
+  if (typeof affinity !== "boolean") {
+    return "affinity must be true or false";
+  }
+  return null;
+}
+
+/**
+ * Count one request in the current rate window
+ * `state` is { replicas, rate, windowStart, windowCount, lowSince } (or
+ * null) and is returned updated; `rescaled` is true when a window just
+ * closed and the replica count was re-evaluated.
+ */
+export function observeRequest(state, policy, now = Date.now()) {
+  const current = state || { replicas: policy.minReplicas, rate: 0, windowStart: now, windowCount: 0, lowSince: null };
+  const elapsed = now - current.windowStart;
+  if (elapsed < RATE_WINDOW_MS) {
+    return { state: { ...current, windowCount: current.windowCount + 1 }, rescaled: false };
+  }
+
+  const rate = current.windowCount / (elapsed / 1000);
+  const next = { ...current, rate, windowStart: now, windowCount: 1 };
+  return { state: { ...next, ...scale(next, policy, now) }, rescaled: true };
+}
+
+/**
+ * Pick the replica for a request
+ *   affinity - the replica the client is pinned to (cookie), if any
+ *   loads    - in-flight requests per replica
+ *   cursor   - round-robin position
+ */
+export function pickReplica(policy, replicas, { affinity = null, loads = [], cursor = 0 }) {
+  if (policy.affinity && Number.isInteger(affinity) && affinity >= 0 && affinity < replicas) {
+    return affinity;
+  }
+  if (policy.routing === "least-loaded") {
+    let best = 0;
+    for (let index = 1; index < replicas; index++) {
+      if ((loads[index] || 0) < (loads[best] || 0)) {
+        best = index;
+      }
+    }
+    return best;
+  }
+  return cursor % replicas;
+}
+
+/**
+ * The replica a client is pinned to, from its cookie - or null
+ */
+export function readReplicaCookie(request) {
+  const cookies = request.headers.get("Cookie") || "";
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${REPLICA_COOKIE}=(\\d+)(?:;|$)`));
+  return match ? Number(match[1]) : null;
+}
+
+export function replicaCookie(index, path = "/") {
+  return `${REPLICA_COOKIE}=${index}; Path=${path}; HttpOnly; SameSite=Lax`;
+}
+
+function scale(state, policy, now) {
+  const wanted = Math.ceil(state.rate / policy.targetRps);
+  const desired = Math.min(Math.max(wanted, policy.minReplicas), policy.maxReplicas);
+
+  if (desired >= state.replicas) {
+    return { replicas: desired, lowSince: null };
+  }
+  // Scale down only once the lower count has been enough for a while
+  const lowSince = state.lowSince ?? now;
+  if (now - lowSince < SCALE_DOWN_DELAY_MS) {
+    return { lowSince };
+  }
+  return { replicas: desired, lowSince: null };
+}
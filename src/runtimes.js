@@ -0,0 +1,62 @@
+/**
+ * Tenant Runtimes
+ *
+ * Each runtime is its own container class + image, declared in wrangler.toml
+ * with its own Durable Object binding:
+ *
+ *   runtime   Binding            Class                Image
+ *   -------   ----------------   ------------------   ------------------
+ *   node      VIBE_APP           VibeAppContainer     ./Dockerfile
+ *   python    VIBE_APP_PYTHON    PythonAppContainer   ./Dockerfile.python
+ *   static    VIBE_APP_STATIC    StaticAppContainer   ./Dockerfile.static
+ *
+ * A tenant picks its runtime at provisioning time with config.runtime.
+ * The runtime can't be changed later: the app's Durable Object (and all of
+ * its storage) lives in that runtime's namespace.
+ *
+ * bundleDir is where an uploaded code bundle replaces the image's app
+ * (see src/bundles.js). maxInstances mirrors the class's max_instances in
+ * wrangler.toml, which the capacity tracker counts against (see
+ * src/capacity.js) - test/runtimes.test.js fails when they drift apart.
+ */
+
+export const DEFAULT_RUNTIME = "node";
+
+export const RUNTIMES = {
+  node: {
+    binding: "VIBE_APP",
+    imageVersion: "node-20-v5",
+    bundleDir: "/app",
+    maxInstances: 50,
+    description: "Node.js 20 server (example-app/)",
+  },
+  python: {
+    binding: "VIBE_APP_PYTHON",
+    imageVersion: "python-3.12-v4",
+    bundleDir: "/app",
+    maxInstances: 20,
+    description: "Python 3.12 server (example-app-python/)",
+  },
+  static: {
+    binding: "VIBE_APP_STATIC",
+    imageVersion: "static-nginx-v4",
+    bundleDir: "/usr/share/nginx/html",
+    maxInstances: 20,
+    description: "Static site served by nginx (example-app-static/)",
+  },
+};
+
+export function isValidRuntime(runtime) {
+  return Object.hasOwn(RUNTIMES, runtime);
+}
+
+/**
+ * Get the Durable Object stub for an app, in its runtime's namespace
+ * `app` is a TenantRegistry record: { appId, config: { runtime } }
+ * `name` addresses another DO of the app, e.g. its canary (see src/canary.js)
+ */
+export function getAppStub(env, app, name = app.appId) {
+  const runtime = app.config?.runtime || DEFAULT_RUNTIME;
+  const binding = RUNTIMES[runtime]?.binding || RUNTIMES[DEFAULT_RUNTIME].binding;
+  return env[binding].getByName(name);
+}
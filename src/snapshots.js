@@ -0,0 +1,140 @@
+/**
+ * Tenant Data Snapshots
+ *
+ * Container disks are ephemeral - everything is gone once a container stops.
+ * Apps that want files to survive write them to DATA_DIR, which the app's
+ * Durable Object snapshots into R2 (binding SNAPSHOTS) through the platform
+ * agent (GET/PUT :8081/snapshot):
+ *
+ *   before sleeping / a restart   DATA_DIR ──tar.gz──▶ R2 snapshots/{appId}/{id}.tar.gz
+ *   container boot                agent: GET PLATFORM_SNAPSHOT_URL ──▶ DATA_DIR, then starts the app
+ *   manual restore                snapshot ──▶ PUT :8081/snapshot, app restarted by the agent
+ *
+ * At boot the agent downloads the snapshot itself (GET /_snapshots/boot with
+ * PLATFORM_TOKEN) before the app starts, so the app never sees an empty
+ * DATA_DIR and the Durable Object's onStart doesn't wait on R2.
+ *
+ * onStop itself is too late - the container (and its disk) is already gone
+ * by then. A container that crashes loses what it wrote since the last
+ * snapshot.
+ *
+ * Snapshot ids are UTC timestamps ("2025-01-01T12-00-00-000Z"), so keys sort
+ * oldest to newest. Each app keeps its latest MAX_SNAPSHOTS.
+ */
+
+// The directory the agent archives (PLATFORM_DATA_DIR in the container)
+export const DATA_DIR = "/data";
+
+export const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+const MAX_SNAPSHOTS = 10;
+
+function snapshotPrefix(appId) {
+  return `snapshots/${appId}/`;
+}
+
+function snapshotKey(appId, id) {
+  return `${snapshotPrefix(appId)}${id}.tar.gz`;
+}
+
+/**
+ * An app's snapshots, newest first
+ */
+export async function listSnapshots(bucket, appId) {
+  const prefix = snapshotPrefix(appId);
+  const { objects } = await bucket.list({ prefix, include: ["customMetadata"] });
+  return objects
+    .map((object) => toSnapshot(object, prefix))
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Archive the container's DATA_DIR into R2
+ * Returns the snapshot, or null if the directory is empty.
+ */
+export async function takeSnapshot(bucket, appId, agent, reason) {
+  const response = await agent.fetch("http://container/snapshot");
+  if (response.status === 204) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`The agent could not archive ${DATA_DIR}: ${await agentError(response)}`);
+  }
+
+  // R2 needs the length up front - the agent always sends Content-Length
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const { readable, writable } = new FixedLengthStream(Number(response.headers.get("Content-Length")));
+  const [object] = await Promise.all([
+    bucket.put(snapshotKey(appId, id), readable, {
+      httpMetadata: { contentType: "application/gzip" },
+      customMetadata: { reason },
+    }),
+    response.body.pipeTo(writable),
+  ]);
+
+  await pruneSnapshots(bucket, appId);
+  return toSnapshot(object, snapshotPrefix(appId));
+}
+
+/**
+ * A snapshot's archive, for the agent to unpack at boot
+ * Returns the R2 object, or null if there is no snapshot with that id.
+ */
+export async function getSnapshotObject(bucket, appId, id) {
+  return bucket.get(snapshotKey(appId, id));
+}
+
+/**
+ * Unpack a snapshot into the running container's DATA_DIR
+ * Returns the snapshot, or null if there is no snapshot with that id.
+ */
+export async function restoreSnapshot(bucket, appId, agent, id) {
+  const object = await bucket.get(snapshotKey(appId, id));
+  if (!object) {
+    return null;
+  }
+
+  const response = await agent.fetch("http://container/snapshot", {
+    method: "PUT",
+    headers: { "Content-Type": "application/gzip" },
+    body: object.body,
+  });
+  if (!response.ok) {
+    throw new Error(`The agent could not restore snapshot ${id}: ${await agentError(response)}`);
+  }
+  return toSnapshot(object, snapshotPrefix(appId));
+}
+
+/**
+ * Delete every snapshot of an app (deprovisioning)
+ */
+export async function deleteSnapshots(bucket, appId) {
+  const snapshots = await listSnapshots(bucket, appId);
+  if (snapshots.length > 0) {
+    await bucket.delete(snapshots.map((snapshot) => snapshotKey(appId, snapshot.id)));
+  }
+}
+
+async function pruneSnapshots(bucket, appId) {
+  const expired = (await listSnapshots(bucket, appId)).slice(MAX_SNAPSHOTS);
+  if (expired.length > 0) {
+    await bucket.delete(expired.map((snapshot) => snapshotKey(appId, snapshot.id)));
+  }
+}
+
+function toSnapshot(object, prefix) {
+  return {
+    id: object.key.slice(prefix.length, -".tar.gz".length),
+    size: object.size,
+    createdAt: object.uploaded.getTime(),
+    reason: object.customMetadata?.reason || null,
+  };
+}
+
+async function agentError(response) {
+  try {
+    return (await response.json()).error;
+  } catch {
+    return `HTTP ${response.status}`;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Streaming Responses
+ *
+ * Server-Sent Events, NDJSON (e.g. LLM token streams) and anything else the
+ * app marks with X-Vibe-Stream: 1 are forwarded in streaming mode:
+ *
+ *   container ──▶ DO (RequestTracker) ──▶ Worker: withIdleTimeout() ──▶ countBytes() ──▶ client
+ *
+ * Every hop pipes the body chunk by chunk - nothing is buffered, and a
+ * client that reads slowly holds the container's stream back (pipeTo
+ * backpressure) instead of piling it up in memory.
+ *
+ * TIMEOUTS:
+ * A stream may run as long as it keeps sending. One that sends nothing for
+ * STREAM_IDLE_TIMEOUT_MS is aborted (and the container's side cancelled) -
+ * apps keep quiet streams open with a heartbeat, like an SSE comment line
+ * (": ping") every 15 seconds. While a stream (or any request) is open,
+ * its container doesn't go to sleep.
+ *
+ * LIMITS:
+ * The app's DO counts the open streams of the whole app against the plan's
+ * streams limit (src/limits.js). A request that asks for a stream (Accept:
+ * text/event-stream, as EventSource sends, or another streaming type)
+ * reserves its slot at admission - over the limit it gets a 429 before it
+ * reaches the container, and the slot is given back if the response isn't
+ * a stream after all. A stream the client didn't ask for is counted once
+ * the response shows it - over the limit, it is cancelled with a 429.
+ */
+
+export const STREAM_HEADER = "X-Vibe-Stream";
+
+export const STREAM_IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+
+const STREAMING_CONTENT_TYPES = ["text/event-stream", "application/x-ndjson", "application/stream+json"];
+
+/**
+ * Whether a request asks for a streaming response
+ */
+export function expectsStream(request) {
+  return (request.headers.get("Accept") || "")
+    .split(",")
+    .some((type) => STREAMING_CONTENT_TYPES.includes(type.split(";")[0].trim().toLowerCase()));
+}
+
+/**
+ * Whether a container's response is a stream
+ */
+export function isStreamingResponse(response) {
+  if (!response.body) {
+    return false;
+  }
+  const type = (response.headers.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+  return STREAMING_CONTENT_TYPES.includes(type) || response.headers.get(STREAM_HEADER) === "1";
+}
+
+/**
+ * Pass a body through, aborting it once no chunk has come for timeoutMs
+ */
+export function withIdleTimeout(body, timeoutMs = STREAM_IDLE_TIMEOUT_MS) {
+  let timer;
+  const arm = (controller) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      controller.error(new Error(`Stream idle for ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+  };
+  const { readable, writable } = new TransformStream({
+    start: arm,
+    transform(chunk, controller) {
+      arm(controller);
+      controller.enqueue(chunk);
+    },
+    flush() {
+      clearTimeout(timer);
+    },
+  });
+  body
+    .pipeTo(writable)
+    .catch(() => {})
+    .finally(() => clearTimeout(timer));
+  return readable;
+}
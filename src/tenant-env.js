@@ -0,0 +1,80 @@
+/**
+ * Per-Tenant Environment Variables & Secrets
+ *
+ * Each app can store its own configuration, injected into its container as
+ * environment variables every time the container starts:
+ *
+ *   vars    - plain values, readable back through GET /_env
+ *   secrets - encrypted at rest with env.SECRETS_ENCRYPTION_KEY and
+ *             write-only: the API only ever returns their names
+ *
+ * Storage layout (in the app's Durable Object):
+ *   "envVars" → { NAME: "value" }
+ *   "secrets" → { NAME: { iv, ciphertext } }
+ */
+
+import { decryptString, encryptString } from "./crypto.js";
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_VALUE_BYTES = 5 * 1024;
+const MAX_ENTRIES = 100;
+
+// Set by the platform itself - tenants can't override these
+const RESERVED_NAMES = ["APP_ID", "PORT"];
+const RESERVED_PREFIXES = ["CLOUDFLARE_", "PLATFORM_"];
+
+/**
+ * Validate a PUT /_env body: { vars?: {...}, secrets?: {...} }
+ * Returns an error message, or null if the update is valid
+ */
+export function validateEnvUpdate({ vars = {}, secrets = {} }) {
+  for (const [field, entries] of [["vars", vars], ["secrets", secrets]]) {
+    if (typeof entries !== "object" || entries === null || Array.isArray(entries)) {
+      return `${field} must be an object of name/value pairs`;
+    }
+  }
+  for (const [name, value] of [...Object.entries(vars), ...Object.entries(secrets)]) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      return `Invalid variable name "${name}" - use letters, numbers and underscores`;
+    }
+    if (RESERVED_NAMES.includes(name) || RESERVED_PREFIXES.some((prefix) => name.startsWith(prefix))) {
+      return `"${name}" is reserved by the platform`;
+    }
+    if (typeof value !== "string") {
+      return `Value for "${name}" must be a string`;
+    }
+    if (new TextEncoder().encode(value).byteLength > MAX_VALUE_BYTES) {
+      return `Value for "${name}" is larger than ${MAX_VALUE_BYTES} bytes`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the total number of variables after an update is applied
+ */
+export function tooManyEntries(vars, secrets) {
+  return Object.keys(vars).length + Object.keys(secrets).length > MAX_ENTRIES
+    ? `An app can have at most ${MAX_ENTRIES} variables and secrets`
+    : null;
+}
+
+/**
+ * Encrypt a secret value for storage
+ * The appId and name are bound to the ciphertext.
+ */
+export function sealSecret(encryptionKey, appId, name, value) {
+  return encryptString(encryptionKey, value, `${appId}:${name}`);
+}
+
+/**
+ * Decrypt all stored secrets into { NAME: "value" }
+ * Only called right before the values are handed to the container.
+ */
+export async function unsealSecrets(encryptionKey, appId, sealed) {
+  const values = {};
+  for (const [name, box] of Object.entries(sealed)) {
+    values[name] = await decryptString(encryptionKey, box, `${appId}:${name}`);
+  }
+  return values;
+}
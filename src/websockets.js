@@ -0,0 +1,83 @@
+/**
+ * WebSocket Pass-Through
+ *
+ * A WebSocket upgrade to /app/{appId}/... is forwarded like any request and
+ * the container's app answers the handshake itself (subprotocols included -
+ * Sec-WebSocket-Protocol goes through both ways untouched). The Durable
+ * Object serving it - the app's, a replica or the canary - then relays the
+ * messages between the client and the container:
+ *
+ *   client ◀──▶ Worker ──▶ DO fetch() ──▶ container (101 + socket)
+ *     ▲                       │
+ *     └──── WebSocketPair ◀───┘ relayWebSocket(): messages both ways,
+ *                               a close on one side closes the other
+ *
+ * While a DO relays a socket, its container stays awake (sleepAfter is
+ * renewed instead of expiring), graceful restarts don't wait for it and
+ * the capacity tracker never evicts it.
+ *
+ * LIMITS:
+ * The app's DO counts the open connections of the whole app (all replicas
+ * and the canary) against the plan's webSockets limit (src/limits.js) - an
+ * upgrade over it gets a 429. The count is kept in memory like the rate
+ * bucket. The bytes of relayed messages are metered as bandwidth when the
+ * connection closes.
+ */
+
+// WebSocket close codes that may not be sent in a close frame
+const RESERVED_CLOSE_CODES = [1005, 1006, 1015];
+
+// Sent to the client when the container side went away without a close code
+const GOING_AWAY = 1001;
+
+/**
+ * Whether a request asks for a WebSocket upgrade
+ */
+export function isWebSocketUpgrade(request) {
+  return (request.headers.get("Upgrade") || "").toLowerCase() === "websocket";
+}
+
+/**
+ * Relay messages between a container's socket and a new client socket
+ * Returns the client end, for a 101 response. `onClose({ bytesIn, bytesOut })`
+ * is called once, when either side closes or fails.
+ */
+export function relayWebSocket(upstream, onClose) {
+  const [client, server] = Object.values(new WebSocketPair());
+  const bytes = { bytesIn: 0, bytesOut: 0 };
+  let closed = false;
+
+  const finish = (other, code, reason) => {
+    if (closed) return;
+    closed = true;
+    try {
+      other.close(RESERVED_CLOSE_CODES.includes(code) ? GOING_AWAY : code, reason);
+    } catch {
+      // Already closed
+    }
+    onClose(bytes);
+  };
+
+  const pipe = (from, to, counter) => {
+    from.addEventListener("message", (event) => {
+      bytes[counter] += messageSize(event.data);
+      try {
+        to.send(event.data);
+      } catch (error) {
+        finish(from, 1011, error.message);
+      }
+    });
+    from.addEventListener("close", (event) => finish(to, event.code, event.reason));
+    from.addEventListener("error", () => finish(to, 1011, "WebSocket error"));
+  };
+
+  upstream.accept();
+  server.accept();
+  pipe(server, upstream, "bytesIn");
+  pipe(upstream, server, "bytesOut");
+  return client;
+}
+
+function messageSize(data) {
+  return typeof data === "string" ? new TextEncoder().encode(data).length : data.byteLength;
+}
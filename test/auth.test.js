@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { timingSafeEqual } from "node:crypto";
+import { describe, it } from "node:test";
+
+import {
+  MAX_TOKEN_LIFETIME_SECONDS,
+  authorizeAdmin,
+  authorizeContainer,
+  generateContainerToken,
+  signApiToken,
+  validateTokenRequest,
+  verifyApiToken,
+} from "../src/auth.js";
+
+// A Workers extension - Node has the same check in node:crypto
+crypto.subtle.timingSafeEqual ??= (a, b) => timingSafeEqual(a, b);
+
+const SECRET = "test-secret";
+
+function withBearer(token) {
+  return new Request("https://platform.dev/app/my-app/_status", {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+}
+
+describe("signApiToken / verifyApiToken", () => {
+  const claims = { app: "my-app", jti: "tok_1", iat: 1_700_000_000_000, exp: null };
+
+  it("signs vat_<payload>.<signature> tokens", async () => {
+    const token = await signApiToken(SECRET, claims);
+    assert.match(token, /^vat_[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  });
+
+  it("returns the claims of a token it signed", async () => {
+    const token = await signApiToken(SECRET, claims);
+    assert.deepEqual(await verifyApiToken(SECRET, token), claims);
+  });
+
+  it("rejects a token signed with another secret", async () => {
+    const token = await signApiToken("other-secret", claims);
+    assert.equal(await verifyApiToken(SECRET, token), null);
+  });
+
+  it("rejects a token whose payload was changed", async () => {
+    const token = await signApiToken(SECRET, claims);
+    const [, signature] = token.split(".");
+    const forged = await signApiToken(SECRET, { ...claims, app: "other-app" });
+    assert.equal(await verifyApiToken(SECRET, `${forged.split(".")[0]}.${signature}`), null);
+  });
+
+  it("rejects an expired token", async () => {
+    const token = await signApiToken(SECRET, { ...claims, exp: Date.now() - 1000 });
+    assert.equal(await verifyApiToken(SECRET, token), null);
+  });
+
+  it("accepts a token that hasn't expired yet", async () => {
+    const token = await signApiToken(SECRET, { ...claims, exp: Date.now() + 60_000 });
+    assert.equal((await verifyApiToken(SECRET, token)).jti, "tok_1");
+  });
+
+  it("rejects malformed tokens", async () => {
+    assert.equal(await verifyApiToken(SECRET, "not-a-token"), null);
+    assert.equal(await verifyApiToken(SECRET, "vat_payload-only"), null);
+    assert.equal(await verifyApiToken(SECRET, "vat_.signature"), null);
+  });
+});
+
+describe("validateTokenRequest", () => {
+  it("accepts known scopes, with or without an expiry", () => {
+    assert.equal(validateTokenRequest({ scopes: ["status:read", "restart"] }), null);
+    assert.equal(validateTokenRequest({ scopes: ["deploy"], expiresIn: 86400 }), null);
+    assert.equal(validateTokenRequest({ scopes: ["deploy"], expiresIn: MAX_TOKEN_LIFETIME_SECONDS }), null);
+  });
+
+  it("rejects missing, empty, non-list and unknown scopes", () => {
+    assert.match(validateTokenRequest({}), /Scopes must be/);
+    assert.match(validateTokenRequest({ scopes: [] }), /Scopes must be/);
+    assert.match(validateTokenRequest({ scopes: "status:read" }), /Scopes must be/);
+    assert.match(validateTokenRequest({ scopes: { 0: "restart" } }), /Scopes must be/);
+    assert.match(validateTokenRequest({ scopes: ["status:read", "admin"] }), /Scopes must be/);
+  });
+
+  it("rejects an expiresIn that isn't a positive number up to the maximum", () => {
+    for (const expiresIn of [0, -60, "3600", Infinity, NaN, MAX_TOKEN_LIFETIME_SECONDS + 1]) {
+      assert.match(validateTokenRequest({ scopes: ["restart"], expiresIn }), /expiresIn must be/, String(expiresIn));
+    }
+  });
+});
+
+describe("generateContainerToken", () => {
+  it("generates distinct vct_ tokens", () => {
+    const first = generateContainerToken();
+    assert.match(first, /^vct_[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(first, generateContainerToken());
+  });
+});
+
+describe("authorizeAdmin", () => {
+  const env = { ADMIN_API_KEY: "admin-key" };
+
+  it("allows the admin key", () => {
+    assert.equal(authorizeAdmin(withBearer("admin-key"), env), null);
+  });
+
+  it("answers 401 without a token or with another one", () => {
+    assert.equal(authorizeAdmin(withBearer(null), env).status, 401);
+    assert.equal(authorizeAdmin(withBearer("admin-kez"), env).status, 401);
+  });
+
+  it("allows nothing when no admin key is configured", () => {
+    assert.equal(authorizeAdmin(withBearer("admin-key"), {}).status, 401);
+  });
+});
+
+describe("authorizeContainer", () => {
+  const appContainer = { checkContainerToken: async (token) => token === "vct_running" };
+
+  it("allows the running container's token and the admin key", async () => {
+    assert.equal(await authorizeContainer(withBearer("vct_running"), {}, appContainer), null);
+    assert.equal(await authorizeContainer(withBearer("admin-key"), { ADMIN_API_KEY: "admin-key" }, appContainer), null);
+  });
+
+  it("answers 401 for any other token", async () => {
+    assert.equal((await authorizeContainer(withBearer("vct_stopped"), {}, appContainer)).status, 401);
+    assert.equal((await authorizeContainer(withBearer(null), {}, appContainer)).status, 401);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CANARY_COOKIE, chooseVariant, shouldAbortCanary, validateCanary } from "../src/canary.js";
+
+const request = (headers = {}) => new Request("https://example.com/app/my-app/", { headers });
+
+describe("chooseVariant", () => {
+  it("sends a client to the canary when its cookie bucket is under the weight", () => {
+    const client = request({ Cookie: `theme=dark; ${CANARY_COOKIE}=9` });
+    assert.deepEqual(chooseVariant(client, "my-app", { weight: 10, stickiness: "cookie" }), { variant: "canary", cookie: null });
+    assert.deepEqual(chooseVariant(client, "my-app", { weight: 9, stickiness: "cookie" }), { variant: "stable", cookie: null });
+  });
+
+  it("assigns a new client a bucket cookie", () => {
+    const { variant, cookie } = chooseVariant(request(), "my-app", { weight: 100, stickiness: "cookie" }, "/app/my-app");
+    assert.equal(variant, "canary");
+    assert.match(cookie, new RegExp(`^${CANARY_COOKIE}=\\d{1,2}; Path=/app/my-app; Max-Age=604800; HttpOnly; SameSite=Lax$`));
+  });
+
+  it("never sends anyone to a canary at weight 0", () => {
+    for (let i = 0; i < 50; i++) {
+      assert.equal(chooseVariant(request(), "my-app", { weight: 0, stickiness: "cookie" }).variant, "stable");
+    }
+  });
+
+  it("ignores malformed bucket cookies", () => {
+    const { cookie } = chooseVariant(request({ Cookie: `${CANARY_COOKIE}=abc` }), "my-app", { weight: 50, stickiness: "cookie" });
+    assert.notEqual(cookie, null);
+  });
+
+  it("buckets by client IP without a cookie when stickiness is ip", () => {
+    const variants = new Set();
+    for (let i = 0; i < 20; i++) {
+      const result = chooseVariant(request({ "CF-Connecting-IP": "203.0.113.7" }), "my-app", { weight: 50, stickiness: "ip" });
+      assert.equal(result.cookie, null);
+      variants.add(result.variant);
+    }
+    assert.equal(variants.size, 1);
+  });
+
+  it("only moves clients to the canary as the weight rises", () => {
+    const ips = Array.from({ length: 200 }, (_, i) => `198.51.100.${i}`);
+    const onCanary = (weight) =>
+      ips.filter((ip) => chooseVariant(request({ "CF-Connecting-IP": ip }), "my-app", { weight, stickiness: "ip" }).variant === "canary");
+    const at20 = onCanary(20);
+    const at50 = onCanary(50);
+    assert.ok(at20.every((ip) => at50.includes(ip)));
+    assert.ok(at20.length > 10 && at20.length < at50.length);
+  });
+});
+
+describe("shouldAbortCanary", () => {
+  const stats = (canary, stable = { requests: 100, errors: 0, errorRate: 0 }) => ({ canary, stable });
+
+  it("waits for enough canary requests", () => {
+    assert.equal(shouldAbortCanary({ maxErrorRate: 0.05 }, stats({ requests: 19, errors: 19, errorRate: 1 })), false);
+    assert.equal(shouldAbortCanary({ maxErrorRate: 0.05 }, stats({ requests: 20, errors: 20, errorRate: 1 })), true);
+  });
+
+  it("aborts only when the canary is over the limit and worse than stable", () => {
+    const failing = { requests: 100, errors: 10, errorRate: 0.1 };
+    assert.equal(shouldAbortCanary({ maxErrorRate: 0.2 }, stats(failing)), false);
+    assert.equal(shouldAbortCanary({ maxErrorRate: 0.05 }, stats(failing, { requests: 100, errors: 20, errorRate: 0.2 })), false);
+    assert.equal(shouldAbortCanary({ maxErrorRate: 0.05 }, stats(failing)), true);
+  });
+
+  it("never aborts with maxErrorRate null", () => {
+    assert.equal(shouldAbortCanary({ maxErrorRate: null }, stats({ requests: 100, errors: 100, errorRate: 1 })), false);
+  });
+});
+
+describe("validateCanary", () => {
+  it("accepts a valid canary", () => {
+    assert.equal(validateCanary({ weight: 10, version: 3, stickiness: "ip", maxErrorRate: null }), null);
+    assert.equal(validateCanary({ weight: 0 }), null);
+  });
+
+  it("rejects invalid settings", () => {
+    assert.match(validateCanary({ weight: 101 }), /weight/);
+    assert.match(validateCanary({ weight: 5.5 }), /weight/);
+    assert.match(validateCanary({ weight: 5, version: 0 }), /version/);
+    assert.match(validateCanary({ weight: 5, stickiness: "header" }), /stickiness/);
+    assert.match(validateCanary({ weight: 5, maxErrorRate: 2 }), /maxErrorRate/);
+  });
+});
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { CapacityTracker } from "../src/capacity.js";
+import { RUNTIMES } from "../src/runtimes.js";
+import { createSqlStorage } from "./support/sqlite.js";
+
+const RUNTIME = "static";
+const LIMIT = RUNTIMES[RUNTIME].maxInstances;
+
+const MINUTE = 60 * 1000;
+
+let now;
+let tracker;
+let evictions;
+let refusing;
+let background;
+
+beforeEach(() => {
+  now = 1_000_000;
+  mock.method(Date, "now", () => now);
+
+  evictions = [];
+  refusing = new Set();
+  background = [];
+  const ctx = {
+    storage: { sql: createSqlStorage() },
+    waitUntil: (promise) => background.push(promise),
+  };
+  // The app DOs the tracker asks to stop a container
+  const apps = {
+    getByName: (name) => ({
+      evict: async () => {
+        evictions.push(name);
+        return !refusing.has(name);
+      },
+    }),
+  };
+  tracker = new CapacityTracker(ctx, { [RUNTIMES[RUNTIME].binding]: apps });
+});
+
+afterEach(() => mock.restoreAll());
+
+const request = (name, plan = "free") => ({ name, appId: name, runtime: RUNTIME, plan });
+
+// Fill the runtime's pool with running containers, `plans[i]` for the i-th
+async function fill(plans) {
+  for (const [i, plan] of plans.entries()) {
+    assert.equal((await tracker.reserve(request(`app-${i}`, plan))).granted, true);
+    await tracker.claim(request(`app-${i}`, plan));
+  }
+}
+
+// Let the background evictions finish
+async function settle() {
+  await Promise.all(background.splice(0));
+}
+
+describe("CapacityTracker.reserve", () => {
+  it("grants slots up to the runtime's limit, then queues", async () => {
+    await fill(Array(LIMIT).fill("pro"));
+    assert.deepEqual(await tracker.reserve(request("late-1", "pro")), { granted: false, position: 1, limit: LIMIT });
+    now += 1000;
+    assert.deepEqual(await tracker.reserve(request("late-2", "pro")), { granted: false, position: 2, limit: LIMIT });
+
+    const utilization = await tracker.getUtilization();
+    assert.deepEqual(utilization.pools[RUNTIME], { running: LIMIT, limit: LIMIT, queued: 2, utilization: 1 });
+  });
+
+  it("is idempotent for a container that already holds a slot", async () => {
+    await fill(Array(LIMIT).fill("pro"));
+    assert.deepEqual(await tracker.reserve(request("app-0", "pro")), { granted: true });
+  });
+
+  it("gives a freed slot to the head of the queue, higher plans first", async () => {
+    await fill(Array(LIMIT).fill("enterprise"));
+    await tracker.reserve(request("free-app", "free"));
+    await tracker.reserve(request("pro-app", "pro"));
+
+    await tracker.release("app-0");
+    assert.equal((await tracker.reserve(request("free-app", "free"))).granted, false);
+    assert.equal((await tracker.reserve(request("pro-app", "pro"))).granted, true);
+  });
+});
+
+describe("CapacityTracker eviction", () => {
+  it("evicts the longest-idle container of the lowest plan, in the background", async () => {
+    await fill(["pro", "free", "free", ...Array(LIMIT - 3).fill("enterprise")]);
+    now += MINUTE / 2;
+    await tracker.touch("app-1");
+    now += 2.5 * MINUTE;
+
+    // app-0 (pro) was idle as long, but app-2 is the longest-idle free app
+    assert.deepEqual(await tracker.reserve(request("newcomer", "enterprise")), {
+      granted: false,
+      position: 1,
+      limit: LIMIT,
+    });
+    assert.deepEqual(evictions, ["app-2"]);
+
+    await settle();
+    assert.equal((await tracker.reserve(request("newcomer", "enterprise"))).granted, true);
+  });
+
+  it("runs one eviction per runtime at a time", async () => {
+    await fill(Array(LIMIT).fill("free"));
+    now += 3 * MINUTE;
+    await tracker.reserve(request("first", "pro"));
+    await tracker.reserve(request("first", "pro"));
+    assert.equal(evictions.length, 1);
+  });
+
+  it("never evicts the same or a higher plan, or a recently active app", async () => {
+    await fill(Array(LIMIT).fill("pro"));
+    now += 3 * MINUTE;
+    await tracker.reserve(request("free-app", "free"));
+    await tracker.reserve(request("pro-app", "pro"));
+    assert.deepEqual(evictions, []);
+
+    await tracker.touch("app-0");
+    await tracker.reserve(request("enterprise-app", "enterprise"));
+    assert.deepEqual(evictions, ["app-1"]);
+  });
+
+  it("counts an app that refuses as active again", async () => {
+    await fill(Array(LIMIT).fill("free"));
+    refusing.add("app-0");
+    now += 3 * MINUTE;
+
+    await tracker.reserve(request("newcomer", "pro"));
+    await settle();
+    assert.equal((await tracker.reserve(request("newcomer", "pro"))).granted, false);
+    await settle();
+    assert.deepEqual(evictions, ["app-0", "app-1"]);
+  });
+});
+
+describe("CapacityTracker expiry", () => {
+  it("frees the slot of a container that stopped sending heartbeats", async () => {
+    await fill(Array(LIMIT).fill("pro"));
+    now += 4 * MINUTE;
+    for (let i = 1; i < LIMIT; i++) {
+      await tracker.heartbeat(`app-${i}`);
+    }
+    now += 2 * MINUTE;
+
+    // app-0's last heartbeat is 6 minutes old - past the 10 missed health checks
+    assert.equal((await tracker.reserve(request("newcomer", "pro"))).granted, true);
+    assert.equal((await tracker.getUtilization()).pools[RUNTIME].running, LIMIT);
+  });
+
+  it("drops queued starts that stopped polling", async () => {
+    await fill(Array(LIMIT).fill("pro"));
+    await tracker.reserve(request("gave-up", "enterprise"));
+    now += 15 * 1000;
+    assert.deepEqual(await tracker.reserve(request("waiting", "pro")), { granted: false, position: 1, limit: LIMIT });
+  });
+});
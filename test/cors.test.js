@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { applyCors, isPreflight, preflightResponse, resolveCorsPolicy, validateCorsPolicy } from "../src/cors.js";
+
+const preflight = (origin, method = "POST", requestHeaders) =>
+  new Request("https://platform.example/app/my-app/api", {
+    method: "OPTIONS",
+    headers: {
+      Origin: origin,
+      "Access-Control-Request-Method": method,
+      ...(requestHeaders && { "Access-Control-Request-Headers": requestHeaders }),
+    },
+  });
+
+const allowedOrigin = (policy, origin) => {
+  const headers = new Headers();
+  applyCors(headers, new Request("https://platform.example/", { headers: { Origin: origin } }), resolveCorsPolicy(policy));
+  return headers.get("Access-Control-Allow-Origin");
+};
+
+describe("origin matching", () => {
+  const policy = { allowOrigins: ["https://app.example.com", "https://*.example.org"] };
+
+  it("matches exact origins, case-insensitively", () => {
+    assert.equal(allowedOrigin(policy, "https://app.example.com"), "https://app.example.com");
+    assert.equal(allowedOrigin(policy, "https://APP.example.com"), "https://APP.example.com");
+    assert.equal(allowedOrigin(policy, "https://other.example.com"), null);
+  });
+
+  it("matches one or more subdomain labels for a wildcard, but not the apex", () => {
+    assert.equal(allowedOrigin(policy, "https://a.example.org"), "https://a.example.org");
+    assert.equal(allowedOrigin(policy, "https://a.b.example.org"), "https://a.b.example.org");
+    assert.equal(allowedOrigin(policy, "https://example.org"), null);
+    assert.equal(allowedOrigin(policy, "https://evil-example.org"), null);
+    assert.equal(allowedOrigin(policy, "https://a.example.org.evil.com"), null);
+  });
+
+  it("requires the same scheme and port", () => {
+    assert.equal(allowedOrigin(policy, "http://app.example.com"), null);
+    assert.equal(allowedOrigin(policy, "https://app.example.com:8443"), null);
+  });
+
+  it('answers any origin with "*" for the "*" policy', () => {
+    assert.equal(allowedOrigin({ allowOrigins: ["*"] }, "https://anything.test"), "*");
+  });
+
+  it("removes the app's own Allow-Origin for a disallowed origin", () => {
+    const headers = new Headers({ "Access-Control-Allow-Origin": "*" });
+    applyCors(headers, new Request("https://platform.example/", { headers: { Origin: "https://evil.test" } }), resolveCorsPolicy(policy));
+    assert.equal(headers.get("Access-Control-Allow-Origin"), null);
+    assert.equal(headers.get("Vary"), "Origin");
+  });
+
+  it("leaves responses alone without a policy", () => {
+    const headers = new Headers({ "Access-Control-Allow-Origin": "*" });
+    applyCors(headers, new Request("https://platform.example/", { headers: { Origin: "https://evil.test" } }), resolveCorsPolicy({}));
+    assert.equal(headers.get("Access-Control-Allow-Origin"), "*");
+  });
+});
+
+describe("preflights", () => {
+  const policy = resolveCorsPolicy({ allowOrigins: ["https://app.example.com"], allowCredentials: true, maxAge: 60 });
+
+  it("recognises preflight requests", () => {
+    assert.equal(isPreflight(preflight("https://app.example.com")), true);
+    assert.equal(isPreflight(new Request("https://platform.example/", { method: "OPTIONS" })), false);
+  });
+
+  it("answers an allowed preflight with 204", () => {
+    const response = preflightResponse(preflight("https://app.example.com", "put", "Content-Type, X-Trace"), policy);
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://app.example.com");
+    assert.equal(response.headers.get("Access-Control-Allow-Credentials"), "true");
+    assert.equal(response.headers.get("Access-Control-Allow-Headers"), "Content-Type, X-Trace");
+    assert.equal(response.headers.get("Access-Control-Max-Age"), "60");
+  });
+
+  it("rejects a disallowed origin, method or header with 403", async () => {
+    assert.equal(preflightResponse(preflight("https://evil.test"), policy).status, 403);
+    assert.equal(preflightResponse(preflight("https://app.example.com", "TRACE"), policy).status, 403);
+    const strict = resolveCorsPolicy({ allowOrigins: ["https://app.example.com"], allowHeaders: ["Content-Type"] });
+    const response = preflightResponse(preflight("https://app.example.com", "POST", "content-type, X-Trace"), strict);
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).message, "Header X-Trace is not allowed");
+  });
+});
+
+describe("validateCorsPolicy", () => {
+  it("accepts a valid policy", () => {
+    assert.equal(validateCorsPolicy({ allowOrigins: ["https://*.example.com", "http://localhost:3000"], maxAge: 0 }), null);
+  });
+
+  it("rejects invalid policies", () => {
+    assert.match(validateCorsPolicy([]), /must be an object/);
+    assert.match(validateCorsPolicy({ origins: [] }), /Unknown CORS setting "origins"/);
+    assert.match(validateCorsPolicy({ allowOrigins: "https://a.com" }), /allowOrigins must be a list/);
+    assert.match(validateCorsPolicy({ allowOrigins: ["example.com"] }), /Invalid origin "example.com"/);
+    assert.match(validateCorsPolicy({ allowOrigins: ["https://a.*.com"] }), /Invalid origin/);
+    assert.match(validateCorsPolicy({ allowHeaders: ["X Bad"] }), /Invalid method or header name/);
+    assert.match(validateCorsPolicy({ allowOrigins: ["*"], allowCredentials: true }), /allowCredentials can't be used/);
+    assert.match(validateCorsPolicy({ maxAge: 86401 }), /maxAge/);
+  });
+});
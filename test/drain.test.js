@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { RequestTracker, waitFor } from "../src/drain.js";
+
+describe("RequestTracker", () => {
+  it("is idle with nothing in flight", async () => {
+    assert.equal(await new RequestTracker().whenIdle(10), true);
+  });
+
+  it("waits for in-flight requests to end", async () => {
+    const tracker = new RequestTracker();
+    tracker.begin();
+    tracker.begin();
+    const idle = tracker.whenIdle(1000);
+
+    tracker.end();
+    setTimeout(() => tracker.end(), 20);
+    assert.equal(await idle, true);
+    assert.equal(tracker.inFlight, 0);
+  });
+
+  it("gives up after its timeout", async () => {
+    const tracker = new RequestTracker();
+    tracker.begin();
+    const started = Date.now();
+    assert.equal(await tracker.whenIdle(50), false);
+    assert.ok(Date.now() - started >= 45);
+    assert.equal(tracker.idleWaiters.size, 0);
+  });
+
+  it("keeps a request in flight until its body has been sent", async () => {
+    const tracker = new RequestTracker();
+    tracker.begin();
+    const response = tracker.track(new Response("hello"));
+    assert.equal(tracker.inFlight, 1);
+
+    assert.equal(await response.text(), "hello");
+    assert.equal(await tracker.whenIdle(1000), true);
+  });
+
+  it("ends a request without a body right away", () => {
+    const tracker = new RequestTracker();
+    tracker.begin();
+    tracker.track(new Response(null, { status: 204 }));
+    assert.equal(tracker.inFlight, 0);
+  });
+});
+
+describe("waitFor", () => {
+  it("resolves true once the check passes", async () => {
+    let calls = 0;
+    assert.equal(await waitFor(() => ++calls === 2, 1000), true);
+    assert.equal(calls, 2);
+  });
+
+  it("resolves false when the timeout passes first", async () => {
+    assert.equal(await waitFor(async () => false, 10), false);
+  });
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { INITIAL_HEALTH_STATE, applyProbe, healthSummary, resetRecovery } from "../src/health.js";
+
+const OK = { healthy: true, status: 200, latencyMs: 3 };
+const FAILED = { healthy: false, status: 503, latencyMs: 3 };
+
+const SECOND = 1000;
+
+// Apply probes one at a time, `every` ms apart - returns the final state and
+// the times at which a restart was asked for
+function probe(state, probes, { start = 0, every = 30 * SECOND } = {}) {
+  const restarts = [];
+  let now = start;
+  for (const result of probes) {
+    const applied = applyProbe(state, result, now);
+    state = applied.state;
+    if (applied.restart) restarts.push(now);
+    now += every;
+  }
+  return { state, restarts, now };
+}
+
+const failures = (count) => Array(count).fill(FAILED);
+
+describe("applyProbe", () => {
+  it("counts consecutive failures and resets on a healthy probe", () => {
+    let { state } = probe(INITIAL_HEALTH_STATE, failures(2));
+    assert.equal(state.consecutiveFailures, 2);
+    ({ state } = probe(state, [OK]));
+    assert.equal(state.consecutiveFailures, 0);
+    assert.deepEqual(state.restarts, []);
+  });
+
+  it("restarts on the third consecutive failure", () => {
+    const { state, restarts } = probe(INITIAL_HEALTH_STATE, failures(3));
+    assert.deepEqual(restarts, [60 * SECOND]);
+    assert.equal(state.consecutiveFailures, 0);
+    assert.deepEqual(state.history.map((event) => event.type), ["unhealthy", "restart"]);
+  });
+
+  it("doubles the backoff between automatic restarts", () => {
+    // Probes every second: the threshold is reached again well before the backoff is over
+    const { restarts } = probe(INITIAL_HEALTH_STATE, failures(60), { every: SECOND });
+    assert.deepEqual(restarts.slice(0, 3), [2 * SECOND, 12 * SECOND, 32 * SECOND]);
+  });
+
+  it("opens the circuit after a crash loop and stops restarting", () => {
+    // Restarts at 10s, 25s, 45s, 85s and 165s - the next one trips the breaker
+    const { state, restarts, now } = probe(INITIAL_HEALTH_STATE, failures(200), { every: 5 * SECOND });
+    assert.deepEqual(restarts, [10, 25, 45, 85, 165].map((seconds) => seconds * SECOND));
+    assert.ok(state.circuitOpenUntil > now);
+    assert.equal(state.history.filter((event) => event.type === "circuit-open").length, 1);
+    assert.equal(healthSummary(state, true, now).circuit, "open");
+  });
+
+  it("closes the circuit after the cooldown and restarts again", () => {
+    const tripped = probe(INITIAL_HEALTH_STATE, failures(200), { every: 5 * SECOND });
+    const { state, restarts } = probe(tripped.state, failures(3), { start: tripped.state.circuitOpenUntil });
+    assert.equal(restarts.length, 1);
+    assert.equal(state.circuitOpenUntil, null);
+    assert.ok(state.history.some((event) => event.type === "circuit-closed"));
+  });
+
+  it("records recovery once probes pass again", () => {
+    // Restarted at 2s, failing again while the backoff runs, then healthy
+    const { state } = probe(INITIAL_HEALTH_STATE, [...failures(6), OK], { every: SECOND });
+    assert.deepEqual(state.history.map((event) => event.type), ["unhealthy", "restart", "unhealthy", "recovered"]);
+  });
+});
+
+describe("resetRecovery", () => {
+  it("closes an open circuit and forgets the backoff", () => {
+    const { state, now } = probe(INITIAL_HEALTH_STATE, failures(200), { every: 5 * SECOND });
+    const reset = resetRecovery(state, now);
+    assert.equal(reset.circuitOpenUntil, null);
+    assert.equal(reset.nextRestartAt, null);
+    assert.deepEqual(reset.restarts, []);
+    assert.equal(probe(reset, failures(3), { start: now }).restarts.length, 1);
+  });
+});
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import {
+  MAX_KEY_BYTES,
+  MAX_VALUE_BYTES,
+  createKvTable,
+  kvDelete,
+  kvGet,
+  kvIncrement,
+  kvList,
+  kvPut,
+  validateKvIncrement,
+  validateKvValue,
+  validateKvWrite,
+} from "../src/kv.js";
+import { createSqlStorage } from "./support/sqlite.js";
+
+const bytes = (text) => new TextEncoder().encode(text);
+const text = (entry) => new TextDecoder().decode(entry.value);
+
+let sql;
+beforeEach(() => {
+  sql = createSqlStorage();
+  createKvTable(sql);
+});
+
+describe("validateKvWrite / validateKvValue", () => {
+  it("limits keys to MAX_KEY_BYTES bytes", () => {
+    assert.equal(validateKvWrite("k".repeat(MAX_KEY_BYTES)), null);
+    assert.match(validateKvWrite("k".repeat(MAX_KEY_BYTES + 1)), /Keys must be/);
+    // Bytes, not characters
+    assert.match(validateKvWrite("é".repeat(MAX_KEY_BYTES / 2 + 1)), /Keys must be/);
+    assert.match(validateKvWrite(""), /Keys must be/);
+  });
+
+  it("limits values to MAX_VALUE_BYTES bytes", () => {
+    assert.equal(validateKvValue(new ArrayBuffer(MAX_VALUE_BYTES)), null);
+    assert.match(validateKvValue(new ArrayBuffer(MAX_VALUE_BYTES + 1)), /at most 128 KB/);
+  });
+
+  it("takes a whole number of seconds as ttl", () => {
+    assert.equal(validateKvWrite("k", "3600"), null);
+    assert.match(validateKvWrite("k", "0"), /ttl must be/);
+    assert.match(validateKvWrite("k", "1.5"), /ttl must be/);
+  });
+});
+
+describe("kvPut / kvGet / kvDelete", () => {
+  it("stores a value with its content type", () => {
+    assert.deepEqual(kvPut(sql, "greeting", bytes("hello"), { contentType: "text/plain" }, 1000), {
+      success: true,
+      expiresAt: null,
+    });
+    const entry = kvGet(sql, "greeting", 2000);
+    assert.equal(text(entry), "hello");
+    assert.equal(entry.contentType, "text/plain");
+    assert.equal(entry.updatedAt, 1000);
+  });
+
+  it("expires a key after its ttl", () => {
+    const { expiresAt } = kvPut(sql, "session", bytes("abc"), { ttl: "60" }, 1000);
+    assert.equal(expiresAt, 61_000);
+    assert.equal(text(kvGet(sql, "session", 60_999)), "abc");
+    assert.equal(kvGet(sql, "session", 61_000), null);
+    assert.deepEqual(kvList(sql, {}, 61_000).keys, []);
+    // Deleting an expired key doesn't count as deleting anything
+    assert.equal(kvDelete(sql, "session", 61_000), false);
+  });
+
+  it("deletes a key", () => {
+    kvPut(sql, "k", bytes("v"), {}, 1000);
+    assert.equal(kvDelete(sql, "k", 2000), true);
+    assert.equal(kvGet(sql, "k", 2000), null);
+    assert.equal(kvDelete(sql, "k", 2000), false);
+  });
+});
+
+describe("kvList", () => {
+  it("lists keys by prefix, in pages", () => {
+    for (const key of ["user:3", "user:1", "order:1", "user:2"]) {
+      kvPut(sql, key, bytes(key), {}, 1000);
+    }
+    const first = kvList(sql, { prefix: "user:", limit: 2 }, 2000);
+    assert.deepEqual(first.keys.map((entry) => entry.key), ["user:1", "user:2"]);
+    const second = kvList(sql, { prefix: "user:", limit: 2, cursor: first.nextCursor }, 2000);
+    assert.deepEqual(second.keys.map((entry) => entry.key), ["user:3"]);
+    assert.equal(second.nextCursor, null);
+  });
+});
+
+describe("kvIncrement", () => {
+  it("counts a missing key from 0", () => {
+    assert.deepEqual(kvIncrement(sql, "visits", 1, {}, 1000), { success: true, value: 1 });
+    assert.deepEqual(kvIncrement(sql, "visits", 5, {}, 1000), { success: true, value: 6 });
+    assert.deepEqual(kvIncrement(sql, "visits", -2, {}, 1000), { success: true, value: 4 });
+    assert.equal(text(kvGet(sql, "visits", 1000)), "4");
+  });
+
+  it("never loses an update between increments", () => {
+    // Every increment reads and writes in one synchronous call, like the DO runs it
+    for (let i = 0; i < 100; i++) {
+      kvIncrement(sql, "hits", 1, {}, 1000 + i);
+    }
+    assert.equal(text(kvGet(sql, "hits", 2000)), "100");
+  });
+
+  it("keeps an existing key's expiry, and starts an expired one over", () => {
+    kvIncrement(sql, "minute", 1, { ttl: "60" }, 1000);
+    kvIncrement(sql, "minute", 1, { ttl: "3600" }, 30_000);
+    assert.equal(kvGet(sql, "minute", 30_000).expiresAt, 61_000);
+
+    assert.deepEqual(kvIncrement(sql, "minute", 1, { ttl: "60" }, 61_000), { success: true, value: 1 });
+    assert.equal(kvGet(sql, "minute", 61_000).expiresAt, 121_000);
+  });
+
+  it("refuses keys that don't hold an integer, and overflow", () => {
+    kvPut(sql, "name", bytes("alice"), {}, 1000);
+    assert.match(kvIncrement(sql, "name", 1, {}, 1000).error, /doesn't hold an integer/);
+    kvPut(sql, "big", bytes(String(Number.MAX_SAFE_INTEGER)), {}, 1000);
+    assert.match(kvIncrement(sql, "big", 1, {}, 1000).error, /would overflow/);
+  });
+
+  it("takes whole increments only", () => {
+    assert.equal(validateKvIncrement(-3), null);
+    assert.match(validateKvIncrement(1.5), /whole number/);
+    assert.match(validateKvIncrement(NaN), /whole number/);
+  });
+});
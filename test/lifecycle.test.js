@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { isWarm, nextCronTime, nextWarmUp, parseCron, parseDuration } from "../src/lifecycle.js";
+
+const at = (iso) => Date.parse(iso);
+
+describe("parseCron", () => {
+  it("expands *, lists, ranges and steps", () => {
+    const cron = parseCron("*/15 9-11 1,15 * 1-5");
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 10, 11]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.equal(cron.months.size, 12);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, false);
+    assert.equal(cron.anyWeekday, false);
+  });
+
+  it("steps from a start value to the end of the range", () => {
+    assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+  });
+
+  it("treats day of week 7 as Sunday", () => {
+    assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+    assert.deepEqual([...parseCron("0 0 * * 5-7").weekdays].sort(), [0, 5, 6]);
+  });
+
+  it("rejects invalid expressions", () => {
+    for (const expression of ["* * * *", "* * * * * *", "60 * * * *", "* 24 * * *", "* * 0 * *", "* * * 13 *", "5-1 * * * *", "*/0 * * * *", "a * * * *", 42]) {
+      assert.equal(parseCron(expression), null, String(expression));
+    }
+  });
+});
+
+describe("nextCronTime", () => {
+  it("finds the next matching minute", () => {
+    assert.equal(nextCronTime(parseCron("*/15 * * * *"), at("2025-01-06T10:07:30Z")), at("2025-01-06T10:15:00Z"));
+  });
+
+  it("returns `after` itself when it matches", () => {
+    assert.equal(nextCronTime(parseCron("0 9 * * *"), at("2025-01-06T09:00:00Z")), at("2025-01-06T09:00:00Z"));
+  });
+
+  it("skips to the next weekday", () => {
+    // Saturday 2025-01-04 → Monday 2025-01-06 09:00
+    assert.equal(nextCronTime(parseCron("0 9 * * 1-5"), at("2025-01-04T12:00:00Z")), at("2025-01-06T09:00:00Z"));
+  });
+
+  it("rolls over months and years", () => {
+    assert.equal(nextCronTime(parseCron("30 6 1 * *"), at("2025-12-15T00:00:00Z")), at("2026-01-01T06:30:00Z"));
+  });
+
+  it("matches either day field when both are restricted", () => {
+    // The 13th, or any Friday - Friday 2025-01-10 comes first
+    assert.equal(nextCronTime(parseCron("0 0 13 * 5"), at("2025-01-08T00:00:00Z")), at("2025-01-10T00:00:00Z"));
+  });
+
+  it("returns null when nothing matches within a year", () => {
+    assert.equal(nextCronTime(parseCron("0 0 31 2 *"), at("2025-01-01T00:00:00Z")), null);
+  });
+});
+
+describe("parseDuration", () => {
+  it("parses seconds, minutes and hours", () => {
+    assert.equal(parseDuration("30s"), 30);
+    assert.equal(parseDuration("10m"), 600);
+    assert.equal(parseDuration("2h"), 7200);
+  });
+
+  it("rejects anything else", () => {
+    assert.equal(parseDuration("10"), null);
+    assert.equal(parseDuration("1d"), null);
+    assert.equal(parseDuration(null), null);
+  });
+});
+
+describe("warm windows", () => {
+  const policy = { alwaysOn: false, warmWindows: [{ cron: "0 9 * * 1-5", duration: "9h" }] };
+
+  it("is warm inside a window and cold outside it", () => {
+    assert.equal(isWarm(policy, at("2025-01-06T08:59:00Z")), false);
+    assert.equal(isWarm(policy, at("2025-01-06T09:00:00Z")), true);
+    assert.equal(isWarm(policy, at("2025-01-06T17:59:00Z")), true);
+    assert.equal(isWarm(policy, at("2025-01-06T18:00:00Z")), false);
+    assert.equal(isWarm(policy, at("2025-01-04T12:00:00Z")), false);
+  });
+
+  it("is always warm with alwaysOn", () => {
+    assert.equal(isWarm({ alwaysOn: true, warmWindows: [] }, at("2025-01-04T12:00:00Z")), true);
+  });
+
+  it("schedules the next warm-up", () => {
+    assert.equal(nextWarmUp(policy, at("2025-01-06T12:00:00Z")), at("2025-01-07T09:00:00Z"));
+    assert.equal(nextWarmUp({ alwaysOn: false, warmWindows: [] }), null);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { currentQuota, exhaustedQuota, resolveLimits, takeToken, validateLimitsUpdate } from "../src/limits.js";
+
+describe("takeToken", () => {
+  const limits = { rps: 2, burst: 3 };
+
+  it("allows a burst, then denies with retryAfter", () => {
+    let bucket = null;
+    for (let i = 0; i < 3; i++) {
+      const result = takeToken(bucket, limits, 1000);
+      assert.equal(result.allowed, true);
+      bucket = result.bucket;
+    }
+    const denied = takeToken(bucket, limits, 1000);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfter, 1);
+  });
+
+  it("refills at rps tokens a second, up to burst", () => {
+    const empty = { tokens: 0, updatedAt: 1000 };
+    assert.equal(takeToken(empty, limits, 1250).allowed, false);
+    const refilled = takeToken(empty, limits, 1500);
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.bucket.tokens, 0);
+    assert.equal(takeToken(empty, limits, 60_000).bucket.tokens, 2);
+  });
+
+  it("defaults burst to rps", () => {
+    const { bucket } = takeToken(null, { rps: 5, burst: null }, 0);
+    assert.equal(bucket.tokens, 4);
+  });
+
+  it("always allows without an rps limit", () => {
+    assert.deepEqual(takeToken({ tokens: 0, updatedAt: 0 }, { rps: null, burst: null }), { allowed: true, bucket: null });
+  });
+});
+
+describe("quotas", () => {
+  const now = Date.parse("2025-03-31T23:00:00Z");
+
+  it("keeps counters within the same day and month", () => {
+    const stored = { day: "2025-03-31", dailyCount: 7, month: "2025-03", monthlyCount: 70 };
+    assert.deepEqual(currentQuota(stored, now), stored);
+  });
+
+  it("rolls the counters over at the day and month boundaries", () => {
+    const stored = { day: "2025-03-31", dailyCount: 7, month: "2025-03", monthlyCount: 70 };
+    assert.deepEqual(currentQuota(stored, Date.parse("2025-04-01T00:00:00Z")), {
+      day: "2025-04-01",
+      dailyCount: 0,
+      month: "2025-04",
+      monthlyCount: 0,
+    });
+    assert.equal(currentQuota(null, now).dailyCount, 0);
+  });
+
+  it("reports the exhausted quota and when it resets", () => {
+    const limits = { dailyRequests: 10, monthlyRequests: 100 };
+    assert.equal(exhaustedQuota({ dailyCount: 9, monthlyCount: 99 }, limits, now), null);
+    assert.deepEqual(exhaustedQuota({ dailyCount: 10, monthlyCount: 50 }, limits, now), { limit: "daily", retryAfter: 3600 });
+    assert.deepEqual(exhaustedQuota({ dailyCount: 10, monthlyCount: 100 }, limits, now), { limit: "monthly", retryAfter: 3600 });
+    assert.equal(exhaustedQuota({ dailyCount: 1e9, monthlyCount: 1e9 }, { dailyRequests: null, monthlyRequests: null }, now), null);
+  });
+});
+
+describe("plan limits", () => {
+  it("applies overrides on top of the plan", () => {
+    assert.equal(resolveLimits("pro", { rps: 5 }).rps, 5);
+    assert.equal(resolveLimits("pro").burst, 200);
+    assert.deepEqual(resolveLimits("unknown"), resolveLimits("free"));
+  });
+
+  it("validates updates", () => {
+    assert.equal(validateLimitsUpdate({ plan: "pro", limits: { rps: 5, dailyRequests: null } }), null);
+    assert.match(validateLimitsUpdate({ plan: "gold" }), /Plan must be one of/);
+    assert.match(validateLimitsUpdate({ limits: { bogus: 1 } }), /Unknown limit "bogus"/);
+    assert.match(validateLimitsUpdate({ limits: { rps: 0 } }), /positive integer/);
+    assert.match(validateLimitsUpdate({ limits: { rps: 1.5 } }), /positive integer/);
+    assert.match(validateLimitsUpdate({ limits: null }), /limits must be an object/);
+    assert.match(validateLimitsUpdate({ limits: [5] }), /limits must be an object/);
+  });
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeCursor, encodeCursor, readPage } from "../src/pagination.js";
+
+describe("encodeCursor / decodeCursor", () => {
+  it("round-trips text and numeric cursors", () => {
+    assert.equal(decodeCursor(encodeCursor("my-app")), "my-app");
+    assert.equal(decodeCursor(encodeCursor(1234), { numeric: true }), 1234);
+  });
+
+  it("treats a missing or undecodable cursor as no cursor", () => {
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor(""), null);
+    assert.equal(decodeCursor("!!!"), null);
+    assert.equal(decodeCursor(encodeCursor("12abc"), { numeric: true }), null);
+    assert.equal(decodeCursor(encodeCursor("-5"), { numeric: true }), null);
+  });
+});
+
+describe("readPage", () => {
+  const sql = (rows) => ({ exec: (query, ...params) => ({ toArray: () => rows.slice(0, params.at(-1)) }) });
+  const rows = [{ id: 5 }, { id: 4 }, { id: 3 }];
+
+  it("returns a cursor to the last row when there are more", () => {
+    const page = readPage(sql(rows), "SELECT id FROM t ORDER BY id DESC LIMIT ?", [], {
+      limit: 2, defaultSize: 50, maxSize: 200, cursorColumn: "id",
+    });
+    assert.deepEqual(page.rows, [{ id: 5 }, { id: 4 }]);
+    assert.equal(decodeCursor(page.nextCursor, { numeric: true }), 4);
+  });
+
+  it("returns no cursor on the last page", () => {
+    const page = readPage(sql(rows), "SELECT id FROM t ORDER BY id DESC LIMIT ?", [], {
+      limit: null, defaultSize: 50, maxSize: 200, cursorColumn: "id",
+    });
+    assert.equal(page.rows.length, 3);
+    assert.equal(page.nextCursor, null);
+  });
+});
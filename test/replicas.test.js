@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  DEFAULT_SCALING_POLICY,
+  RATE_WINDOW_MS,
+  observeRequest,
+  pickReplica,
+  readReplicaCookie,
+  replicaName,
+  validateScalingPolicy,
+} from "../src/replicas.js";
+
+const policy = (overrides) => ({ ...DEFAULT_SCALING_POLICY, minReplicas: 1, maxReplicas: 4, ...overrides });
+
+// `count` requests spread evenly over one rate window, starting at `start`
+function observeWindow(state, scaling, count, start) {
+  let rescaled = false;
+  for (let i = 0; i < count; i++) {
+    const observed = observeRequest(state, scaling, start + Math.floor((i * RATE_WINDOW_MS) / count));
+    state = observed.state;
+    rescaled ||= observed.rescaled;
+  }
+  return { state, rescaled };
+}
+
+describe("pickReplica", () => {
+  it("takes turns round-robin", () => {
+    const picks = [0, 1, 2, 3, 4, 5].map((cursor) => pickReplica(policy(), 3, { cursor }));
+    assert.deepEqual(picks, [0, 1, 2, 0, 1, 2]);
+  });
+
+  it("picks the replica with the fewest in-flight requests when least-loaded", () => {
+    const leastLoaded = policy({ routing: "least-loaded" });
+    assert.equal(pickReplica(leastLoaded, 3, { loads: [4, 1, 2] }), 1);
+    assert.equal(pickReplica(leastLoaded, 3, { loads: [2, 2] }), 2);
+    // Ties go to the lowest index
+    assert.equal(pickReplica(leastLoaded, 3, { loads: [1, 1, 1] }), 0);
+  });
+
+  it("keeps a client on its replica with affinity", () => {
+    const sticky = policy({ affinity: true });
+    assert.equal(pickReplica(sticky, 3, { affinity: 2, cursor: 0 }), 2);
+    // A replica that no longer exists is ignored
+    assert.equal(pickReplica(sticky, 2, { affinity: 2, cursor: 1 }), 1);
+    // Without affinity, the cookie doesn't matter
+    assert.equal(pickReplica(policy(), 3, { affinity: 2, cursor: 0 }), 0);
+  });
+
+  it("reads the affinity cookie", () => {
+    const request = new Request("https://platform.dev/app/my-app/", { headers: { Cookie: "theme=dark; vibe_replica=2" } });
+    assert.equal(readReplicaCookie(request), 2);
+    assert.equal(readReplicaCookie(new Request("https://platform.dev/app/my-app/")), null);
+  });
+});
+
+describe("observeRequest", () => {
+  const scaling = policy({ targetRps: 1 });
+
+  it("starts at minReplicas and only rescales when a window closes", () => {
+    const { state, rescaled } = observeWindow(null, scaling, 10, 0);
+    assert.equal(state.replicas, 1);
+    assert.equal(rescaled, false);
+  });
+
+  it("scales up at once to ceil(rate / targetRps), within maxReplicas", () => {
+    // 75 requests in 30s = 2.5 rps → 3 replicas
+    let { state } = observeWindow(null, scaling, 75, 0);
+    let observed = observeRequest(state, scaling, RATE_WINDOW_MS);
+    assert.equal(observed.rescaled, true);
+    assert.equal(observed.state.replicas, 3);
+
+    // 10 rps wants 10 replicas, capped at maxReplicas
+    ({ state } = observeWindow(null, scaling, 300, 0));
+    observed = observeRequest(state, scaling, RATE_WINDOW_MS);
+    assert.equal(observed.state.replicas, 4);
+  });
+
+  it("scales down only after the lower rate has lasted 5 minutes", () => {
+    let { state } = observeWindow(null, scaling, 90, 0);
+    // Traffic drops to almost nothing, first seen when the window ending at
+    // 60s closes - still 3 replicas for 5 minutes after that
+    const lowSince = 2 * RATE_WINDOW_MS;
+    let now = RATE_WINDOW_MS;
+    for (; now < lowSince + 5 * 60 * 1000; now += RATE_WINDOW_MS) {
+      ({ state } = observeWindow(state, scaling, 1, now));
+      assert.equal(state.replicas, 3, `at ${now / 1000}s`);
+    }
+    ({ state } = observeWindow(state, scaling, 1, now));
+    assert.equal(state.replicas, 1);
+  });
+
+  it("never scales below minReplicas", () => {
+    const floor = policy({ minReplicas: 2, targetRps: 1 });
+    const { state } = observeWindow(null, floor, 1, 0);
+    assert.equal(observeRequest(state, floor, 10 * 60 * 1000).state.replicas, 2);
+  });
+});
+
+describe("validateScalingPolicy", () => {
+  it("accepts a valid policy and rejects out-of-range values", () => {
+    assert.equal(validateScalingPolicy({ maxReplicas: 3, routing: "least-loaded", affinity: true }), null);
+    assert.match(validateScalingPolicy({ maxReplicas: 11 }), /maxReplicas must be/);
+    assert.match(validateScalingPolicy({ minReplicas: 3, maxReplicas: 2 }), /can't be more than/);
+    assert.match(validateScalingPolicy({ targetRps: 0 }), /targetRps/);
+    assert.match(validateScalingPolicy({ routing: "random" }), /routing must be/);
+  });
+});
+
+describe("replicaName", () => {
+  it("names replica 0 after the app", () => {
+    assert.equal(replicaName("my-app", 0), "my-app");
+    assert.equal(replicaName("my-app", 2), "my-app#2");
+  });
+});
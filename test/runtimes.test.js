@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+
+import { RUNTIMES } from "../src/runtimes.js";
+
+// The [[table]] entries of wrangler.toml - enough TOML for its flat
+// key = "string" | number pairs
+function readTables(name) {
+  const toml = readFileSync(new URL("../wrangler.toml", import.meta.url), "utf8");
+  return toml
+    .split(/^\[\[/m)
+    .filter((section) => section.startsWith(`${name}]]`))
+    .map((section) => {
+      const table = {};
+      for (const [, key, value] of section.matchAll(/^(\w+)\s*=\s*(.+?)\s*$/gm)) {
+        table[key] = value.startsWith('"') ? JSON.parse(value) : Number(value);
+      }
+      return table;
+    });
+}
+
+describe("runtimes", () => {
+  const bindings = readTables("durable_objects.bindings");
+  const containers = readTables("containers");
+
+  for (const [runtime, { binding, maxInstances }] of Object.entries(RUNTIMES)) {
+    it(`${runtime} matches its container in wrangler.toml`, () => {
+      const className = bindings.find((entry) => entry.name === binding)?.class_name;
+      assert.ok(className, `No Durable Object binding ${binding} in wrangler.toml`);
+      const container = containers.find((entry) => entry.class_name === className);
+      assert.ok(container, `No [[containers]] entry for ${className} in wrangler.toml`);
+      assert.equal(maxInstances, container.max_instances, `maxInstances of ${runtime} differs from max_instances of ${className}`);
+    });
+  }
+});
@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { describe, it } from "node:test";
+
+import { CONNECTION_RETRY_AFTER_SECONDS, exceededConnectionLimit, resolveLimits } from "../src/limits.js";
+import { expectsStream, isStreamingResponse, withIdleTimeout } from "../src/streaming.js";
+
+// A body the test writes to chunk by chunk; `cancelled` is set once the
+// reading side gives up on it
+function controlledBody() {
+  const body = { cancelled: null };
+  body.stream = new ReadableStream({
+    start(controller) {
+      body.controller = controller;
+    },
+    cancel(reason) {
+      body.cancelled = reason;
+    },
+  });
+  return body;
+}
+
+async function readAll(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe("expectsStream", () => {
+  const accepting = (accept) => new Request("https://platform.dev/app/my-app/events", { headers: { Accept: accept } });
+
+  it("detects requests for SSE and NDJSON", () => {
+    assert.equal(expectsStream(accepting("text/event-stream")), true);
+    assert.equal(expectsStream(accepting("application/json, application/x-ndjson;q=0.9")), true);
+    assert.equal(expectsStream(accepting("Text/Event-Stream")), true);
+  });
+
+  it("ignores ordinary requests", () => {
+    assert.equal(expectsStream(accepting("text/html,application/xhtml+xml")), false);
+    assert.equal(expectsStream(new Request("https://platform.dev/app/my-app/")), false);
+  });
+});
+
+describe("isStreamingResponse", () => {
+  it("detects streaming content types and X-Vibe-Stream: 1", () => {
+    assert.equal(isStreamingResponse(new Response("data: hi\n\n", { headers: { "Content-Type": "text/event-stream; charset=utf-8" } })), true);
+    assert.equal(isStreamingResponse(new Response("{}\n", { headers: { "Content-Type": "application/x-ndjson" } })), true);
+    assert.equal(isStreamingResponse(new Response("chunk", { headers: { "X-Vibe-Stream": "1" } })), true);
+  });
+
+  it("ignores other responses and responses without a body", () => {
+    assert.equal(isStreamingResponse(new Response("{}", { headers: { "Content-Type": "application/json" } })), false);
+    assert.equal(isStreamingResponse(new Response(null, { status: 204, headers: { "X-Vibe-Stream": "1" } })), false);
+  });
+});
+
+describe("withIdleTimeout", () => {
+  it("passes a body through", async () => {
+    const body = controlledBody();
+    const readable = withIdleTimeout(body.stream, 1000);
+    body.controller.enqueue("a");
+    body.controller.enqueue("b");
+    body.controller.close();
+    assert.deepEqual(await readAll(readable), ["a", "b"]);
+  });
+
+  it("aborts a stream that goes idle and cancels the source", async () => {
+    const body = controlledBody();
+    const readable = withIdleTimeout(body.stream, 50);
+    body.controller.enqueue("first");
+
+    await assert.rejects(readAll(readable), /Stream idle for 0.05s/);
+    await sleep(0);
+    assert.ok(body.cancelled);
+  });
+
+  it("restarts the idle timer on every chunk", async () => {
+    const body = controlledBody();
+    const readable = withIdleTimeout(body.stream, 200);
+    const reading = readAll(readable);
+
+    // 320ms in all, but never 200ms without a chunk
+    for (let i = 0; i < 8; i++) {
+      await sleep(40);
+      body.controller.enqueue(`tick ${i}`);
+    }
+    body.controller.close();
+    assert.equal((await reading).length, 8);
+  });
+});
+
+describe("exceededConnectionLimit (streams)", () => {
+  const limits = resolveLimits("free", { streams: 1 });
+
+  it("admits streams until the app's limit is reached", () => {
+    // What admitRequest() / openStream() count: +1 per admitted stream,
+    // -1 when it ends (recordRequest) or turns out not to be one (closeStream)
+    const open = { webSockets: 0, streams: 0 };
+    assert.equal(exceededConnectionLimit(limits, open, { stream: true }), null);
+    open.streams++;
+    assert.deepEqual(exceededConnectionLimit(limits, open, { stream: true }), {
+      limit: "streams",
+      retryAfter: CONNECTION_RETRY_AFTER_SECONDS,
+    });
+    open.streams--;
+    assert.equal(exceededConnectionLimit(limits, open, { stream: true }), null);
+  });
+
+  it("counts streams and WebSockets separately", () => {
+    const open = { webSockets: 0, streams: 1 };
+    assert.equal(exceededConnectionLimit(limits, open, { webSocket: true }), null);
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * The parts of "cloudflare:workers" the tested modules use
+ * Tests construct Durable Objects themselves, with a ctx and env they made.
+ */
+
+export class DurableObject {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Module resolution hooks - "cloudflare:workers" only exists in the Workers
+ * runtime, the tests get ./cloudflare-workers.js instead
+ */
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "cloudflare:workers") {
+    return { url: new URL("./cloudflare-workers.js", import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
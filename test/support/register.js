@@ -0,0 +1,8 @@
+/**
+ * Loaded before the tests (node --import): lets modules that import the
+ * Workers runtime's "cloudflare:workers" load in Node, see ./hooks.js
+ */
+
+import { register } from "node:module";
+
+register("./hooks.js", import.meta.url);
@@ -0,0 +1,58 @@
+/**
+ * Durable Object SQL storage (ctx.storage.sql) for tests
+ *
+ * The same exec(query, ...bindings) API, run against an in-memory SQLite
+ * database (sql.js). Like the real one, exec() takes several statements
+ * when there are no bindings and returns BLOBs as ArrayBuffers.
+ */
+
+import initSqlJs from "sql.js";
+
+const SQL = await initSqlJs();
+
+export function createSqlStorage() {
+  const db = new SQL.Database();
+  return {
+    exec(query, ...bindings) {
+      let rows = [];
+      for (const statement of db.iterateStatements(query)) {
+        if (bindings.length > 0) {
+          statement.bind(bindings.map(toSqlite));
+        }
+        rows = [];
+        while (statement.step()) {
+          rows.push(fromSqlite(statement.getAsObject()));
+        }
+      }
+      return cursor(rows);
+    },
+  };
+}
+
+function cursor(rows) {
+  return {
+    toArray: () => rows,
+    one() {
+      if (rows.length !== 1) {
+        throw new Error(`Expected exactly one row, got ${rows.length}`);
+      }
+      return rows[0];
+    },
+    [Symbol.iterator]: () => rows[Symbol.iterator](),
+  };
+}
+
+function toSqlite(value) {
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (value === undefined) return null;
+  return value;
+}
+
+function fromSqlite(row) {
+  for (const [column, value] of Object.entries(row)) {
+    if (value instanceof Uint8Array) {
+      row[column] = value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+    }
+  }
+  return row;
+}
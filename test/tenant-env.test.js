@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { validateEnvUpdate } from "../src/tenant-env.js";
+
+describe("validateEnvUpdate", () => {
+  it("accepts string vars and secrets", () => {
+    assert.equal(validateEnvUpdate({ vars: { LOG_LEVEL: "debug" }, secrets: { DB_PASSWORD: "hunter2" } }), null);
+    assert.equal(validateEnvUpdate({}), null);
+  });
+
+  it("rejects vars or secrets that aren't objects", () => {
+    assert.match(validateEnvUpdate({ vars: null }), /vars must be an object/);
+    assert.match(validateEnvUpdate({ secrets: null }), /secrets must be an object/);
+    assert.match(validateEnvUpdate({ vars: ["LOG_LEVEL=debug"] }), /vars must be an object/);
+    assert.match(validateEnvUpdate({ secrets: "DB_PASSWORD=hunter2" }), /secrets must be an object/);
+  });
+
+  it("rejects bad names, reserved names and non-string values", () => {
+    assert.match(validateEnvUpdate({ vars: { "LOG-LEVEL": "debug" } }), /Invalid variable name/);
+    assert.match(validateEnvUpdate({ vars: { PORT: "80" } }), /reserved/);
+    assert.match(validateEnvUpdate({ secrets: { CLOUDFLARE_API_TOKEN: "x" } }), /reserved/);
+    assert.match(validateEnvUpdate({ vars: { RETRIES: 3 } }), /must be a string/);
+  });
+});
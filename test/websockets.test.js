@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CONNECTION_RETRY_AFTER_SECONDS, exceededConnectionLimit, resolveLimits } from "../src/limits.js";
+import { isWebSocketUpgrade, relayWebSocket } from "../src/websockets.js";
+
+// The Workers WebSocket API, in memory - send() delivers a message event to
+// the other end, close() a close event to both ends
+class FakeSocket extends EventTarget {
+  constructor() {
+    super();
+    this.peer = null;
+    this.accepted = false;
+    this.closed = null;
+  }
+
+  accept() {
+    this.accepted = true;
+  }
+
+  send(data) {
+    if (this.closed) throw new Error("WebSocket is closed");
+    this.peer.dispatchEvent(Object.assign(new Event("message"), { data }));
+  }
+
+  close(code, reason) {
+    if (this.closed) throw new Error("WebSocket is closed");
+    this.closed = { code, reason };
+    for (const socket of [this, this.peer]) {
+      socket.dispatchEvent(Object.assign(new Event("close"), { code, reason }));
+    }
+  }
+}
+
+function socketPair() {
+  const a = new FakeSocket();
+  const b = new FakeSocket();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+globalThis.WebSocketPair ??= class {
+  constructor() {
+    [this[0], this[1]] = socketPair();
+  }
+};
+
+function received(socket) {
+  const messages = [];
+  socket.addEventListener("message", (event) => messages.push(event.data));
+  return messages;
+}
+
+// A relayed connection: the client's end and the app's end of the container socket
+function relay() {
+  const [app, upstream] = socketPair();
+  const closes = [];
+  const client = relayWebSocket(upstream, (bytes) => closes.push(bytes));
+  client.accept();
+  return { client, app, upstream, closes };
+}
+
+describe("isWebSocketUpgrade", () => {
+  it("detects an Upgrade: websocket request, in any case", () => {
+    const upgrade = (value) => new Request("https://platform.dev/app/my-app/ws", { headers: { Upgrade: value } });
+    assert.equal(isWebSocketUpgrade(upgrade("websocket")), true);
+    assert.equal(isWebSocketUpgrade(upgrade("WebSocket")), true);
+    assert.equal(isWebSocketUpgrade(upgrade("h2c")), false);
+    assert.equal(isWebSocketUpgrade(new Request("https://platform.dev/app/my-app/ws")), false);
+  });
+});
+
+describe("relayWebSocket", () => {
+  it("accepts the container's socket", () => {
+    const { upstream } = relay();
+    assert.equal(upstream.accepted, true);
+  });
+
+  it("relays messages both ways", () => {
+    const { client, app } = relay();
+    const toApp = received(app);
+    const toClient = received(client);
+
+    client.send("hello");
+    client.send(new Uint8Array([1, 2, 3]).buffer);
+    app.send("hi there");
+
+    assert.equal(toApp[0], "hello");
+    assert.deepEqual(new Uint8Array(toApp[1]), new Uint8Array([1, 2, 3]));
+    assert.deepEqual(toClient, ["hi there"]);
+  });
+
+  it("closes the container side when the client closes, and reports the bytes once", () => {
+    const { client, app, upstream, closes } = relay();
+    client.send("hello");
+    app.send("hi there");
+
+    client.close(1000, "bye");
+
+    assert.deepEqual(upstream.closed, { code: 1000, reason: "bye" });
+    assert.deepEqual(closes, [{ bytesIn: 5, bytesOut: 8 }]);
+  });
+
+  it("closes the client when the container goes away, without a reserved close code", () => {
+    const { client, upstream, closes } = relay();
+    const clientCloses = [];
+    client.addEventListener("close", (event) => clientCloses.push(event.code));
+
+    upstream.dispatchEvent(Object.assign(new Event("close"), { code: 1006, reason: "" }));
+
+    assert.deepEqual(clientCloses, [1001]);
+    assert.equal(closes.length, 1);
+  });
+
+  it("closes the client when the container socket fails", () => {
+    const { client, upstream, closes } = relay();
+    const clientCloses = [];
+    client.addEventListener("close", (event) => clientCloses.push(event.code));
+
+    upstream.dispatchEvent(new Event("error"));
+
+    assert.deepEqual(clientCloses, [1011]);
+    assert.equal(closes.length, 1);
+  });
+});
+
+describe("exceededConnectionLimit", () => {
+  const limits = resolveLimits("free", { webSockets: 2 });
+
+  it("admits upgrades until the webSockets limit is reached", () => {
+    // What admitRequest() counts: +1 per admitted upgrade, -1 per closeWebSocket()
+    const open = { webSockets: 0, streams: 0 };
+    for (let i = 0; i < 2; i++) {
+      assert.equal(exceededConnectionLimit(limits, open, { webSocket: true }), null);
+      open.webSockets++;
+    }
+    assert.deepEqual(exceededConnectionLimit(limits, open, { webSocket: true }), {
+      limit: "webSockets",
+      retryAfter: CONNECTION_RETRY_AFTER_SECONDS,
+    });
+
+    open.webSockets--;
+    assert.equal(exceededConnectionLimit(limits, open, { webSocket: true }), null);
+  });
+
+  it("never refuses ordinary requests, or upgrades without a limit", () => {
+    assert.equal(exceededConnectionLimit(limits, { webSockets: 2, streams: 0 }, {}), null);
+    assert.equal(exceededConnectionLimit({ ...limits, webSockets: null }, { webSockets: 5000, streams: 0 }, { webSocket: true }), null);
+  });
+});